@@ -3,27 +3,137 @@
  * influxdb3_connector.js (async/batch + smart‑hourly + fixes)
  * ----------------------------------------------------------
  *  • Vollständig asynchron (fs/promises) – kein blockierendes I/O.
- *  • Fehler‑Queue mit Exponential‑Back‑off (60 s → 10 min) und Batch‑Writes (max 500 Lines).
- *  • „Mindestens‑ein‑Write‑pro‑Stunde“‑Guard pro Datenpunkt.
+ *  • Fehler‑Queue als Append‑only‑Journal (Segmente à 500 Lines) mit
+ *    Exponential‑Back‑off (60 s → 10 min) und Obergrenzen/Drop‑Policy.
+ *  • Heartbeat pro Datenpunkt (Default 1 h) – nur wenn im Intervall nichts geschrieben wurde.
  *  • Typ‑Robustheit & Escaping für das Influx Line‑Protocol.
  *  • Graceful Shutdown – Queue wird vor Exit abgearbeitet.
  *  • **NEU**
  *      – Korrektes Timestamp‑Handling (`lc` als ms‑Zahl oder ISO‑String).
  *      – Client‑Initialisierung erst nach erfolgreichem Config‑Load.
  *      – Robustes Laden der Queue‑Datei (korruptes JSON ⇒ leere Queue).
+ *      – Werttypen pro Datenpunkt (float/integer/boolean/string).
+ *      – Selector‑Einträge (Pattern/Regex/Enum/common.custom), neue Objekte
+ *        werden zur Laufzeit erkannt.
+ *      – Fenster‑Aggregation (mean/min/max/last/count/sum) pro Datenpunkt.
+ *      – Filter: minDelta/minDeltaPercent, Schwellen, minInterval (mit
+ *        Nachschreiben), maxInterval, debounce – mit Zählern pro Datenpunkt.
+ *      – Write‑Puffer: Live‑Writes werden nach Größe/Linger‑Zeit zu Batches
+ *        gebündelt, mit begrenzter Parallelität.
+ *      – getHistory per onMessage (SQL‑Abfrage gegen InfluxDB 3).
+ *      – Health‑/Statistik‑States unter stats.prefix (Queue, Fehler, Raten …).
+ *      – Beliebige Tags pro Datenpunkt + defaultTags, gemeinsamer
+ *        Line‑Protocol‑Builder (lib/line_protocol.js) mit vollständigem Escaping.
+ *      – Config‑Validierung mit JSON‑Schema (config.schema.json): alle Fehler
+ *        mit JSON‑Pfad, auch als CLI (node validate_config.js config.json).
+ *      – Mehrere benannte InfluxDB‑Ziele (targets), Routing pro Datenpunkt
+ *        inkl. eigener Datenbank; Queue, Back‑off und Health pro Ziel.
+ *      – Hot‑Reload der config.json (nur Diff wird angewendet, ungültige
+ *        Config ⇒ alte bleibt aktiv).
+ *      – Zeitstempel‑Quelle pro Datenpunkt (lc/ts/Empfangszeit), Write‑Präzision
+ *        (s/ms/us/ns) und Plausibilitätsprüfung gegen falsche Uhren.
+ *      – Backfill beim Start: Lücke seit dem letzten Punkt in InfluxDB aus einer
+ *        History‑Instanz (getHistory) nachtragen.
+ *      – Filter‑/Heartbeat‑Zustand über Neustarts (state.json oder letzte Zeile
+ *        aus InfluxDB), Startwert always/changed/never.
+ *      – Trigger pro Datenpunkt (jede Aktualisierung, auch ack=false, ack als
+ *        Tag/Feld) und Wert‑Pipeline (map/scale/offset/round/clamp/expr).
+ *      – Rollups: SQL‑Aggregation in verdichtete Tabellen (z.B. <measurement>_1h)
+ *        mit gespeichertem Fortschritt und Aufholen nach Ausfällen.
+ *      – Alarme: staleAfter (toter Sensor) und plausible.min/max als
+ *        ioBroker‑States, optional sendTo‑Benachrichtigung und alerts‑Tabelle.
  */
 
 const { InfluxDBClient } = require("@influxdata/influxdb3-client");
 const fs = require("fs").promises;
+const { watchFile, unwatchFile } = require("fs");
 const path = require("path");
 const process = require("process");
 
+// Installationsverzeichnis (Config, Queue und lib/ liegen hier)
+const BASE_DIR = "/opt/iobroker/influxdb3_connector";
+const { matchesSelector, selectorCandidates, buildDatapoint } = require(path.join(BASE_DIR, "lib/selectors.js"));
+const { parseDuration, formatDuration } = require(path.join(BASE_DIR, "lib/duration.js"));
+const { DEFAULT_FUNCTIONS, aggregateFields, windowStart } = require(path.join(BASE_DIR, "lib/aggregate.js"));
+const {
+    SKIP_REASONS,
+    subscribeOptions,
+    deadbandReason,
+    crossesThreshold,
+    createPendingValues,
+    createDeadlines
+} = require(path.join(BASE_DIR, "lib/filters.js"));
+const { applyTransform } = require(path.join(BASE_DIR, "lib/transform.js"));
+const { createJournal } = require(path.join(BASE_DIR, "lib/journal.js"));
+const { buildHistoryQuery, mapHistoryRows, toMs } = require(path.join(BASE_DIR, "lib/history.js"));
+const {
+    backfillSettings,
+    backfillEnabled,
+    buildLastTimeQuery,
+    lastTimeOf,
+    backfillRange,
+    historyOptions,
+    historyPoints
+} = require(path.join(BASE_DIR, "lib/backfill.js"));
+const {
+    rollupSettings,
+    rollupRoute,
+    rollupTable,
+    tagColumnsQuery,
+    tagColumns,
+    rollupQuery,
+    lastRollupQuery,
+    rollupRange,
+    rollupChunks,
+    lateWindow,
+    windowRanges,
+    rollupPoints
+} = require(path.join(BASE_DIR, "lib/rollup.js"));
+const {
+    alertSettings,
+    implausible,
+    alertMessage,
+    createAlertTracker
+} = require(path.join(BASE_DIR, "lib/alerts.js"));
+const {
+    stateSettings,
+    snapshotState,
+    restoreState,
+    readStateFile,
+    writeStateFile,
+    startupWriteNeeded
+} = require(path.join(BASE_DIR, "lib/state_store.js"));
+const { buildLine, coerceValue, datapointTags } = require(path.join(BASE_DIR, "lib/line_protocol.js"));
+const { validateConfig, datapointErrors, formatError } = require(path.join(BASE_DIR, "lib/config.js"));
+const { parseReloadedConfig, configDiff } = require(path.join(BASE_DIR, "lib/reload.js"));
+const {
+    timestampSettings,
+    stateTime,
+    checkTime,
+    formatTimestamp,
+    convertTimestamp
+} = require(path.join(BASE_DIR, "lib/timestamp.js"));
+const {
+    DEFAULT_TARGET,
+    targetConfigs,
+    datapointRoutes,
+    createTarget
+} = require(path.join(BASE_DIR, "lib/target.js"));
+const {
+    HEALTH_STATES,
+    TARGET_STATES,
+    safeId,
+    healthValues,
+    skipTotals,
+    rollupProcessedUntil
+} = require(path.join(BASE_DIR, "lib/health.js"));
+
 // --------------------------------------------------
 // Konfiguration laden (async IIFE) und danach main()
 // --------------------------------------------------
-const CONFIG_PATH = "/opt/iobroker/influxdb3_connector/config.json";
+const CONFIG_PATH = path.join(BASE_DIR, "config.json");
 let cfg;
-let client; // wird erst in main() initialisiert
+const targets = new Map(); // name → createTarget(...), wird erst in main() befüllt
 
 (async () => {
     try {
@@ -33,35 +143,13 @@ let client; // wird erst in main() initialisiert
         process.exit(1);
     }
 
-    // --- Validierung -------------------------------------------------------
-    function die(msg) {
-        console.error(msg);
+    // Alle Fehler mit JSON‑Pfad (wie `node validate_config.js config.json`)
+    const errors = validateConfig(cfg);
+    if (errors.length > 0) {
+        console.error(`config.json ungültig:\n  - ${errors.map(formatError).join("\n  - ")}`);
         process.exit(1);
     }
 
-    if (
-        !cfg.influx ||
-        typeof cfg.influx.host !== "string" ||
-        typeof cfg.influx.token !== "string" ||
-        typeof cfg.influx.database !== "string"
-    ) die("Influx-Konfiguration unvollständig oder fehlerhaft in config.json");
-
-    if (!Array.isArray(cfg.datapoints) || cfg.datapoints.length === 0)
-        die("Keine Datenpunkte in config.json definiert");
-
-    for (const dp of cfg.datapoints) {
-        if (!dp.id || typeof dp.id !== "string")
-            die(`Ungültiger oder fehlender 'id': ${JSON.stringify(dp)}`);
-        if (!dp.measurement || typeof dp.measurement !== "string")
-            die(`Ungültiges oder fehlendes 'measurement' für ${dp.id}`);
-        if (dp.source !== undefined && typeof dp.source !== "string")
-            die(`'source' für ${dp.id} muss String sein.`);
-        // NEU ➟ minDelta ist optional, muss aber ≥ 0 sein
-        if (dp.minDelta !== undefined &&
-            (typeof dp.minDelta !== "number" || dp.minDelta < 0))
-            die(`'minDelta' für ${dp.id} muss eine Zahl ≥ 0 sein.`);
-    }
-
     // Erst NACH erfolgreicher Validierung starten
     await main();
 })();
@@ -70,14 +158,37 @@ let client; // wird erst in main() initialisiert
 // Globals & Helper
 // --------------------------------------------------
 const QUEUE_DIR = path.dirname(CONFIG_PATH);
-const QUEUE_FILE = path.join(QUEUE_DIR, "influxdb3_queue.json");
-const msToNs = (ms) => (BigInt(ms) * 1_000_000n).toString(); // ms → ns (BigInt für große Zahlen)
-let queue = [];
+const LEGACY_QUEUE_FILE = path.join(QUEUE_DIR, "influxdb3_queue.json"); // altes Format vor dem Journal
+const JOURNAL_DIR = path.join(QUEUE_DIR, "journal"); // Ziel "default"; benannte Ziele in journal/<name>/
+const STATE_FILE = path.join(QUEUE_DIR, "state.json"); // lastValues/lastWritten/… bei state.store = "file"
+const ROLLUP_FILE = path.join(QUEUE_DIR, "rollups.json"); // Fortschritt der Rollup‑Jobs
+// ms → Timestamp in der konfigurierten Write‑Präzision (BigInt für große Zahlen)
+const msToTs = (ms) => formatTimestamp(ms, timestampSettings(cfg).precision);
+
+// Zeit, die der JS‑Adapter beim Skript‑Stopp auf das Leeren der Puffer wartet
+const STOP_TIMEOUT_MS = 15_000;
+
+const MAX_BATCH = 500; // = Einträge pro Journal‑Segment, Obergrenze für writeBuffer.maxLines (config.schema.json)
+
+// Health‑States: Aktualisierungs‑Takt (Raten werden auf „pro Minute“ umgerechnet)
+const STATS_INTERVAL_MS = 60_000;
+
+// Filter‑Statistik: wie oft wird das Log geschrieben
+const SKIP_LOG_MS = 3_600_000;
+
+// Zustand (state.store = "file") regelmäßig sichern; "influx": so weit zurück nach der letzten Zeile suchen
+const STATE_SAVE_MS = 60_000;
+const STATE_REBUILD_MS = 30 * 86_400_000;
+
+// Alarme: Prüf‑Takt für staleAfter
+const ALERT_TICK_MS = 30_000;
 
-const MAX_BATCH = 500;
-const BASE_FLUSH_MS = 60_000;
-const MAX_FLUSH_MS = 600_000; // 10 Minuten
-let flushDelay = BASE_FLUSH_MS;
+// Rollups: Prüfung, ob ein neues Fenster fällig ist (Queries nur dann)
+const ROLLUP_TICK_MS = 60_000;
+
+// Heartbeat: Default‑Intervall und Prüf‑Takt
+const DEFAULT_HEARTBEAT = "1h";
+const HEARTBEAT_TICK_MS = 10_000; // = MIN_HEARTBEAT_MS in lib/config.js
 
 // ---------- Fehler-Logger -------------------------------------------------
 function formatInfluxError(err) {
@@ -92,29 +203,34 @@ function logInfluxError(context, err) {
     console.error(`${context}  ${formatInfluxError(err)}\nStack:`, err.stack);
 }
 
-function buildTagString(dp, trigger) {
-    // Baue das Tag-Array (ohne leere Tags!)
-    const tagPairs = [
-        dp.source ? `source=${escapeLP(dp.source)}` : null,
-        dp.sensor_id ? `sensor_id=${escapeLP(dp.sensor_id)}` : null,
-        dp.location ? `location=${escapeLP(dp.location)}` : null,
-        dp.processing ? `processing=${escapeLP(dp.processing)}` : null,
-        trigger ? `trigger=${escapeLP(trigger)}` : null
-    ].filter(Boolean); // Filtert alle nicht-gesetzten Tags raus
-    return tagPairs.join(",");
-}
-
 // Maps: letzter Wert & letzter erfolgreicher Write (ms)
 const lastValues = new Map();
 const lastWritten = new Map();
-const writtenValues = new Map(); // **neu**: zuletzt erfolgreich geschriebener numerischer Wert
-const lastGuardRun = new Map(); // **neu**: letzter Guard-Check-Zeitpunkt pro Datenpunkt
+const writtenValues = new Map(); // **neu**: zuletzt erfolgreich geschriebener Wert (bereits typisiert)
+const lastGuardRun = new Map(); // **neu**: letzter ausgewerteter Heartbeat-Slot (nur bei align)
+const lastQueued = new Map(); // **neu**: letzter Write, der in der Fehler-Queue gelandet ist
+const lastBuffered = new Map(); // **neu**: letzter Punkt, der in den Write-Puffer ging
+const skipCounts = new Map(); // **neu**: übersprungene Werte pro Datenpunkt und Filter
+const timestampCounts = { invalid: 0, clamped: 0, rejected: 0 }; // unplausible Zeitstempel seit Start
+const timestampWarned = new Set(); // "id/status" – pro Datenpunkt und Art nur einmal loggen
+const transformWarned = new Set(); // "id/Fehler" – gleiche Transform‑Fehler nur einmal loggen
+const lastAcks = new Map(); // ack des Werts in lastValues (für subscribe.ackAs beim Heartbeat)
+const lastSeen = new Map(); // letzte Aktualisierung aus ioBroker (ms) – Basis für staleAfter
 
-// Escape für Line‑Protocol
-const escapeLP = (s) => s.replace(/[ ,=]/g, "\\$&");
+// Alles, was über einen Neustart erhalten bleibt (lib/state_store.js)
+const persistedMaps = { lastValues, lastWritten, writtenValues, lastGuardRun };
+
+// Letzter Schreibversuch (gepuffert, geschrieben oder gequeued), 0 = noch nie
+const lastWriteTime = (id) => Math.max(lastWritten.get(id) ?? 0, lastQueued.get(id) ?? 0, lastBuffered.get(id) ?? 0);
+
+// --------------------------------------------------
+// Typ‑Handling für das value‑Feld
+// --------------------------------------------------
+// Ältere Queue‑Einträge haben nur value/type (type fehlte ganz früher → float)
+const queuedFields = (q) => q.fields ?? [{ key: "value", value: q.value, type: q.type ?? "float" }];
 
 // --------------------------------------------------
-// Queue‑Datei Handling
+// Schreibziele & Fehler‑Queue (pro Ziel, siehe lib/target.js)
 // --------------------------------------------------
 async function exists(p) {
     try {
@@ -125,214 +241,1291 @@ async function exists(p) {
     }
 }
 
-async function initQueueFile() {
+// Obergrenzen aus cfg.queue (Defaults: 100 000 Einträge, 50 MB, ältere verwerfen)
+function queueLimits(c) {
+    return {
+        maxEntries: c.queue?.maxEntries ?? 100_000,
+        maxBytes: Math.round((c.queue?.maxMB ?? 50) * 1024 * 1024),
+        dropPolicy: c.queue?.dropPolicy ?? "oldest"
+    };
+}
+
+// Journal‑Verzeichnis eines Ziels (Ziel "default" behält das bisherige journal/)
+const journalDir = (name) => (name === DEFAULT_TARGET ? JOURNAL_DIR : path.join(JOURNAL_DIR, name));
+
+function createClient(conn) {
+    return new InfluxDBClient({
+        host: conn.host,
+        token: conn.token,
+        database: conn.database,
+        writeOptions: { precision: timestampSettings(cfg).precision }
+    });
+}
+
+// Ziel mit eigenem Client, Journal, Puffer und Back‑off anlegen und starten
+async function addTarget(name, conn) {
+    const journal = createJournal({
+        dir: journalDir(name),
+        segmentEntries: MAX_BATCH,
+        ...queueLimits(cfg),
+        onDrop: (count, policy) => console.warn(
+            `[${name}] Queue voll – ${count} Einträge verworfen (Policy ${policy}, gesamt ${journal.stats().dropped})`)
+    });
+    const target = createTarget({
+        name,
+        client: createClient(conn),
+        journal,
+        toLine: entryToLine,
+        settings: bufferSettings,
+        onWritten: (entries, fromQueue) => markWritten(entries, fromQueue, name),
+        onQueued: (entries) => {
+            const now = Date.now();
+            for (const q of entries) lastQueued.set(q.id, now);
+        },
+        onError: logInfluxError
+    });
+    targets.set(name, target);
+    try {
+        await journal.init();
+        const st = journal.stats();
+        if (st.entries > 0) console.log(`[${name}] Queue geladen: ${st.entries} Einträge in ${st.segments} Segment(en)`);
+        if (st.corrupt > 0) console.warn(`[${name}] Queue: ${st.corrupt} beschädigte Zeilen übersprungen`);
+    } catch (e) {
+        console.error(`[${name}] Fehler beim Initialisieren/Laden der Queue:`, e.message);
+    }
+    target.start();
+    return target;
+}
+
+async function initTargets() {
+    for (const [name, conn] of Object.entries(targetConfigs(cfg))) await addTarget(name, conn);
+    // Alte Queue gehört zum Ziel "default" (bzw. dem ersten Ziel)
+    const first = targets.get(DEFAULT_TARGET) ?? targets.values().next().value;
     try {
-        await fs.mkdir(QUEUE_DIR, { recursive: true });
-        if (!(await exists(QUEUE_FILE))) {
-            await fs.writeFile(QUEUE_FILE, "[]", "utf8");
-            queue = [];
-        } else {
-            const raw = await fs.readFile(QUEUE_FILE, "utf8");
-            try {
-                queue = raw ? JSON.parse(raw) : [];
-                if (!Array.isArray(queue)) queue = [];
-            } catch (e) {
-                console.error("Queue-Datei korrupt – starte mit leerer Queue:", e.message);
-                queue = [];
-            }
-        }
+        await migrateLegacyQueue(first.journal);
     } catch (e) {
-        console.error("Fehler beim Initialisieren/Laden der Queue-Datei:", e.message);
-        queue = [];
+        console.error("Fehler beim Übernehmen der alten Queue-Datei:", e.message);
+    }
+}
+
+// Erfolgreich geschrieben (live oder aus der Queue, irgendein Ziel)
+function markWritten(entries, fromQueue, targetName) {
+    const now = Date.now();
+    for (const q of entries) {
+        lastWritten.set(q.id, now);
+        if (!fromQueue) continue;
+        const valueField = queuedFields(q).find((f) => f.key === "value");
+        if (valueField) writtenValues.set(q.id, valueField.value);
     }
+    markLateRollups(entries, targetName);
 }
 
-async function saveQueue() {
+// Alte influxdb3_queue.json einmalig ins Journal übernehmen
+async function migrateLegacyQueue(journal) {
+    if (!(await exists(LEGACY_QUEUE_FILE))) return;
     try {
-        await fs.writeFile(QUEUE_FILE, JSON.stringify(queue), "utf8");
+        const old = JSON.parse(await fs.readFile(LEGACY_QUEUE_FILE, "utf8") || "[]");
+        if (Array.isArray(old)) {
+            for (const q of old) await journal.append(q);
+            console.log(`Alte Queue-Datei übernommen: ${old.length} Einträge`);
+        }
     } catch (e) {
-        console.error("Fehler beim Speichern der Queue:", e.message);
+        console.error("Alte Queue-Datei korrupt – wird verworfen:", e.message);
     }
+    await fs.unlink(LEGACY_QUEUE_FILE);
 }
 
-function enqueueValue(dp, value, trigger, ts) {
-    queue.push({
+// Queue‑/Puffer‑Eintrag: Tags werden aufgelöst mitgespeichert, damit ein Retry dasselbe Schema hat.
+// `precision` nur, wenn nicht ns (Einträge von vor der Einstellung sind ns)
+function toEntry(dp, fields, trigger, ts, tags = {}) {
+    const { precision } = timestampSettings(cfg);
+    return {
         id: dp.id,
         measurement: dp.measurement,
-        source: dp.source,
-        sensor_id: dp.sensor_id,
-        location: dp.location,
-        processing: dp.processing,
-        value,
+        tags: { ...datapointTags(dp, cfg.defaultTags), ...tags },
+        fields,
         trigger,
-        ts
+        ts,
+        ...(precision !== "ns" ? { precision } : {})
+    };
+}
+
+// Ältere Einträge haben source/sensor_id/… direkt am Eintrag statt `tags` –
+// datapointTags() liest beide Formen. Der Timestamp wird in die aktuelle
+// Write‑Präzision umgerechnet (Queue‑Einträge von vor einem Wechsel).
+function entryToLine(q) {
+    return buildLine({
+        measurement: q.measurement,
+        tags: { ...datapointTags(q), trigger: q.trigger },
+        fields: queuedFields(q),
+        timestamp: q.ts === undefined ? undefined : convertTimestamp(q.ts, q.precision, timestampSettings(cfg).precision)
     });
-    saveQueue();
 }
 
 // --------------------------------------------------
-// Flush‑Routine (Batch + Back‑off)
+// Schreiben einzelner Werte (mit Typ‑Check & Escaping)
 // --------------------------------------------------
-async function flushQueue() {
-    if (queue.length === 0) {
-        flushDelay = BASE_FLUSH_MS;
-        return scheduleNextFlush();
+// subscribe.ackAs: ack des States als boolean‑Feld oder Tag mitschreiben
+function withAck(dp, fields, ack) {
+    const ackAs = dp.subscribe?.ackAs;
+    if (!ackAs || typeof ack !== "boolean") return { fields, tags: {} };
+    if (ackAs === "field") return { fields: [...fields, { key: "ack", value: ack, type: "boolean" }], tags: {} };
+    return { fields, tags: { ack: String(ack) } };
+}
+
+async function writeToInflux(dp, rawVal, trigger, ts = msToTs(Date.now()), ack) {
+    // Aggregierte Datenpunkte schreiben auch Heartbeats/Initialwerte im Fenster‑Schema
+    if (dp.aggregate) {
+        const num = Number(rawVal);
+        if (!Number.isFinite(num)) {
+            console.warn(`Ungültiger Wert (${rawVal}) für ${dp.measurement} (aggregate)`);
+            return;
+        }
+        writeFields(dp, aggregateFields([num], dp.aggregate.functions ?? DEFAULT_FUNCTIONS), trigger, ts);
+        writtenValues.set(dp.id, num);
+        return;
     }
 
-    const batch = queue.splice(0, MAX_BATCH);
-    const lines = batch.map(q => {
-        const meas = escapeLP(q.measurement);
-        const tags = buildTagString(q, q.trigger);
-        return `${meas},${tags} value=${q.value} ${q.ts}`;
-    });
+    const coerced = coerceValue(rawVal, dp.type);
+    if (!coerced) {
+        console.warn(`Ungültiger Wert (${rawVal}) für ${dp.measurement} (type=${dp.type ?? "auto"})`);
+        countSkip(dp.id, "type");
+        return;
+    }
+    const { type, value } = coerced;
+    const point = withAck(dp, [{ key: "value", value, type }], ack);
+    writeFields(dp, point.fields, trigger, ts, point.tags);
+    // Basis für minDelta: geht der Batch schief, kommt der Wert über die Queue nach
+    writtenValues.set(dp.id, value);
+}
 
-    try {
-        await client.write(lines.join("\n"));
-        const now = Date.now();
-        for (const q of batch) {
-            lastWritten.set(q.id, now);
-            writtenValues.set(q.id, q.value);
+// Punkt mit beliebigen Feldern in die Write‑Puffer aller Ziele des Datenpunkts legen
+function writeFields(dp, fields, trigger, ts, tags) {
+    const entry = toEntry(dp, fields, trigger, ts, tags);
+    lastBuffered.set(dp.id, Date.now());
+    if (subscriptions.has(dp.id)) maxIntervalTimers.reset(dp.id, maxIntervalMs(dp));
+    for (const { target, database } of datapointRoutes(dp, cfg)) {
+        const t = targets.get(target);
+        if (!t) {
+            console.warn(`Ziel '${target}' für ${dp.id} ist nicht konfiguriert`);
+            continue;
         }
-        flushDelay = BASE_FLUSH_MS;
-    } catch (err) {
-        logInfluxError("Write-Error (Batch)", err);
-        queue.unshift(...batch);
-        flushDelay = Math.min(flushDelay * 2, MAX_FLUSH_MS);
+        t.write(database ? { ...entry, database } : entry);
     }
+}
+
+// --------------------------------------------------
+// Write‑Puffer: Live‑Writes zu Batches bündeln (pro Ziel und Datenbank)
+// --------------------------------------------------
+// Aus cfg.writeBuffer (Defaults: 500 Lines, 256 KB, 1 s Linger, 2 parallele Requests)
+function bufferSettings() {
+    const wb = cfg.writeBuffer ?? {};
+    return {
+        maxLines: Math.min(wb.maxLines ?? MAX_BATCH, MAX_BATCH),
+        maxBytes: (wb.maxKB ?? 256) * 1024,
+        lingerMs: parseDuration(wb.linger ?? "1s"),
+        maxConcurrent: wb.maxConcurrent ?? 2
+    };
+}
 
-    await saveQueue();
-    scheduleNextFlush();
+// Puffer aller Ziele leeren und auf laufende Requests warten (Shutdown)
+const drainWriteBuffers = () => Promise.all([...targets.values()].map((t) => t.drain()));
+const flushAllQueues = () => Promise.all([...targets.values()].map((t) => t.flushQueue()));
+
+// --------------------------------------------------
+// Fenster‑Aggregation (dp.aggregate)
+// --------------------------------------------------
+// Offene Fenster: id → { dp, start, values, timer }
+const aggWindows = new Map();
+const AGG_GRACE_MS = 500; // kurz nach Fensterende schließen, damit späte Events noch reinfallen
+
+function addToWindow(dp, num, tsMs) {
+    const windowMs = parseDuration(dp.aggregate.window);
+    const start = windowStart(tsMs, windowMs);
+
+    let w = aggWindows.get(dp.id);
+    if (w && w.start !== start) {
+        flushWindow(dp.id); // Wert gehört in ein anderes Fenster → altes abschließen
+        w = undefined;
+    }
+    if (!w) {
+        w = { dp, start, values: [] };
+        w.timer = setTimeout(() => flushWindow(dp.id), Math.max(0, start + windowMs - Date.now()) + AGG_GRACE_MS);
+        aggWindows.set(dp.id, w);
+    }
+    w.dp = dp; // Hot‑Reload: aktuelle Tags verwenden
+    w.values.push(num);
 }
 
-function scheduleNextFlush() {
-    setTimeout(flushQueue, flushDelay);
+function flushWindow(id) {
+    const w = aggWindows.get(id);
+    if (!w) return;
+    clearTimeout(w.timer);
+    aggWindows.delete(id);
+    const fields = aggregateFields(w.values, w.dp.aggregate?.functions ?? DEFAULT_FUNCTIONS);
+    if (fields.length > 0) writeFields(w.dp, fields, "aggregate", msToTs(w.start));
 }
 
+const flushAllWindows = () => [...aggWindows.keys()].forEach(flushWindow);
+
 // --------------------------------------------------
-// Schreiben einzelner Werte (mit Typ‑Check & Escaping)
+// Subscriptions pro Datenpunkt
 // --------------------------------------------------
-async function writeToInflux(dp, rawVal, trigger, ts = msToNs(Date.now())) {
-    const num = Number(rawVal);
-    if (!Number.isFinite(num)) {
-        console.warn(`Ungültiger Wert (${rawVal}) für ${dp.measurement}`);
+// Aktive Datenpunkte: id → { dp, handler, fromSelector }
+const subscriptions = new Map();
+
+// Liest dp bei jedem Event aus sub → Hot‑Reload kann Tags/minDelta ohne Neuanmeldung ändern
+function onStateChange(sub) {
+    return async (obj) => {
+        const dp = sub.dp;
+        lastSeen.set(dp.id, Date.now());
+        if (alertTracker.isActive(`${dp.id}/stale`))
+            setAlert(dp, "stale", false, {}).catch((e) => console.warn(`Alarm ${dp.id}:`, e.message));
+        const val = transformed(dp, obj?.state?.val);
+        if (val === undefined) return; // Transform ungültig (gewarnt und gezählt)
+        const ack = obj?.state?.ack;
+        lastValues.set(dp.id, val);
+        lastAcks.set(dp.id, ack);
+        checkPlausible(dp, val);
+
+        const tsMs = eventTime(dp, obj?.state);
+        if (tsMs === null) return; // Zeitstempel unplausibel, outOfRange = reject
+
+        // ➟ debounce: erst schreiben, wenn der Wert eine Weile stabil ist
+        if (dp.debounce !== undefined) {
+            debounceValue(dp, val, tsMs, ack);
+            return;
+        }
+        await filterValue(dp, val, tsMs, ack);
+    };
+}
+
+/**
+ * dp.transform auf einen Rohwert anwenden (siehe lib/transform.js).
+ * undefined = Ergebnis ungültig → Wert wird verworfen, gezählt und
+ * (pro Datenpunkt und Fehler einmal) gewarnt.
+ */
+function transformed(dp, raw) {
+    if (!dp.transform) return raw;
+    const { value, error } = applyTransform(dp.transform, raw);
+    if (error === undefined) return value;
+
+    countSkip(dp.id, "transform");
+    const key = `${dp.id}/${error}`;
+    if (!transformWarned.has(key)) {
+        transformWarned.add(key);
+        console.warn(`Transform für ${dp.id} verworfen (Wert ${JSON.stringify(raw)}): ${error} (weitere Fälle nur gezählt)`);
+    }
+    return undefined;
+}
+
+/**
+ * Zeitstempel eines Events (ms) nach timestampSource des Datenpunkts.
+ * Ungültig (z.B. lc nicht parsebar) → Empfangszeit; außerhalb von
+ * maxFuture/maxAge → Empfangszeit oder null (verwerfen). Wird gezählt.
+ */
+function eventTime(dp, state) {
+    const now = Date.now();
+    const settings = timestampSettings(cfg);
+    const source = dp.timestampSource ?? settings.source;
+    const raw = stateTime(state, source, now);
+    const { ms, status } = checkTime(raw, now, settings);
+    if (status === "ok") return ms;
+
+    timestampCounts[status]++;
+    if (status === "rejected") countSkip(dp.id, "timestamp");
+    const key = `${dp.id}/${status}`;
+    if (!timestampWarned.has(key)) {
+        timestampWarned.add(key);
+        const shown = Number.isFinite(raw) ? new Date(raw).toISOString() : String(state?.[source]);
+        const action = status === "rejected" ? "verworfen" : "Empfangszeit verwendet";
+        console.warn(`Zeitstempel ${source}=${shown} von ${dp.id} ${status === "invalid" ? "ungültig" : "unplausibel"} – ${action} (weitere Fälle nur gezählt)`);
+    }
+    return ms;
+}
+
+// --------------------------------------------------
+// Filter (Totzone, Schwellen, minInterval/maxInterval, debounce)
+// --------------------------------------------------
+const debounced = createPendingValues("debounce", countSkip); // id → { val, tsMs, ack }
+const pendingTrailing = createPendingValues("minInterval", countSkip); // von minInterval zurückgehalten
+const maxIntervalTimers = createDeadlines((id) => writeMaxInterval(id).catch((e) => console.error(`Write-Fehler ${id}:`, e.message)));
+
+const maxIntervalMs = (dp) => (dp.maxInterval !== undefined && !dp.aggregate ? parseDuration(dp.maxInterval) : 0);
+
+function countSkip(id, reason) {
+    const counts = skipCounts.get(id) ?? {};
+    counts[reason] = (counts[reason] ?? 0) + 1;
+    skipCounts.set(id, counts);
+}
+
+function debounceValue(dp, val, tsMs, ack) {
+    debounced.hold(dp.id, { val, tsMs, ack }, parseDuration(dp.debounce), () =>
+        filterValue(dp, val, tsMs, ack).catch((e) => console.error(`Filter-Fehler ${dp.id}:`, e.message)));
+}
+
+/**
+ * Entscheidet, ob ein Wert geschrieben wird:
+ *  1. Schwellen‑Überschreitung oder abgelaufenes maxInterval → immer schreiben
+ *  2. Totzone (minDelta / minDeltaPercent) → verwerfen
+ *  3. minInterval noch nicht abgelaufen → zurückhalten, am Intervallende schreiben
+ */
+async function filterValue(dp, val, tsMs, ack) {
+    pendingTrailing.replace(dp.id); // neuer Wert ersetzt einen zurückgehaltenen → dieser zählt als übersprungen
+
+    const now = Date.now();
+    const num = Number(val);
+    const last = writtenValues.get(dp.id);
+    const lastTime = lastWriteTime(dp.id);
+    const numeric = Number.isFinite(num) && typeof last === "number";
+
+    let trigger = "change";
+    if (numeric && crossesThreshold(last, num, dp.thresholds)) {
+        trigger = "threshold";
+    } else if (dp.maxInterval !== undefined && lastTime && now - lastTime >= parseDuration(dp.maxInterval)) {
+        trigger = "max-interval";
+    } else {
+        const reason = numeric ? deadbandReason(dp, num, last) : null;
+        if (reason) {
+            countSkip(dp.id, reason);
+            return;
+        }
+        const minIv = dp.minInterval !== undefined ? parseDuration(dp.minInterval) : 0;
+        if (minIv && lastTime && now - lastTime < minIv) {
+            pendingTrailing.hold(dp.id, { val, tsMs, ack }, lastTime + minIv - now, () =>
+                emitValue(dp, val, tsMs, "change", ack).catch((e) => console.error(`Write-Fehler ${dp.id}:`, e.message)));
+            return;
+        }
+    }
+    await emitValue(dp, val, tsMs, trigger, ack);
+}
+
+/**
+ * maxInterval abgelaufen, ohne dass ein Event kam (Sensor sendet nichts mehr):
+ * letzten Wert erneut schreiben. Wie beim Heartbeat nicht bei aktivem
+ * stale‑Alarm; ein zurückgehaltener Wert wird ohnehin gleich geschrieben.
+ */
+async function writeMaxInterval(id) {
+    const dp = subscriptions.get(id)?.dp;
+    if (!dp) return;
+    const val = lastValues.get(id);
+    if (val === undefined || alertTracker.isActive(`${id}/stale`) || pendingTrailing.has(id) || debounced.has(id)) {
+        maxIntervalTimers.reset(id, maxIntervalMs(dp)); // später erneut prüfen
+        return;
+    }
+    await emitValue(dp, val, Date.now(), "max-interval", lastAcks.get(id));
+}
+
+// Schreibt sofort bzw. legt den Wert ins Aggregations‑Fenster
+async function emitValue(dp, val, tsMs, trigger, ack) {
+    if (dp.aggregate) {
+        const num = Number(val);
+        if (!Number.isFinite(num)) {
+            console.warn(`Ungültiger Wert (${val}) für ${dp.measurement} (aggregate)`);
+            return;
+        }
+        addToWindow(dp, num, tsMs);
+        writtenValues.set(dp.id, num); // Basis für minDelta
         return;
     }
-    const meas = escapeLP(dp.measurement);
-    const tags = buildTagString(dp, trigger);
-    const line = `${meas},${tags} value=${num} ${ts}`;
+    await writeToInflux(dp, val, trigger, msToTs(tsMs), ack);
+}
+
+// Zurückgehaltene Werte (debounce/minInterval) sofort schreiben, z.B. beim Beenden
+async function flushPendingFilters() {
+    for (const pending of [debounced, pendingTrailing]) {
+        for (const [id, entry] of pending.takeAll()) {
+            const dp = subscriptions.get(id)?.dp;
+            if (dp) await emitValue(dp, entry.val, entry.tsMs, "change", entry.ack);
+        }
+    }
+}
+
+function logSkipStats() {
+    for (const [id, counts] of skipCounts) {
+        const parts = SKIP_REASONS.filter((r) => counts[r]).map((r) => `${r}=${counts[r]}`);
+        if (parts.length > 0) console.log(`Filter-Statistik ${id}: ${parts.join(", ")} übersprungen`);
+    }
+    const { invalid, clamped, rejected } = timestampCounts;
+    if (invalid + clamped + rejected > 0)
+        console.log(`Zeitstempel-Statistik: ${invalid} ungültig, ${clamped} auf Empfangszeit gesetzt, ${rejected} verworfen`);
+}
 
+async function loadInitialValue(dp) {
+    const { store, startupWrite } = stateSettings(cfg);
+    if (store === "influx") await rebuildFromInflux(dp);
+    try {
+        const st = await getStateAsync(dp.id);
+        if (Number.isFinite(st?.ts)) lastSeen.set(dp.id, st.ts);
+        const val = st?.val === undefined ? undefined : transformed(dp, st.val);
+        if (val !== undefined) {
+            lastValues.set(dp.id, val);
+            lastAcks.set(dp.id, st.ack);
+            checkPlausible(dp, val);
+            console.log(`Initial geladen ${dp.measurement}:`, val);
+
+            const value = dp.aggregate ? Number(val) : coerceValue(val, dp.type)?.value;
+            if (!startupWriteNeeded(startupWrite, value, writtenValues.get(dp.id))) return;
+
+            // ➟ Sofort in Influx schreiben, OHNE minDelta-Check
+            await writeToInflux(dp, val, "startup-initial", undefined, st.ack);
+        }
+    } catch (e) {
+        console.warn(`Initial-Lesen fehlgeschlagen für ${dp.id}:`, e.message);
+    }
+}
+
+// --------------------------------------------------
+// Zustand über Neustarts (siehe lib/state_store.js)
+// --------------------------------------------------
+async function loadPersistedState() {
+    if (stateSettings(cfg).store !== "file") return;
+    const data = await readStateFile(STATE_FILE);
+    if (!data) return;
+    const count = restoreState(data, persistedMaps);
+    console.log(`Zustand geladen: ${count} Datenpunkte (gespeichert ${new Date(data.saved).toISOString()})`);
+}
+
+async function savePersistedState() {
+    if (stateSettings(cfg).store !== "file") return;
+    try {
+        await writeStateFile(STATE_FILE, snapshotState(subscriptions.keys(), persistedMaps));
+    } catch (e) {
+        console.warn("Zustand konnte nicht gespeichert werden:", e.message);
+    }
+}
+
+// Letzte Zeile der Serie als Basis für minDelta und Heartbeat (nur wenn noch nichts bekannt ist)
+async function rebuildFromInflux(dp) {
+    if (writtenValues.has(dp.id)) return;
+    const [route] = datapointRoutes(dp, cfg);
+    const target = targets.get(route?.target);
+    if (!target) return;
     try {
-        await client.write(line);
         const now = Date.now();
-        lastWritten.set(dp.id, now);
-        writtenValues.set(dp.id, num);
-    } catch (err) {
-        logInfluxError(`Write-Error ${dp.measurement} (${trigger}):`, err);
-        enqueueValue(dp, num, trigger, ts);
+        const options = { start: now - STATE_REBUILD_MS, end: now, aggregate: "none", count: 1, returnNewestEntries: true };
+        const { sql, options: opts } = buildHistoryQuery(dp, options, cfg.defaultTags);
+        const rows = [];
+        for await (const row of target.client.query(sql, route.database)) rows.push(row);
+        const [last] = mapHistoryRows(rows, opts);
+        if (!last) return;
+        writtenValues.set(dp.id, last.val);
+        lastWritten.set(dp.id, last.ts);
+    } catch (e) {
+        console.warn(`Zustand für ${dp.id} nicht aus InfluxDB lesbar:`, e.message);
     }
 }
 
+function subscribeDatapoint(dp, fromSelector = false) {
+    if (subscriptions.has(dp.id)) return;
+    const sub = { dp, fromSelector, since: Date.now() };
+    sub.handler = on(subscribeOptions(dp), onStateChange(sub));
+    subscriptions.set(dp.id, sub);
+    maxIntervalTimers.reset(dp.id, maxIntervalMs(dp));
+    loadInitialValue(dp);
+}
+
+// Neue Einstellungen übernehmen; geänderte subscribe‑Optionen brauchen eine neue Anmeldung
+function updateDatapoint(sub, dp) {
+    const resubscribe = JSON.stringify(subscribeOptions(sub.dp)) !== JSON.stringify(subscribeOptions(dp));
+    // Offenes Aggregations‑Fenster: mit geänderten/entfernten aggregate‑Einstellungen
+    // nach den alten abschließen, sonst mit den neuen Tags weiterführen
+    const w = aggWindows.get(dp.id);
+    if (w && JSON.stringify(w.dp.aggregate) !== JSON.stringify(dp.aggregate)) flushWindow(dp.id);
+    else if (w) w.dp = dp;
+    if (maxIntervalMs(dp) !== maxIntervalMs(sub.dp)) maxIntervalTimers.reset(dp.id, maxIntervalMs(dp));
+    sub.dp = dp;
+    if (!resubscribe) return;
+    unsubscribe(sub.handler);
+    sub.handler = on(subscribeOptions(dp), onStateChange(sub));
+}
+
+function unsubscribeDatapoint(id) {
+    const sub = subscriptions.get(id);
+    if (!sub) return;
+    unsubscribe(sub.handler);
+    flushWindow(id);
+    debounced.drop(id);
+    pendingTrailing.drop(id);
+    maxIntervalTimers.clear(id);
+    subscriptions.delete(id);
+    alertTracker.forget(id);
+    for (const m of [lastValues, lastAcks, lastSeen, lastWritten, writtenValues, lastGuardRun, lastQueued, lastBuffered, skipCounts]) m.delete(id);
+}
+
 // --------------------------------------------------
-// Haupt‑Entry‑Point
+// Selector‑Einträge (Pattern / Enum / common.custom)
 // --------------------------------------------------
-async function main() {
-    // Client erst jetzt initialisieren → cfg ist garantiert verfügbar
-    client = new InfluxDBClient({
-        host: cfg.influx.host,
-        token: cfg.influx.token,
-        database: cfg.influx.database,
-    });
+let enumCache = []; // [{ id, name, members }]
 
-    await initQueueFile();
-    scheduleNextFlush();
+function loadEnums() {
+    const list = getEnums();
+    enumCache = Array.isArray(list) ? list : [];
+}
 
-    // Listener pro Datenpunkt
-    for (const dp of cfg.datapoints) {
-        on({ id: dp.id, change: "ne", ack: true }, async (obj) => {
-            const val = obj?.state?.val;
-            const lc = obj?.state?.lc;
-            const tsNs = typeof lc === "number" && Number.isFinite(lc)
-                ? msToNs(lc) // lc als ms-Zahl
-                : typeof lc === "string"
-                    ? msToNs(Date.parse(lc)) // lc als ISO-String
-                    : msToNs(Date.now()); // Fallback auf jetzt
-            lastValues.set(dp.id, val);
+const selectorEntries = () => cfg.datapoints.filter((e) => e.selector !== undefined);
+const staticIds = () => new Set(cfg.datapoints.filter((e) => e.selector === undefined).map((e) => e.id));
 
-            // ➟ **minDelta-Prüfung** (falls konfiguriert)
-            if (dp.minDelta !== undefined) {
-                const currentNum = Number(val);
-                const last = writtenValues.get(dp.id);
-                if (Number.isFinite(currentNum) &&
-                    last !== undefined &&
-                    Math.abs(currentNum - last) < dp.minDelta) {
-                    console.log(`minDelta skip ${dp.id}: |${currentNum} - ${last}| < ${dp.minDelta}`);
-                    return;
-                }
+// Erster passender Selector gewinnt; statische Einträge haben Vorrang
+function datapointForObject(id, obj) {
+    if (staticIds().has(id)) return null;
+    for (const entry of selectorEntries()) {
+        if (!matchesSelector(id, obj, entry.selector, enumCache)) continue;
+        const dp = buildDatapoint(entry, id, obj, enumCache);
+        const errors = datapointErrors(dp, cfg);
+        if (errors.length > 0) {
+            console.warn(`Selector-Treffer ${id} übersprungen: ${errors.map(formatError).join("; ")}`);
+            return null;
+        }
+        return dp;
+    }
+    return null;
+}
+
+// Neues/geändertes/gelöschtes Objekt zur Laufzeit einsortieren
+function applyObject(id, obj) {
+    const sub = subscriptions.get(id);
+    const dp = obj ? datapointForObject(id, obj) : null;
+
+    if (sub && !sub.fromSelector) return; // statische Einträge bleiben unberührt
+    if (!dp) {
+        if (sub) {
+            console.log(`Selector: ${id} passt nicht mehr → abgemeldet`);
+            unsubscribeDatapoint(id);
+        }
+        return;
+    }
+    if (sub) {
+        if (JSON.stringify(sub.dp) === JSON.stringify(dp)) return;
+        console.log(`Selector: ${id} aktualisiert → ${dp.measurement}`);
+        updateDatapoint(sub, dp); // Tags/Measurement/Trigger geändert
+        return;
+    }
+    console.log(`Selector: ${id} → ${dp.measurement}`);
+    subscribeDatapoint(dp, true);
+}
+
+async function resolveSelectors() {
+    loadEnums();
+    const seen = new Set();
+    for (const entry of selectorEntries()) {
+        // $() liefert nur IDs aus dem Objekt‑Cache; Objekte werden erst für Kandidaten gelesen
+        const ids = [];
+        $(`state[id=${entry.selector.pattern ?? "*"}]`).each((id) => { ids.push(id); });
+        for (const id of selectorCandidates(ids, entry.selector, enumCache)) {
+            if (seen.has(id)) continue;
+            seen.add(id);
+            try {
+                applyObject(id, await getObjectAsync(id));
+            } catch (e) {
+                console.warn(`Selector: Objekt ${id} nicht lesbar:`, e.message);
             }
-            await writeToInflux(dp, val, "change", tsNs);
-        });
+        }
+    }
+    // Nicht mehr gefundene Selector‑Datenpunkte abmelden
+    for (const [id, sub] of subscriptions) {
+        if (sub.fromSelector && !seen.has(id)) unsubscribeDatapoint(id);
+    }
+}
+
+let objectSubscriptions = [];
+let enumTimer = null;
 
-        // Initialwert laden
-        (async () => {
+function watchSelectorObjects() {
+    for (const handler of objectSubscriptions) unsubscribeObject(handler);
+    objectSubscriptions = [];
+    if (selectorEntries().length === 0) return;
+
+    const patterns = new Set(selectorEntries().map((e) => e.selector.pattern ?? "*"));
+    for (const pattern of patterns) {
+        objectSubscriptions.push(subscribeObject(pattern, (id, obj) => {
+            if (!id.startsWith("enum.")) applyObject(id, obj);
+        }));
+    }
+    // Raum/Funktion geändert → alle Selector neu auswerten
+    objectSubscriptions.push(subscribeObject("enum.*", () => {
+        clearTimeout(enumTimer);
+        enumTimer = setTimeout(() => resolveSelectors().catch((e) =>
+            console.warn("Selector-Neuauswertung fehlgeschlagen:", e.message)), 2_000);
+    }));
+}
+
+// --------------------------------------------------
+// Hot‑Reload der config.json
+// --------------------------------------------------
+const RELOAD_DEBOUNCE_MS = 1_000;
+let reloadTimer = null;
+
+function watchConfig() {
+    watchFile(CONFIG_PATH, { interval: 2_000 }, (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => reloadConfig().catch((e) =>
+            console.error("Config-Reload fehlgeschlagen:", e.message)), RELOAD_DEBOUNCE_MS);
+    });
+}
+
+async function reloadConfig() {
+    let text;
+    try {
+        text = await fs.readFile(CONFIG_PATH, "utf8");
+    } catch (e) {
+        console.error("Config-Reload: config.json nicht lesbar – alte Konfiguration bleibt aktiv:", e.message);
+        return;
+    }
+    const { config: next, error } = parseReloadedConfig(text);
+    if (error) {
+        console.error(`Config-Reload: ${error}`);
+        return;
+    }
+    await applyConfig(next);
+}
+
+// Wendet nur die Unterschiede zur laufenden Konfiguration an (siehe lib/reload.js)
+async function applyConfig(next) {
+    const diff = configDiff(cfg, next, subscriptions);
+    // Puffer enthalten fertige Zeilen in der alten Präzision → vor dem Wechsel leeren
+    if (diff.precisionChanged) await drainWriteBuffers();
+    cfg = next;
+
+    await applyTargets(diff.targets, diff.precisionChanged);
+
+    const { added, removed, updated } = diff.datapoints;
+    for (const id of removed) unsubscribeDatapoint(id);
+    for (const dp of added) subscribeDatapoint(dp);
+    for (const dp of updated) {
+        const sub = subscriptions.get(dp.id);
+        updateDatapoint(sub, dp);
+        sub.fromSelector = false;
+    }
+
+    // Selector neu auswerten (entfernte Selector melden ihre Treffer ab)
+    await resolveSelectors();
+    watchSelectorObjects();
+
+    console.log(`Config-Reload übernommen: +${added.length} / -${removed.length} / ~${updated.length} statische Datenpunkte, aktiv: ${subscriptions.size}`);
+}
+
+// Ziele anlegen, entfernen oder mit neuem Client versehen; Queues bleiben erhalten.
+// recreate = Clients wegen anderer Write‑Präzision neu erstellt
+async function applyTargets({ added, removed, changed }, recreate = false) {
+    const closeQuiet = async (c) => {
+        try { await c?.close?.(); } catch (e) { console.warn("Alter Client ließ sich nicht schließen:", e.message); }
+    };
+    const nextConns = targetConfigs(cfg);
+
+    for (const name of removed) {
+        const target = targets.get(name);
+        if (!target) continue;
+        // Puffer noch in die Queue des Ziels, Journal bleibt für ein späteres Wieder‑Hinzufügen liegen
+        target.stop();
+        await target.drain();
+        targets.delete(name);
+        await closeQuiet(target.client);
+        console.log(`Config-Reload: Ziel '${name}' entfernt`);
+    }
+    for (const name of added) {
+        await addTarget(name, nextConns[name]);
+        console.log(`Config-Reload: Ziel '${name}' hinzugefügt`);
+    }
+    for (const [name, target] of targets) {
+        if (added.includes(name)) continue;
+        target.journal.setLimits(queueLimits(cfg));
+        if (!changed.includes(name)) continue;
+        await closeQuiet(target.setClient(createClient(nextConns[name])));
+        console.log(`Config-Reload: ${recreate ? "Write-Präzision" : "Verbindung"} von '${name}' geändert → Client neu erstellt`);
+    }
+}
+
+// --------------------------------------------------
+// Heartbeat (ersetzt den „Smart Hourly Guard“)
+// --------------------------------------------------
+// Intervall in ms, 0 = aus
+function heartbeatMs(dp) {
+    return parseDuration(dp.heartbeat ?? cfg.heartbeat?.default ?? DEFAULT_HEARTBEAT);
+}
+
+// Beginn des aktuellen Slots in lokaler Zeit (z.B. :00, :15 bei 15m)
+function alignedSlot(now, iv) {
+    const offset = new Date(now).getTimezoneOffset() * 60_000;
+    return Math.floor((now - offset) / iv) * iv + offset;
+}
+
+let heartbeatRunning = false;
+
+async function runHeartbeats() {
+    if (heartbeatRunning) return; // vorheriger Durchlauf hängt noch (z.B. langsamer Write)
+    heartbeatRunning = true;
+    try {
+        await heartbeatTick();
+    } finally {
+        heartbeatRunning = false;
+    }
+}
+
+/**
+ * Schreibt den aktuellen Wert nur, wenn für das Intervall nichts geschrieben
+ * (oder gequeued) wurde. Mit `heartbeat.align` wird an Slot‑Grenzen geprüft
+ * und der Punkt mit dem Zeitstempel der Grenze geschrieben.
+ */
+async function heartbeatTick() {
+    const now = Date.now();
+    const align = cfg.heartbeat?.align === true;
+
+    for (const sub of subscriptions.values()) {
+        const dp = sub.dp;
+        const iv = heartbeatMs(dp);
+        if (!iv) continue;
+        // Toter Sensor: keine „flache Linie“ schreiben, die Lücke ist die Information
+        if (alertTracker.isActive(`${dp.id}/stale`)) continue;
+
+        // Nach einem Neustart zählt der gesicherte letzte Write, sonst der Start der Subscription
+        const lastActivity = lastWriteTime(dp.id) || sub.since;
+        let ts = now;
+        if (align) {
+            const slot = alignedSlot(now, iv);
+            if (lastGuardRun.get(dp.id) === slot) continue;
+            lastGuardRun.set(dp.id, slot);
+            if (slot - lastActivity < iv) continue;
+            ts = slot;
+        } else if (now - lastActivity < iv) {
+            continue;
+        }
+
+        let val = lastValues.get(dp.id);
+        if (val === undefined) {
             try {
                 const st = await getStateAsync(dp.id);
-                if (st?.val !== undefined) {
-                    lastValues.set(dp.id, st.val);
-                    console.log(`Initial geladen ${dp.measurement}:`, st.val);
-
-                    // ➟ Sofort in Influx schreiben, OHNE minDelta-Check
-                    await writeToInflux(dp, st.val, "startup-initial");
-                }
+                val = st?.val === undefined ? undefined : transformed(dp, st.val);
+                lastValues.set(dp.id, val);
+                lastAcks.set(dp.id, st?.ack);
             } catch (e) {
-                console.warn(`Initial-Lesen fehlgeschlagen für ${dp.id}:`, e.message);
+                console.warn(`Heartbeat Lesen fehlgeschlagen für ${dp.id}:`, e.message);
+                continue;
             }
-        })();
+        }
+
+        if (val !== undefined) {
+            console.log(`Heartbeat: Schreibe Wert für ${dp.id} (${val}), da seit ${formatDuration(iv)} nichts geschrieben wurde`);
+            await writeToInflux(dp, val, "hourly-guard", msToTs(ts), lastAcks.get(dp.id));
+        } else {
+            console.warn(`Heartbeat: Konnte keinen Wert für ${dp.id} finden, überspringe Write.`);
+        }
+    }
+}
+
+// --------------------------------------------------
+// Alarme: staleAfter & plausible (siehe lib/alerts.js)
+// --------------------------------------------------
+const alertTracker = createAlertTracker();
+let alertsRunning = false;
+
+const alertStateId = (dp, kind) => `alerts.${safeId(dp.id)}.${kind}`;
+
+/**
+ * Alarmzustand setzen: State sofort, Log/alerts‑Tabelle bei Wechsel,
+ * Benachrichtigung nach den Grenzen des Trackers.
+ */
+async function setAlert(dp, kind, active, detail) {
+    const settings = alertSettings(cfg);
+    const now = Date.now();
+    const event = alertTracker.update(`${dp.id}/${kind}`, active, now, settings);
+    if (!event) return;
+
+    const text = alertMessage(dp, kind, active, detail);
+    if (event.changed) {
+        (active ? console.warn : console.log)(`Alarm ${text}`);
+        if (settings.write) writeAlert(dp, kind, active, text, now, settings);
+        try {
+            await publishState(alertStateId(dp, kind), active,
+                { type: "boolean", role: "indicator.alarm", name: `${kind === "stale" ? "Keine Aktualisierung" : "Unplausibler Wert"}: ${dp.id}`, def: false });
+            await publishState("alerts.active", alertTracker.activeCount(),
+                { type: "number", role: "value", name: "Aktive Alarme", def: 0 });
+            await publishState("alerts.lastMessage", text, { type: "string", role: "text", name: "Letzte Alarmmeldung", def: "" });
+        } catch (e) {
+            console.warn(`Alarm-State für ${dp.id} konnte nicht gesetzt werden:`, e.message);
+        }
+    }
+    if (event.notify) notifyAlert(text, settings);
+}
+
+function notifyAlert(text, settings) {
+    for (const { instance, command } of settings.notify) {
+        try {
+            // Felder für die gängigen Adapter: telegram (text), pushover (message/title), email (text/subject)
+            sendTo(instance, command, { text, message: text, title: "InfluxDB3 Connector", subject: "InfluxDB3 Connector" });
+        } catch (e) {
+            console.warn(`Benachrichtigung über ${instance} fehlgeschlagen:`, e.message);
+        }
+    }
+}
+
+// Alarm als Punkt in die alerts‑Tabelle (Ziele des Datenpunkts); eigene id, damit Heartbeat/minDelta unberührt bleiben
+function writeAlert(dp, kind, active, text, now, settings) {
+    const entry = toEntry(
+        { id: `alert/${dp.id}`, measurement: settings.measurement, tags: { datapoint: dp.id, kind } },
+        [{ key: "active", value: active, type: "boolean" }, { key: "message", value: text, type: "string" }],
+        "alert",
+        msToTs(now)
+    );
+    for (const { target, database } of datapointRoutes(dp, cfg)) {
+        targets.get(target)?.write(database ? { ...entry, database } : entry);
     }
+}
 
-    // Smart Hourly Guard
-    const ONE_HOUR = 60 * 60 * 1000;
+// Wert gegen plausible.min/max; nicht numerische Werte ändern den Alarm nicht
+function checkPlausible(dp, val) {
+    const bad = implausible(dp.plausible, val);
+    if (bad === null) return;
+    setAlert(dp, "implausible", bad, { value: val }).catch((e) => console.warn(`Alarm ${dp.id}:`, e.message));
+}
+
+// staleAfter: change "ne" meldet gleiche Werte nicht → vor dem Alarm ts des States lesen
+async function checkStale(sub, now) {
+    const dp = sub.dp;
+    const staleMs = parseDuration(dp.staleAfter);
+    if (!staleMs) return;
+    let seen = lastSeen.get(dp.id) ?? 0;
+    if (now - seen >= staleMs) {
+        try {
+            const st = await getStateAsync(dp.id);
+            if (Number.isFinite(st?.ts) && st.ts > seen) lastSeen.set(dp.id, (seen = st.ts));
+        } catch (e) {
+            console.warn(`Alarm: State ${dp.id} nicht lesbar:`, e.message);
+            return;
+        }
+    }
+    const since = seen || sub.since;
+    await setAlert(dp, "stale", now - since >= staleMs, { staleMs, since: seen || undefined });
+}
 
-    setInterval(async () => {
+async function runAlertChecks() {
+    if (alertsRunning) return;
+    alertsRunning = true;
+    try {
         const now = Date.now();
-        for (const dp of cfg.datapoints) {
-            const lastGuardExecution = lastGuardRun.get(dp.id) || 0;
-            if (now - lastGuardExecution < ONE_HOUR) {
-                continue;
-            }
-            lastGuardRun.set(dp.id, now);
+        for (const sub of [...subscriptions.values()]) {
+            if (sub.dp.staleAfter !== undefined) await checkStale(sub, now);
+        }
+    } finally {
+        alertsRunning = false;
+    }
+}
+
+// --------------------------------------------------
+// Health & Statistik als ioBroker‑States
+// --------------------------------------------------
+// Werte berechnet lib/health.js; hier nur anlegen und setzen (unterhalb von stats.prefix)
+const createdStates = new Set();
+const publishedValues = new Map(); // voller State‑ID → zuletzt gesetzter Wert
+
+const statsEnabled = () => cfg.stats?.enabled !== false;
+const statsPrefix = () => cfg.stats?.prefix ?? "0_userdata.0.influxdb3";
+
+async function publishState(rel, val, common) {
+    const id = `${statsPrefix()}.${rel}`;
+    if (!createdStates.has(id)) {
+        const { def, ...rest } = common;
+        await createStateAsync(id, def, { read: true, write: false, ...rest });
+        createdStates.add(id);
+    }
+    if (publishedValues.get(id) === val) return;
+    await setStateAsync(id, val, true);
+    publishedValues.set(id, val);
+}
+
+async function publishHealth() {
+    if (!statsEnabled()) return;
+    const now = Date.now();
+    const { values, targets: perTarget } = healthValues([...targets.values()], now,
+        { datapoints: subscriptions.size, timestampCounts });
+    for (const [rel, val] of Object.entries(values)) await publishState(rel, val, HEALTH_STATES[rel]);
+
+    for (const { name, values: tv } of perTarget) {
+        for (const [key, val] of Object.entries(tv)) {
+            await publishState(`targets.${safeId(name)}.${key}`, val,
+                { ...TARGET_STATES[key], name: `${TARGET_STATES[key].name} (${name})` });
+        }
+        targets.get(name).resetRates(now);
+    }
+
+    // Rollups: bis wohin alle Measurements eines Jobs verdichtet sind
+    for (const [name, until] of Object.entries(rollupProcessedUntil(rollupProgress ?? {}))) {
+        await publishState(`rollups.${safeId(name)}.processedUntil`, until,
+            { type: "number", role: "value.time", name: `Rollup ${name}: verarbeitet bis`, def: 0 });
+    }
+
+    // Übersprungene Werte pro Filter (gesamt) und pro Datenpunkt
+    const totals = skipTotals(skipCounts.values(), SKIP_REASONS);
+    for (const r of SKIP_REASONS) {
+        await publishState(`filters.skipped_${r}`, totals[r],
+            { type: "number", role: "value", name: `Von ${r} übersprungene Werte seit Start`, def: 0 });
+    }
+
+    if (cfg.stats?.perDatapoint === false) return;
+    for (const id of subscriptions.keys()) {
+        const base = `datapoints.${safeId(id)}`;
+        const counts = skipCounts.get(id) ?? {};
+        await publishState(`${base}.lastWritten`, lastWritten.get(id) ?? 0,
+            { type: "number", role: "value.time", name: `Letzter Write ${id}`, def: 0 });
+        await publishState(`${base}.skipped`, SKIP_REASONS.reduce((sum, r) => sum + (counts[r] ?? 0), 0),
+            { type: "number", role: "value", name: `Übersprungene Werte ${id}`, def: 0 });
+    }
+}
+
+// --------------------------------------------------
+// Backfill nach Ausfall (siehe lib/backfill.js)
+// --------------------------------------------------
+// getHistory an eine History‑Instanz (history/sql/influxdb) → [{ val, ts, ack }]
+function requestHistory(instance, id, options, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() =>
+            reject(new Error(`keine Antwort von ${instance} nach ${formatDuration(timeoutMs)}`)), timeoutMs);
+        sendTo(instance, "getHistory", { id, options }, (res) => {
+            clearTimeout(timer);
+            if (res?.error) reject(new Error(String(res.error)));
+            else resolve(res?.result ?? []);
+        });
+    });
+}
+
+// Jüngster Punkt der Serie vor `before` – gelesen vom ersten Ziel des Datenpunkts
+async function lastTimeInInflux(dp, before) {
+    const [route] = datapointRoutes(dp, cfg);
+    const target = targets.get(route?.target);
+    if (!target) throw new Error(`Kein Ziel für ${dp.id} konfiguriert`);
+    for await (const row of target.client.query(buildLastTimeQuery(dp, before, cfg.defaultTags), route.database)) {
+        return lastTimeOf(row);
+    }
+    return null;
+}
+
+// Trägt die Lücke eines Datenpunkts nach; liefert die Zahl der Punkte
+async function backfillDatapoint(dp, since, settings) {
+    const last = await lastTimeInInflux(dp, since);
+    const range = backfillRange(last, since, settings.maxWindowMs);
+    if (!range) return 0;
+
+    const result = await requestHistory(settings.instance, dp.id, historyOptions(range, settings.maxPoints), settings.timeoutMs);
+    const points = historyPoints(result, range, dp.subscribe?.ack);
+    let written = 0;
+    for (const p of points) {
+        const val = transformed(dp, p.val);
+        const coerced = val === undefined ? null : coerceValue(val, dp.type);
+        if (!coerced) continue;
+        // ohne Filter und ohne writtenValues: Live‑Werte sind neuer als die Lücke
+        const point = withAck(dp, [{ key: "value", ...coerced }], p.ack);
+        writeFields(dp, point.fields, "backfill", msToTs(p.ts), point.tags);
+        if (++written % MAX_BATCH === 0) await drainWriteBuffers(); // Puffer nicht beliebig füllen
+    }
+
+    const from = new Date(range.start).toISOString();
+    const to = new Date(range.end).toISOString();
+    console.log(`Backfill ${dp.id}: ${written} Punkte aus ${settings.instance} (${from} … ${to})`);
+    if (range.truncated) console.warn(`Backfill ${dp.id}: Lücke seit ${new Date(last).toISOString()} ist länger als maxWindow – nur das letzte Stück nachgetragen`);
+    if (Array.isArray(result) && result.length >= settings.maxPoints)
+        console.warn(`Backfill ${dp.id}: maxPoints (${settings.maxPoints}) erreicht – Lücke evtl. nicht vollständig`);
+    return written;
+}
+
+// Einmal beim Start, nacheinander für alle Datenpunkte (Startzeit = Beginn der Subscription)
+async function runBackfill() {
+    const settings = backfillSettings(cfg);
+    if (!settings) return;
+    let points = 0, datapoints = 0;
+    for (const sub of [...subscriptions.values()]) {
+        if (!backfillEnabled(sub.dp, cfg)) continue;
+        try {
+            const n = await backfillDatapoint(sub.dp, sub.since, settings);
+            points += n;
+            if (n > 0) datapoints++;
+        } catch (e) {
+            console.warn(`Backfill ${sub.dp.id} fehlgeschlagen:`, e.message);
+        }
+    }
+    console.log(`Backfill abgeschlossen: ${points} Punkte für ${datapoints} Datenpunkte nachgetragen`);
+}
+
+// --------------------------------------------------
+// Rollups / Downsampling (siehe lib/rollup.js)
+// --------------------------------------------------
+let rollupProgress = null; // { job: { measurement: Ende des letzten Fensters (ms) } }, beim Start geladen
+let rollupLate = {}; // { job: { measurement: [Fensterbeginn (ms)] } } – verdichtet, aber später noch Punkte bekommen
+let rollupRunning = false;
+const rollupErrors = new Map(); // "job/measurement" → letzte Fehlermeldung (gleiche Fehler nur einmal loggen)
+
+async function queryRows(route, sql) {
+    const target = targets.get(route.target);
+    if (!target) throw new Error(`Ziel '${route.target}' ist nicht konfiguriert`);
+    const rows = [];
+    for await (const row of target.client.query(sql, route.database)) rows.push(row);
+    return rows;
+}
+
+// Ohne gespeicherten Fortschritt: Ende des letzten Rollup‑Fensters in der Zieltabelle
+async function lastRollupEnd(route, table, settings) {
+    try {
+        const [row] = await queryRows(route, lastRollupQuery(table));
+        const last = row?.last === null || row?.last === undefined ? NaN : toMs(row.last);
+        return Number.isFinite(last) ? last + settings.windowMs : null;
+    } catch {
+        return null; // Tabelle gibt es noch nicht
+    }
+}
+
+async function loadRollupProgress() {
+    const data = await readStateFile(ROLLUP_FILE);
+    rollupProgress = data?.jobs ?? {};
+    rollupLate = data?.late ?? {};
+}
+
+async function saveRollupProgress() {
+    try {
+        await writeStateFile(ROLLUP_FILE, { version: 1, saved: Date.now(), jobs: rollupProgress, late: rollupLate });
+    } catch (e) {
+        console.warn("Rollup-Fortschritt konnte nicht gespeichert werden:", e.message);
+    }
+}
+
+/**
+ * Schreibt ein Ziel Punkte in schon verdichtete Fenster (Queue nach einem
+ * Ausfall, Backfill), werden diese beim nächsten Lauf neu verdichtet.
+ */
+function markLateRollups(entries, targetName) {
+    if (!rollupProgress || !Array.isArray(cfg.rollups)) return;
+    const database = targetConfigs(cfg)[targetName]?.database;
+    for (const job of cfg.rollups) {
+        const route = rollupRoute(job, cfg);
+        if (route.target !== targetName) continue;
+        const settings = rollupSettings(job);
+        for (const q of entries) {
+            if (!settings.measurements.includes(q.measurement) || q.ts === undefined) continue;
+            if ((q.database ?? database) !== (route.database ?? database)) continue;
+            const ms = Number(convertTimestamp(q.ts, q.precision, "ms"));
+            const start = lateWindow(rollupProgress[settings.name]?.[q.measurement], ms, settings.windowMs);
+            if (start === null) continue;
+            const late = ((rollupLate[settings.name] ??= {})[q.measurement] ??= []);
+            if (!late.includes(start)) late.push(start);
+        }
+    }
+}
+
+/**
+ * Verdichtet [start, end) in Stücken. Jedes Stück geht über den normalen
+ * Write‑Pfad (Puffer → bei Fehlern Queue); erst danach wird onChunk aufgerufen.
+ * @returns {Promise<number>} geschriebene Punkte
+ */
+async function rollupWindows(settings, route, measurement, tags, range, onChunk) {
+    const target = targets.get(route.target);
+    const dp = { id: `rollup/${settings.name}`, measurement: rollupTable(measurement, settings) };
+    let points = 0;
+    for (const chunk of rollupChunks(range, settings.windowMs)) {
+        const rows = await queryRows(route, rollupQuery(measurement, tags, chunk.start, chunk.end, settings));
+        for (const p of rollupPoints(rows, tags, settings)) {
+            const entry = toEntry({ ...dp, tags: p.tags }, p.fields, "rollup", msToTs(p.ms));
+            target.write(route.database ? { ...entry, database: route.database } : entry);
+            points++;
+        }
+        await target.drain();
+        if (onChunk) await onChunk(chunk);
+    }
+    return points;
+}
+
+// Verarbeitet verspätet befüllte und alle fälligen Fenster eines Measurements
+async function rollupMeasurement(settings, route, measurement) {
+    const progress = (rollupProgress[settings.name] ??= {});
+    const table = rollupTable(measurement, settings);
+    if (progress[measurement] === undefined) progress[measurement] = await lastRollupEnd(route, table, settings);
+
+    const late = [...(rollupLate[settings.name]?.[measurement] ?? [])];
+    const range = rollupRange(progress[measurement], Date.now(), settings);
+    if (!range && late.length === 0) return;
+    if (range?.skipped)
+        console.warn(`Rollup '${settings.name}' ${measurement}: Lücke länger als catchUp – Fenster vor ${new Date(range.start).toISOString()} fehlen`);
+
+    const tags = settings.groupBy ?? tagColumns(await queryRows(route, tagColumnsQuery(measurement)), settings.exclude);
+
+    // Gleiche Serie und Zeit → die alten Rollup‑Punkte werden überschrieben
+    if (late.length > 0) {
+        let points = 0;
+        for (const r of windowRanges(late, settings.windowMs)) points += await rollupWindows(settings, route, measurement, tags, r);
+        // währenddessen neu markierte Fenster bleiben für den nächsten Lauf
+        rollupLate[settings.name][measurement] = rollupLate[settings.name][measurement].filter((w) => !late.includes(w));
+        await saveRollupProgress();
+        console.log(`Rollup '${settings.name}': ${late.length} Fenster ${measurement} → ${table} wegen verspäteter Punkte neu verdichtet (${points} Punkte)`);
+    }
+    if (!range) return;
+
+    const points = await rollupWindows(settings, route, measurement, tags, range, async (chunk) => {
+        progress[measurement] = chunk.end;
+        await saveRollupProgress();
+    });
+    const from = new Date(range.start).toISOString();
+    const to = new Date(range.end).toISOString();
+    console.log(`Rollup '${settings.name}': ${points} Punkte ${measurement} → ${table} (${from} … ${to})`);
+}
 
-            let val = lastValues.get(dp.id);
-            if (val === undefined) {
+async function runRollups() {
+    if (rollupRunning || !Array.isArray(cfg.rollups) || cfg.rollups.length === 0) return;
+    rollupRunning = true;
+    try {
+        if (!rollupProgress) await loadRollupProgress();
+        for (const job of cfg.rollups) {
+            const settings = rollupSettings(job);
+            const route = rollupRoute(job, cfg);
+            for (const measurement of settings.measurements) {
+                const key = `${settings.name}/${measurement}`;
                 try {
-                    const st = await getStateAsync(dp.id);
-                    val = st?.val;
-                    lastValues.set(dp.id, val);
+                    await rollupMeasurement(settings, route, measurement);
+                    rollupErrors.delete(key);
                 } catch (e) {
-                    console.warn(`Hourly Guard Lesen fehlgeschlagen für ${dp.id}:`, e.message);
-                    continue;
+                    // nächster Versuch beim nächsten Tick, Fortschritt bleibt stehen
+                    const msg = formatInfluxError(e);
+                    if (rollupErrors.get(key) !== msg)
+                        console.warn(`Rollup '${settings.name}' ${measurement} fehlgeschlagen (neuer Versuch jede Minute): ${msg}`);
+                    rollupErrors.set(key, msg);
                 }
             }
-
-            if (val !== undefined) {
-                console.log(`Hourly Guard: Schreibe Wert für ${dp.id} (${val}), da >1h seit dem letzten Mal, als der Guard für diesen Datenpunkt aktiv wurde`);
-                await writeToInflux(dp, val, "hourly-guard");
-            } else {
-                console.warn(`Hourly Guard: Konnte keinen Wert für ${dp.id} finden, überspringe Write.`);
-            }
         }
-    }, 60_000);
+    } finally {
+        rollupRunning = false;
+    }
+}
+
+// --------------------------------------------------
+// getHistory (History‑Adapter‑Protokoll) per onMessage
+// --------------------------------------------------
+/**
+ * Beantwortet getHistory‑Anfragen für konfigurierte Datenpunkte, z.B.:
+ *   messageTo("getHistory", { id, options: { start, end, aggregate: "average", count: 300 } }, cb)
+ * Antwort wie bei history/sql/influxdb: { result: [{ val, ts }], step, error }
+ */
+async function getHistory(data) {
+    const id = data?.id;
+    const sub = subscriptions.get(id);
+    if (!sub) return { result: [], error: `Datenpunkt ${id} ist nicht konfiguriert` };
+
+    // Gelesen wird vom ersten Ziel des Datenpunkts
+    const [route] = datapointRoutes(sub.dp, cfg);
+    const target = targets.get(route?.target);
+    if (!target) return { result: [], error: `Kein Ziel für ${id} konfiguriert` };
 
-    console.log("InfluxDB3 Connector gestartet. Überwacht:", cfg.datapoints.map((d) => d.id).join(", "));
+    const { sql, options } = buildHistoryQuery(sub.dp, data.options, cfg.defaultTags);
+    const rows = [];
+    for await (const row of target.client.query(sql, route.database)) rows.push(row);
+    return { result: mapHistoryRows(rows, options), step: options.aggregate === "none" ? null : options.step, error: null };
+}
+
+function registerMessageHandlers() {
+    onMessage("getHistory", (data, callback) => {
+        getHistory(data)
+            .then((res) => callback({ ...res, sessionId: data?.options?.sessionId }))
+            .catch((e) => {
+                console.warn(`getHistory für ${data?.id} fehlgeschlagen:`, e.message);
+                callback({ result: [], error: e.message, sessionId: data?.options?.sessionId });
+            });
+    });
+}
+
+// --------------------------------------------------
+// Haupt‑Entry‑Point
+// --------------------------------------------------
+async function main() {
+    // Rollup‑Fortschritt vor dem ersten Queue‑Flush, damit verspätete Punkte erkannt werden
+    await loadRollupProgress();
+
+    // Clients erst jetzt initialisieren → cfg ist garantiert verfügbar
+    await initTargets();
+
+    // minDelta‑Basis und Heartbeat‑Zeitpunkte vom letzten Lauf
+    await loadPersistedState();
+
+    // Listener pro statischem Datenpunkt
+    for (const dp of cfg.datapoints) {
+        if (dp.selector === undefined) subscribeDatapoint(dp);
+    }
+
+    // Selector‑Einträge auflösen und auf neue Objekte achten
+    if (selectorEntries().length > 0) {
+        await resolveSelectors();
+        watchSelectorObjects();
+    }
+
+    // Änderungen an config.json ohne Neustart übernehmen
+    watchConfig();
+
+    // Historie für Charts/Skripte bereitstellen
+    registerMessageHandlers();
+
+    // Lücke seit dem letzten Lauf nachtragen (läuft im Hintergrund); Rollups starten erst
+    // danach, sonst verdichten sie Fenster, die der Backfill gerade noch füllt
+    const tickRollups = () => runRollups().catch((e) => console.error("Rollups fehlgeschlagen:", e.message));
+    runBackfill()
+        .catch((e) => console.error("Backfill fehlgeschlagen:", e.message))
+        .finally(() => {
+            tickRollups(); // gleich aufholen
+            setInterval(tickRollups, ROLLUP_TICK_MS);
+        });
+
+    // Health‑States regelmäßig aktualisieren
+    setInterval(() => publishHealth().catch((e) =>
+        console.warn("Health-States konnten nicht gesetzt werden:", e.message)), STATS_INTERVAL_MS);
+
+    // Heartbeat pro Datenpunkt
+    setInterval(runHeartbeats, HEARTBEAT_TICK_MS);
+
+    // Alarme: tote Sensoren (staleAfter)
+    setInterval(() => runAlertChecks().catch((e) => console.warn("Alarm-Prüfung fehlgeschlagen:", e.message)), ALERT_TICK_MS);
+
+    // Übersprungene Werte pro Filter regelmäßig loggen
+    setInterval(logSkipStats, SKIP_LOG_MS);
+
+    // Zustand sichern – regelmäßig und beim Stoppen des Skripts
+    setInterval(savePersistedState, STATE_SAVE_MS);
+
+    // Der JS‑Adapter kennt nur einen onStop‑Callback pro Skript – alles Aufräumen hier.
+    // fs.watchFile überlebt einen Skript‑Stopp → explizit beenden. SIGINT/SIGTERM kommen
+    // beim Skript‑Stopp nicht an, daher derselbe shutdown() wie dort.
+    onStop((callback) => {
+        unwatchFile(CONFIG_PATH);
+        shutdown()
+            .catch((e) => console.error("Fehler beim Beenden:", e.message))
+            .finally(() => callback());
+    }, STOP_TIMEOUT_MS);
+
+    console.log(`InfluxDB3 Connector gestartet. Ziele: ${[...targets.keys()].join(", ")}. Überwacht:`, [...subscriptions.keys()].join(", "));
 }
 
 // --------------------------------------------------
 // Graceful Shutdown
 // --------------------------------------------------
+// Zurückgehaltene Werte, offene Fenster und Puffer schreiben, dann die Queue – erst danach
+// den Zustand sichern (sonst fehlen die letzten Writes in lastWritten). Gesichert wird
+// auch, wenn das Schreiben scheitert; ein zweiter Aufruf wartet auf den ersten.
+let shutdownRun = null;
+function shutdown() {
+    shutdownRun ??= (async () => {
+        try {
+            await flushPendingFilters();
+            flushAllWindows();
+            await drainWriteBuffers();
+            await flushAllQueues();
+        } finally {
+            for (const t of targets.values()) t.stop();
+            await savePersistedState();
+        }
+    })();
+    return shutdownRun;
+}
+
 for (const sig of ["SIGINT", "SIGTERM"]) {
     process.on(sig, async () => {
         console.log(`\n${sig} empfangen → Flush & Exit …`);
         try {
-            await flushQueue();
+            await shutdown();
+        } catch (e) {
+            console.error("Fehler beim Beenden:", e.message);
         } finally {
             process.exit(0);
         }
@@ -342,10 +1535,10 @@ for (const sig of ["SIGINT", "SIGTERM"]) {
 // FATAL ERROR HANDLER
 process.on("unhandledRejection", async err => {
     console.error("Unhandled rejection:", err);
-    try { await flushQueue(); } finally { process.exit(1); }
+    try { await flushAllQueues(); } finally { process.exit(1); }
 });
 
 process.on("uncaughtException", async err => {
     console.error("Fatal:", err);
-    try { await flushQueue(); } finally { process.exit(1); }
+    try { await flushAllQueues(); } finally { process.exit(1); }
 });
\ No newline at end of file
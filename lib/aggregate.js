@@ -0,0 +1,46 @@
+"use strict";
+/**
+ * aggregate.js
+ * ----------------------------------------------------------
+ * Fenster‑Aggregation für hochfrequente Datenpunkte (Zähler, PV‑Wechselrichter).
+ * Statt jedes Change‑Events wird pro Fenster ein Punkt geschrieben, dessen
+ * Felder die Ergebnisse der konfigurierten Funktionen sind:
+ *
+ *   "aggregate": { "window": "60s", "functions": ["mean", "min", "max"] }
+ *   → power,trigger=aggregate mean=412.3,min=380,max=455 <fensterbeginn>
+ */
+
+const AGGREGATE_FUNCTIONS = {
+    mean: (v) => v.reduce((a, b) => a + b, 0) / v.length,
+    min: (v) => v.reduce((a, b) => (b < a ? b : a)),
+    max: (v) => v.reduce((a, b) => (b > a ? b : a)),
+    last: (v) => v[v.length - 1],
+    count: (v) => v.length,
+    sum: (v) => v.reduce((a, b) => a + b, 0)
+};
+const DEFAULT_FUNCTIONS = ["mean", "min", "max"];
+
+/**
+ * Berechnet die Felder für ein Fenster.
+ * @param {number[]} values     numerische Werte in Eingangsreihenfolge
+ * @param {string[]} functions  Namen aus AGGREGATE_FUNCTIONS
+ * @returns {Array<{key: string, value: number, type: string}>}
+ */
+function aggregateFields(values, functions = DEFAULT_FUNCTIONS) {
+    if (values.length === 0) return [];
+    return functions.map((fn) => ({
+        key: fn,
+        value: AGGREGATE_FUNCTIONS[fn](values),
+        type: fn === "count" ? "integer" : "float"
+    }));
+}
+
+// Fensterbeginn (ms) für einen Zeitstempel – an der Epoche ausgerichtet
+const windowStart = (tsMs, windowMs) => Math.floor(tsMs / windowMs) * windowMs;
+
+module.exports = {
+    AGGREGATE_FUNCTIONS,
+    DEFAULT_FUNCTIONS,
+    aggregateFields,
+    windowStart
+};
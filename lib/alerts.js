@@ -0,0 +1,130 @@
+"use strict";
+/**
+ * alerts.js
+ * ----------------------------------------------------------
+ * Alarme pro Datenpunkt:
+ *
+ *   stale        seit `staleAfter` keine Aktualisierung (toter Sensor)
+ *   implausible  letzter Wert außerhalb `plausible.min` … `plausible.max`
+ *
+ * Der Alarm‑State folgt immer sofort dem Zustand. Benachrichtigungen
+ * (sendTo an Telegram/Pushover/E‑Mail …) sind begrenzt:
+ *
+ *  • ein neuer Alarm höchstens einmal pro `alerts.interval` je Datenpunkt und Art
+ *    (flatternde Sensoren)
+ *  • Erinnerung bei weiter aktivem Alarm alle `alerts.repeat` (Default aus)
+ *  • Entwarnung nur, wenn auch der Alarm gemeldet wurde
+ */
+
+const { parseDuration, formatDuration } = require("./duration");
+
+const ALERT_KINDS = ["stale", "implausible"];
+const DEFAULT_ALERTS = { interval: "1h", repeat: "off", write: false, measurement: "alerts", command: "send" };
+
+/**
+ * cfg.alerts mit Defaults, Dauern in ms.
+ * notify: [{ instance, command }] (Einträge als String = Instanz mit "send")
+ */
+function alertSettings(c) {
+    const a = { ...DEFAULT_ALERTS, ...(c?.alerts ?? {}) };
+    const notify = (Array.isArray(a.notify) ? a.notify : []).map((n) =>
+        typeof n === "string" ? { instance: n, command: a.command } : { command: a.command, ...n });
+    return {
+        intervalMs: parseDuration(a.interval) ?? 0,
+        repeatMs: parseDuration(a.repeat) ?? 0,
+        write: a.write === true,
+        measurement: a.measurement,
+        notify
+    };
+}
+
+/**
+ * Prüft einen Wert gegen dp.plausible. Nicht numerische Werte werden nicht bewertet.
+ * @returns {boolean|null}  true = außerhalb, null = nicht prüfbar
+ */
+function implausible(plausible, value) {
+    if (!plausible) return null;
+    if (typeof value !== "number" && !(typeof value === "string" && value.trim() !== "")) return null;
+    const num = Number(value);
+    if (!Number.isFinite(num)) return null;
+    return (plausible.min !== undefined && num < plausible.min) || (plausible.max !== undefined && num > plausible.max);
+}
+
+const formatRange = ({ min, max } = {}) => `${min ?? "−∞"} … ${max ?? "∞"}`;
+
+/**
+ * Text für Log, Benachrichtigung und alerts‑Tabelle.
+ * @param {object} dp
+ * @param {string} kind     stale | implausible
+ * @param {boolean} active
+ * @param {object} detail   stale: { staleMs, since }, implausible: { value }
+ */
+function alertMessage(dp, kind, active, detail = {}) {
+    const who = `${dp.id} (${dp.measurement})`;
+    if (kind === "stale") {
+        if (!active) return `✅ ${who}: wieder aktualisiert`;
+        const since = Number.isFinite(detail.since) ? ` (letzte Aktualisierung ${new Date(detail.since).toISOString()})` : "";
+        return `⚠️ ${who}: seit ${formatDuration(detail.staleMs)} keine Aktualisierung${since}`;
+    }
+    if (!active) return `✅ ${who}: Wert ${detail.value} wieder im Bereich ${formatRange(dp.plausible)}`;
+    return `⚠️ ${who}: Wert ${detail.value} außerhalb ${formatRange(dp.plausible)}`;
+}
+
+/**
+ * Zustand aller Alarme mit Begrenzung der Benachrichtigungen.
+ */
+function createAlertTracker() {
+    // "id/kind" → { active, since, notifiedAt, notified }
+    const alerts = new Map();
+
+    /**
+     * @param {string} key
+     * @param {boolean} active
+     * @param {number} now
+     * @param {object} settings  alertSettings(cfg)
+     * @returns {{active: boolean, changed: boolean, notify: boolean}|null}  null = nichts zu tun
+     */
+    function update(key, active, now, { intervalMs = 0, repeatMs = 0 } = {}) {
+        const a = alerts.get(key) ?? { active: false, since: null, notifiedAt: null, notified: false };
+        alerts.set(key, a);
+
+        if (active && !a.active) {
+            const notify = a.notifiedAt === null || now - a.notifiedAt >= intervalMs;
+            Object.assign(a, { active: true, since: now, notified: notify });
+            if (notify) a.notifiedAt = now;
+            return { active: true, changed: true, notify };
+        }
+        if (!active && a.active) {
+            const notify = a.notified;
+            Object.assign(a, { active: false, since: null, notified: false });
+            return { active: false, changed: true, notify };
+        }
+        if (active && repeatMs > 0 && now - (a.notifiedAt ?? a.since) >= repeatMs) {
+            a.notifiedAt = now;
+            a.notified = true;
+            return { active: true, changed: false, notify: true };
+        }
+        return null;
+    }
+
+    const isActive = (key) => alerts.get(key)?.active === true;
+    const activeCount = () => [...alerts.values()].filter((a) => a.active).length;
+
+    // Datenpunkt abgemeldet → seine Alarme vergessen
+    function forget(id) {
+        for (const key of [...alerts.keys()]) {
+            if (key.startsWith(`${id}/`)) alerts.delete(key);
+        }
+    }
+
+    return { update, isActive, activeCount, forget };
+}
+
+module.exports = {
+    ALERT_KINDS,
+    DEFAULT_ALERTS,
+    alertSettings,
+    implausible,
+    alertMessage,
+    createAlertTracker
+};
@@ -0,0 +1,111 @@
+"use strict";
+/**
+ * backfill.js
+ * ----------------------------------------------------------
+ * Lücken nach einem Ausfall aus einer ioBroker‑History‑Instanz
+ * (history/sql/influxdb) nachtragen.
+ *
+ *  1. Letzter Zeitstempel pro Datenpunkt‑Serie in InfluxDB 3 (SQL), nur vor
+ *     dem Start der Subscription – Live‑Writes und der Startwert zählen nicht.
+ *  2. Fehlenden Bereich per sendTo(instance, "getHistory") anfordern,
+ *     höchstens `maxWindow` zurück.
+ *  3. Punkte mit trigger=backfill über Write‑Puffer/Queue schreiben
+ *     (im Connector, ohne Filter).
+ *
+ * Datenpunkte ohne Daten in InfluxDB werden nicht nachgetragen (Erstimport ist
+ * Sache der Migration), aggregierte Datenpunkte ebenfalls nicht.
+ */
+
+const { datapointTags } = require("./line_protocol");
+const { quoteIdent, quoteString, valueColumn, toMs } = require("./history");
+const { parseDuration } = require("./duration");
+const { DEFAULT_SUBSCRIBE, ackMatches } = require("./filters");
+
+const DEFAULT_BACKFILL = { maxWindow: "1d", maxPoints: 50_000, timeout: "60s" };
+
+// cfg.backfill mit Defaults, null = aus
+function backfillSettings(c) {
+    if (!c?.backfill?.instance) return null;
+    const b = { ...DEFAULT_BACKFILL, ...c.backfill };
+    return {
+        instance: b.instance,
+        maxWindowMs: parseDuration(b.maxWindow) ?? 0,
+        maxPoints: b.maxPoints,
+        timeoutMs: parseDuration(b.timeout) || 60_000
+    };
+}
+
+// Wird dieser Datenpunkt nachgetragen?
+const backfillEnabled = (dp, c) => Boolean(backfillSettings(c)) && dp.backfill !== false && !dp.aggregate;
+
+/**
+ * SQL: jüngster Zeitstempel der Serie des Datenpunkts vor `before` (ms).
+ * @param {object} dp
+ * @param {number} before
+ * @param {object} [defaultTags]
+ */
+function buildLastTimeQuery(dp, before, defaultTags = {}) {
+    const where = [
+        `time < ${quoteString(new Date(before).toISOString())}`,
+        `${quoteIdent(valueColumn(dp))} IS NOT NULL`
+    ];
+    for (const [key, val] of Object.entries(datapointTags(dp, defaultTags))) {
+        if (val !== undefined && val !== null && val !== "") where.push(`${quoteIdent(key)} = ${quoteString(val)}`);
+    }
+    return `SELECT max(time) AS last FROM ${quoteIdent(dp.measurement)} WHERE ${where.join(" AND ")}`;
+}
+
+// Query‑Zeile → ms oder null (keine Daten)
+function lastTimeOf(row) {
+    if (row?.last === null || row?.last === undefined) return null;
+    const ms = toMs(row.last);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Nachzutragender Bereich (start/end inklusiv, ms) oder null.
+ * @param {number|null} lastMs   letzter Punkt in InfluxDB
+ * @param {number} since         Start der Subscription
+ * @param {number} maxWindowMs   0 = unbegrenzt
+ */
+function backfillRange(lastMs, since, maxWindowMs) {
+    if (lastMs === null || lastMs >= since - 1) return null;
+    const start = maxWindowMs > 0 ? Math.max(lastMs + 1, since - maxWindowMs) : lastMs + 1;
+    return { start, end: since - 1, truncated: start > lastMs + 1 };
+}
+
+// getHistory‑Optionen für den Bereich (Rohwerte, älteste zuerst)
+function historyOptions(range, maxPoints) {
+    return {
+        start: range.start,
+        end: range.end,
+        aggregate: "none",
+        count: maxPoints,
+        returnNewestEntries: false,
+        ignoreNull: true
+    };
+}
+
+/**
+ * Antwort von getHistory → [{ val, ts, ack }] im Bereich, aufsteigend.
+ * Nur Werte, die auch live geschrieben würden (subscribe.ack, Default: nur ack=true).
+ */
+function historyPoints(result, range, ack = DEFAULT_SUBSCRIBE.ack) {
+    if (!Array.isArray(result)) return [];
+    return result
+        .filter((p) => p && p.val !== null && p.val !== undefined && ackMatches(p.ack, ack))
+        .map((p) => ({ val: p.val, ts: Number(p.ts), ack: p.ack !== false }))
+        .filter((p) => Number.isFinite(p.ts) && p.ts >= range.start && p.ts <= range.end)
+        .sort((a, b) => a.ts - b.ts);
+}
+
+module.exports = {
+    DEFAULT_BACKFILL,
+    backfillSettings,
+    backfillEnabled,
+    buildLastTimeQuery,
+    lastTimeOf,
+    backfillRange,
+    historyOptions,
+    historyPoints
+};
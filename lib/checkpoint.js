@@ -0,0 +1,135 @@
+"use strict";
+/**
+ * checkpoint.js
+ * ----------------------------------------------------------
+ * Fortsetzbare Importe (migrate_v2_to_v3/influxdb3_client.js --resume).
+ *
+ *  • readLines() liefert Zeilen mit Zeilennummer und exaktem Byte‑Offset
+ *    (bei .gz im entpackten Strom).
+ *  • Batches laufen parallel und werden außer der Reihe fertig. Der Tracker
+ *    rückt die Marke nur bis zum letzten Batch vor, vor dem ALLE Batches
+ *    bestätigt sind – alles davor ist sicher in InfluxDB.
+ *  • Der Checkpoint (<datei>.checkpoint.json) enthält Zeile, Offset und
+ *    Größe/Änderungszeit der Datei, damit er nicht auf eine andere Datei
+ *    angewendet wird.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Zeilen eines Streams mit Position; \r\n und fehlendes \n am Ende werden
+ * berücksichtigt.
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {object} [start]  { line, offset } = Position des Streams in der Datei
+ * @returns {AsyncGenerator<{text: string, lineNo: number, end: number}>}
+ *          end = Byte‑Offset direkt hinter der Zeile (inkl. Zeilenumbruch)
+ */
+async function* readLines(stream, { line = 0, offset = 0 } = {}) {
+    let rest = Buffer.alloc(0);
+    for await (const chunk of stream) {
+        const buf = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+        let pos = 0;
+        let nl;
+        while ((nl = buf.indexOf(10, pos)) !== -1) {
+            offset += nl + 1 - pos;
+            yield { text: buf.toString("utf8", pos, nl).replace(/\r$/, ""), lineNo: ++line, end: offset };
+            pos = nl + 1;
+        }
+        rest = buf.subarray(pos);
+    }
+    if (rest.length) {
+        offset += rest.length;
+        yield { text: rest.toString("utf8").replace(/\r$/, ""), lineNo: ++line, end: offset };
+    }
+}
+
+/**
+ * Marke "bis hier vollständig bestätigt" für parallel laufende Batches.
+ * @param {object} [start]  { line, offset } beim Fortsetzen
+ */
+function createCheckpointTracker(start = { line: 0, offset: 0 }) {
+    const pending = []; // Batches in Lese‑Reihenfolge: { id, line, offset, done }
+    const byId = new Map();
+    let mark = { line: start.line, offset: start.offset };
+    let nextId = 1;
+
+    // Batch, der bis einschließlich `line` (Offset `offset`) reicht
+    function add(line, offset) {
+        const batch = { id: nextId++, line, offset, done: false };
+        pending.push(batch);
+        byId.set(batch.id, batch);
+        return batch.id;
+    }
+
+    // true, wenn die Marke vorgerückt ist
+    function ack(id) {
+        const batch = byId.get(id);
+        if (!batch) return false;
+        batch.done = true;
+        byId.delete(id);
+        let moved = false;
+        while (pending.length && pending[0].done) {
+            const b = pending.shift();
+            mark = { line: b.line, offset: b.offset };
+            moved = true;
+        }
+        return moved;
+    }
+
+    return {
+        add,
+        ack,
+        get mark() { return { ...mark }; },
+        get pending() { return pending.length; }
+    };
+}
+
+// --------------------------------------------------
+// Checkpoint‑Datei
+// --------------------------------------------------
+const checkpointPath = (file) => `${file}.checkpoint.json`;
+
+function fileIdentity(file) {
+    const st = fs.statSync(file);
+    return { file: path.resolve(file), size: st.size, mtimeMs: st.mtimeMs };
+}
+
+// Atomar (temp + rename), damit ein Abbruch keinen halben Checkpoint hinterlässt
+function writeCheckpoint(cpFile, identity, mark) {
+    const data = { version: CHECKPOINT_VERSION, ...identity, ...mark, updated: new Date().toISOString() };
+    const tmp = `${cpFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, cpFile);
+}
+
+// null = kein (lesbarer) Checkpoint
+function readCheckpoint(cpFile) {
+    try {
+        const cp = JSON.parse(fs.readFileSync(cpFile, "utf8"));
+        return cp?.version === CHECKPOINT_VERSION ? cp : null;
+    } catch {
+        return null;
+    }
+}
+
+// Grund, warum der Checkpoint nicht zur Datei passt, sonst null
+function checkpointMismatch(cp, identity) {
+    if (cp.size !== identity.size) return `Größe ${cp.size} ≠ ${identity.size} Byte`;
+    if (cp.mtimeMs !== identity.mtimeMs) return "Datei wurde seitdem geändert";
+    if (!Number.isInteger(cp.line) || !Number.isInteger(cp.offset) || cp.line < 0 || cp.offset < 0)
+        return "ungültige Position";
+    return null;
+}
+
+module.exports = {
+    readLines,
+    createCheckpointTracker,
+    checkpointPath,
+    fileIdentity,
+    writeCheckpoint,
+    readCheckpoint,
+    checkpointMismatch
+};
@@ -0,0 +1,537 @@
+"use strict";
+/**
+ * config.js
+ * ----------------------------------------------------------
+ * Validierung der config.json – gemeinsam für Connector, validate_config.js,
+ * Konverter und Importer.
+ *
+ *  • Struktur (Typen, Pflichtfelder, unbekannte Schlüssel, Wertebereiche)
+ *    kommt aus config.schema.json. Schlüssel mit "$" (z.B. "$comment") sind
+ *    überall erlaubt.
+ *  • Was das Schema nicht ausdrücken kann, wird danach im Code geprüft:
+ *    Hosts, doppelte IDs, Selector‑Regeln, Kombinationen von Optionen und
+ *    Konflikte zwischen Datenpunkten im selben Measurement.
+ *  • Es werden immer ALLE Fehler geliefert, jeweils mit JSON‑Pfad:
+ *    [{ path: "$.datapoints[3].minDelata", message: "unbekannter Schlüssel …" }]
+ */
+
+const fs = require("fs");
+const SCHEMA = require("../config.schema.json");
+const { parseDuration, formatDuration } = require("./duration");
+const { formatTags, datapointTags } = require("./line_protocol");
+const { DEFAULT_FUNCTIONS } = require("./aggregate");
+const { DEFAULT_TARGET, targetConfigs, datapointRoutes } = require("./target");
+const { importFieldModes, importTags } = require("./lp_import");
+const { TRANSFORM_STEPS, stepKeys, compileExpression } = require("./transform");
+const { rollupSettings, rollupTable } = require("./rollup");
+const { alertSettings } = require("./alerts");
+
+// Mindestabstand für Heartbeats (= Prüftakt im Connector)
+const MIN_HEARTBEAT_MS = 10_000;
+// Kleinstes Rollup‑Fenster (der Connector prüft jede Minute)
+const MIN_ROLLUP_WINDOW_MS = 60_000;
+// Kleinstes staleAfter (Alarm‑Prüfung alle 30 s)
+const MIN_STALE_MS = 60_000;
+// Tag‑Keys, die der Connector selbst setzt bzw. die InfluxDB 3 belegt
+const RESERVED_TAG_KEYS = ["time", "trigger"];
+// Zielnamen landen in Verzeichnis‑ und State‑Namen
+const TARGET_NAME_RE = /^[A-Za-z0-9_-]+$/;
+
+// --------------------------------------------------
+// JSON‑Pfade
+// --------------------------------------------------
+const childPath = (path, key) =>
+    typeof key === "number" ? `${path}[${key}]`
+        : /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}`
+            : `${path}[${JSON.stringify(key)}]`;
+
+const formatError = (e) => `${e.path}: ${e.message}`;
+
+// --------------------------------------------------
+// Schema‑Prüfung (Teilmenge von JSON Schema draft‑07, die config.schema.json nutzt)
+// --------------------------------------------------
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+const matchesType = (value, type) =>
+    type === "number" ? typeof value === "number" && Number.isFinite(value) : typeOf(value) === type;
+
+function resolveRef(schema) {
+    while (schema.$ref) {
+        const name = schema.$ref.replace(/^#\/definitions\//, "");
+        schema = SCHEMA.definitions[name];
+    }
+    return schema;
+}
+
+// Vorschlag für Tippfehler (minDelata → minDelta)
+function distance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+    }
+    return d[a.length][b.length];
+}
+
+function suggest(key, known) {
+    let best = null;
+    for (const k of known) {
+        const dist = distance(key.toLowerCase(), k.toLowerCase());
+        if (dist <= 2 && (!best || dist < best.dist)) best = { k, dist };
+    }
+    return best ? ` – meinten Sie '${best.k}'?` : "";
+}
+
+/**
+ * Prüft einen Wert gegen ein (Teil‑)Schema und hängt Fehler an `errors` an.
+ * `errorMessage` ersetzt die Meldungen von type/pattern/enum durch einen Text.
+ */
+function checkSchema(value, schema, path, errors) {
+    schema = resolveRef(schema);
+    const own = [];
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some((t) => matchesType(value, t))) {
+            own.push(`muss vom Typ ${types.join("/")} sein`);
+        }
+    }
+    if (own.length === 0 && schema.enum !== undefined && !schema.enum.includes(value))
+        own.push(`muss einer von ${schema.enum.join("/")} sein`);
+
+    if (own.length === 0 && typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) own.push("darf nicht leer sein");
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+            own.push(`muss dem Muster ${schema.pattern} entsprechen`);
+    }
+    if (own.length === 0 && typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) own.push(`muss ≥ ${schema.minimum} sein`);
+        if (schema.maximum !== undefined && value > schema.maximum) own.push(`muss ≤ ${schema.maximum} sein`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+            own.push(`muss > ${schema.exclusiveMinimum} sein`);
+    }
+    if (own.length > 0) {
+        const messages = schema.errorMessage ? [schema.errorMessage] : own;
+        for (const message of messages) errors.push({ path, message });
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems)
+            errors.push({ path, message: `braucht mindestens ${schema.minItems} Eintrag/Einträge` });
+        if (schema.items) value.forEach((item, i) => checkSchema(item, schema.items, childPath(path, i), errors));
+        return;
+    }
+
+    if (typeOf(value) === "object") {
+        const props = schema.properties ?? {};
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) errors.push({ path: childPath(path, key), message: "fehlt" });
+        }
+        const patterns = Object.entries(schema.patternProperties ?? {}).map(([re, s]) => [new RegExp(re), s]);
+        for (const [key, val] of Object.entries(value)) {
+            const p = childPath(path, key);
+            if (Object.hasOwn(props, key)) {
+                checkSchema(val, props[key], p, errors);
+                continue;
+            }
+            const pattern = patterns.find(([re]) => re.test(key));
+            if (pattern) {
+                checkSchema(val, pattern[1], p, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: p, message: `unbekannter Schlüssel${suggest(key, Object.keys(props))}` });
+            } else if (typeof schema.additionalProperties === "object") {
+                checkSchema(val, schema.additionalProperties, p, errors);
+            }
+        }
+    }
+}
+
+// --------------------------------------------------
+// Prüfungen außerhalb des Schemas
+// --------------------------------------------------
+function hostErrors(host, path) {
+    if (typeof host !== "string" || !/^https?:\/\//.test(host)) return []; // meldet schon das Schema
+    let url;
+    try {
+        url = new URL(host);
+    } catch {
+        return [{ path, message: `'${host}' ist keine gültige URL` }];
+    }
+    if (!url.hostname) return [{ path, message: "Hostname fehlt" }];
+    return [];
+}
+
+// Heartbeat: "off" oder mindestens MIN_HEARTBEAT_MS
+function heartbeatErrors(value, path) {
+    const ms = parseDuration(value);
+    if (ms === null || ms === 0 || ms >= MIN_HEARTBEAT_MS) return [];
+    return [{ path, message: `muss mindestens ${formatDuration(MIN_HEARTBEAT_MS)} sein` }];
+}
+
+// subscribe.ackAs – bei aggregate ohne Wirkung (meldet entryRuleErrors)
+const ackAs = (dp) => (dp.aggregate ? undefined : dp.subscribe?.ackAs);
+
+// Feld‑Keys, die ein Datenpunkt schreibt – ein gleichnamiger Tag gäbe einen Schema‑Konflikt
+const fieldKeys = (dp) => {
+    if (!dp.aggregate) return ackAs(dp) === "field" ? ["value", "ack"] : ["value"];
+    const fns = dp.aggregate.functions;
+    return Array.isArray(fns) ? fns : DEFAULT_FUNCTIONS;
+};
+
+// Zusatzfelder aus dem v2‑Import mit dem angegebenen Modus (ohne "*")
+const importKeys = (dp, c, mode) =>
+    Object.entries(importFieldModes(dp, c)).filter(([k, m]) => k !== "*" && m === mode).map(([k]) => k);
+
+// Feldtypen eines Datenpunkts; null = erst zur Laufzeit bekannt (type auto, Import‑Felder)
+function fieldTypes(dp, c) {
+    const imported = Object.fromEntries(importKeys(dp, c, "keep").map((k) => [k, null]));
+    if (dp.aggregate)
+        return { ...imported, ...Object.fromEntries(fieldKeys(dp).map((fn) => [fn, fn === "count" ? "integer" : "float"])) };
+    const ack = ackAs(dp) === "field" ? { ack: "boolean" } : {};
+    if (!dp.type || dp.type === "auto") return { ...imported, value: null, ...ack };
+    return { ...imported, value: dp.type, ...ack };
+}
+
+function tagKeyErrors(tags, path, fields = [], reserved = RESERVED_TAG_KEYS) {
+    if (typeOf(tags) !== "object") return [];
+    const errors = [];
+    for (const key of Object.keys(tags)) {
+        const p = childPath(path, key);
+        if (!key || /[\r\n]/.test(key)) errors.push({ path: p, message: "ungültiger Tag-Key" });
+        else if (reserved.includes(key)) errors.push({ path: p, message: `Tag-Key '${key}' ist reserviert` });
+        else if (fields.includes(key)) errors.push({ path: p, message: `Tag-Key '${key}' ist schon ein Feld dieses Datenpunkts` });
+    }
+    return errors;
+}
+
+// importFields: value bleibt immer Feld; Tags dürfen keine reservierten/vorhandenen Keys überschreiben
+function importFieldErrors(modes, path, tagKeys = []) {
+    if (typeOf(modes) !== "object") return [];
+    const errors = [];
+    for (const [key, mode] of Object.entries(modes)) {
+        const p = childPath(path, key);
+        if (key === "value") errors.push({ path: p, message: "'value' wird immer als Feld übernommen" });
+        else if (mode !== "tag" || key === "*") continue;
+        else if (RESERVED_TAG_KEYS.includes(key)) errors.push({ path: p, message: `Tag-Key '${key}' ist reserviert` });
+        else if (tagKeys.includes(key)) errors.push({ path: p, message: `'${key}' ist schon ein Tag des Datenpunkts` });
+    }
+    return errors;
+}
+
+// transform: genau ein Schritt‑Key, clamp min ≤ max, expr muss sich übersetzen lassen
+function transformErrors(steps, path) {
+    if (!Array.isArray(steps)) return [];
+    const errors = [];
+    steps.forEach((step, i) => {
+        if (typeOf(step) !== "object") return; // meldet das Schema
+        const p = childPath(path, i);
+        const keys = stepKeys(step).filter((k) => TRANSFORM_STEPS.includes(k));
+        if (keys.length !== 1) {
+            errors.push({ path: p, message: `braucht genau einen von ${TRANSFORM_STEPS.join("/")}` });
+            return;
+        }
+        const { min, max } = typeOf(step.clamp) === "object" ? step.clamp : {};
+        if (typeof min === "number" && typeof max === "number" && min > max)
+            errors.push({ path: childPath(p, "clamp"), message: "'min' ist größer als 'max'" });
+        if (typeof step.expr === "string") {
+            try {
+                compileExpression(step.expr);
+            } catch (e) {
+                errors.push({ path: childPath(p, "expr"), message: `ungültiger Ausdruck (${e.message})` });
+            }
+        }
+    });
+    return errors;
+}
+
+// Verweise auf Ziele (dp.targets, defaultTargets): Ziel muss existieren, keine Doppelungen
+function routeErrors(routes, path, c) {
+    if (!Array.isArray(routes)) return [];
+    const conns = targetConfigs(c);
+    const errors = [];
+    const seen = new Set();
+    routes.forEach((r, i) => {
+        const target = typeof r === "string" ? r : r?.target;
+        if (typeof target !== "string") return; // meldet das Schema
+        const p = childPath(path, i);
+        if (!Object.hasOwn(conns, target)) {
+            const known = Object.keys(conns);
+            errors.push({ path: p, message: `Ziel '${target}' ist nicht konfiguriert (vorhanden: ${known.join(", ") || "keine"})` });
+            return;
+        }
+        const database = (typeof r === "object" && r.database) || conns[target].database;
+        const key = `${target}/${database}`;
+        if (seen.has(key)) errors.push({ path: p, message: `Ziel '${target}' mit Datenbank '${database}' ist doppelt` });
+        seen.add(key);
+    });
+    return errors;
+}
+
+function targetErrors(c) {
+    const errors = [];
+    const named = typeOf(c.targets) === "object" ? Object.keys(c.targets) : [];
+    if (c.influx === undefined && named.length === 0)
+        errors.push({ path: "$", message: "'influx' oder 'targets' fehlt – mindestens ein Ziel ist nötig" });
+    if (c.influx !== undefined && named.includes(DEFAULT_TARGET))
+        errors.push({ path: childPath("$.targets", DEFAULT_TARGET), message: `'${DEFAULT_TARGET}' ist bereits durch 'influx' belegt` });
+    errors.push(...hostErrors(c.influx?.host, "$.influx.host"));
+    for (const name of named) {
+        const p = childPath("$.targets", name);
+        if (!TARGET_NAME_RE.test(name))
+            errors.push({ path: p, message: "Zielname darf nur Buchstaben, Ziffern, _ und - enthalten" });
+        errors.push(...hostErrors(c.targets[name]?.host, childPath(p, "host")));
+    }
+    errors.push(...routeErrors(c.defaultTargets, "$.defaultTargets", c));
+    return errors;
+}
+
+// Rollup‑Jobs: eindeutige Namen und Zieltabellen, Mindestfenster, Ziel vorhanden
+function rollupErrors(c) {
+    if (!Array.isArray(c.rollups)) return [];
+    const conns = targetConfigs(c);
+    const errors = [];
+    const names = new Map();
+    const tables = new Map();
+    c.rollups.forEach((job, i) => {
+        if (typeOf(job) !== "object") return; // meldet das Schema
+        const p = childPath("$.rollups", i);
+        if (typeof job.name === "string") {
+            if (names.has(job.name))
+                errors.push({ path: childPath(p, "name"), message: `'${job.name}' ist bereits in ${names.get(job.name)} vergeben` });
+            else names.set(job.name, p);
+        }
+        const ms = parseDuration(job.window);
+        if (ms !== null && ms < MIN_ROLLUP_WINDOW_MS)
+            errors.push({ path: childPath(p, "window"), message: `muss mindestens ${formatDuration(MIN_ROLLUP_WINDOW_MS)} sein` });
+        if (typeof job.target === "string" && !Object.hasOwn(conns, job.target))
+            errors.push({ path: childPath(p, "target"), message: `Ziel '${job.target}' ist nicht konfiguriert` });
+        if (Array.isArray(job.groupBy) && job.groupBy.some((k) => RESERVED_TAG_KEYS.includes(k)))
+            errors.push({ path: childPath(p, "groupBy"), message: `${RESERVED_TAG_KEYS.join("/")} setzt der Rollup selbst` });
+        if (!Array.isArray(job.measurements) || typeof job.window !== "string") return;
+        const settings = rollupSettings(job);
+        for (const m of job.measurements.filter((x) => typeof x === "string")) {
+            const table = rollupTable(m, settings);
+            if (tables.has(table))
+                errors.push({ path: childPath(p, "measurements"), message: `Zieltabelle '${table}' schreibt schon ${tables.get(table)}` });
+            else tables.set(table, p);
+        }
+    });
+    return errors;
+}
+
+// alerts.write: die Tabelle darf nicht zugleich Measurement eines Datenpunkts sein
+function alertErrors(c) {
+    if (typeOf(c.alerts) !== "object" || c.alerts.write !== true || !Array.isArray(c.datapoints)) return [];
+    const { measurement } = alertSettings(c);
+    const i = c.datapoints.findIndex((dp) => dp?.measurement === measurement);
+    if (i < 0) return [];
+    return [{ path: "$.alerts.measurement", message: `'${measurement}' ist schon Measurement von $.datapoints[${i}]` }];
+}
+
+function selectorErrors(entry, path) {
+    const sel = entry.selector;
+    const errors = [];
+    if (entry.id !== undefined)
+        errors.push({ path: childPath(path, "id"), message: "Selector-Einträge dürfen keine 'id' enthalten" });
+    if (typeOf(sel) !== "object") return errors;
+    if (!["pattern", "regex", "enum", "custom"].some((k) => sel[k] !== undefined))
+        errors.push({ path: childPath(path, "selector"), message: "braucht mindestens eines von pattern/regex/enum/custom" });
+    if (typeof sel.regex === "string") {
+        try {
+            new RegExp(sel.regex);
+        } catch (e) {
+            errors.push({ path: childPath(childPath(path, "selector"), "regex"), message: `ungültiger regulärer Ausdruck (${e.message})` });
+        }
+    }
+    return errors;
+}
+
+// Regeln eines einzelnen Eintrags in `datapoints`, die über das Schema hinausgehen
+function entryRuleErrors(dp, path, c) {
+    const errors = [];
+    const at = (key) => childPath(path, key);
+
+    if (dp.selector === undefined && dp.id === undefined)
+        errors.push({ path: at("id"), message: "fehlt (oder 'selector' angeben)" });
+    if (dp.selector !== undefined) errors.push(...selectorErrors(dp, path));
+
+    for (const key of ["minInterval", "maxInterval", "debounce"]) {
+        if (parseDuration(dp[key]) === 0) errors.push({ path: at(key), message: "darf nicht \"off\" sein – Option weglassen" });
+    }
+    const minIv = parseDuration(dp.minInterval);
+    const maxIv = parseDuration(dp.maxInterval);
+    if (minIv && maxIv && maxIv <= minIv)
+        errors.push({ path: at("maxInterval"), message: "muss größer als 'minInterval' sein" });
+    errors.push(...heartbeatErrors(dp.heartbeat, at("heartbeat")));
+    const staleMs = parseDuration(dp.staleAfter);
+    if (staleMs && staleMs < MIN_STALE_MS)
+        errors.push({ path: at("staleAfter"), message: `muss mindestens ${formatDuration(MIN_STALE_MS)} sein` });
+    if (typeOf(dp.plausible) === "object") {
+        const { min, max } = dp.plausible;
+        if (min === undefined && max === undefined)
+            errors.push({ path: at("plausible"), message: "braucht 'min' und/oder 'max'" });
+        else if (typeof min === "number" && typeof max === "number" && min > max)
+            errors.push({ path: at("plausible"), message: "'min' ist größer als 'max'" });
+    }
+
+    if (typeOf(dp.aggregate) === "object") {
+        const ms = parseDuration(dp.aggregate.window);
+        if (ms !== null && ms < 1_000)
+            errors.push({ path: childPath(at("aggregate"), "window"), message: "muss mindestens 1s sein" });
+        if (dp.type !== undefined && !["auto", "float", "integer"].includes(dp.type))
+            errors.push({ path: at("type"), message: "'aggregate' geht nur mit numerischen Werten (auto/float/integer)" });
+        for (const key of ["minInterval", "maxInterval", "debounce", "thresholds"]) {
+            if (dp[key] !== undefined)
+                errors.push({ path: at(key), message: "ist nicht mit 'aggregate' kombinierbar" });
+        }
+        if (dp.subscribe?.ackAs !== undefined)
+            errors.push({ path: childPath(at("subscribe"), "ackAs"), message: "ist nicht mit 'aggregate' kombinierbar" });
+    }
+    const reserved = ackAs(dp) === "tag" ? [...RESERVED_TAG_KEYS, "ack"] : RESERVED_TAG_KEYS;
+    errors.push(...tagKeyErrors(dp.tags, at("tags"), fieldKeys(dp), reserved));
+    errors.push(...transformErrors(dp.transform, at("transform")));
+    errors.push(...importFieldErrors(dp.importFields, at("importFields"), Object.keys(importTags(dp, c))));
+    errors.push(...routeErrors(dp.targets, at("targets"), c));
+    return errors;
+}
+
+/**
+ * Prüft einen einzelnen Datenpunkt (z.B. zur Laufzeit über einen Selector gefunden).
+ * @param {object} dp
+ * @param {object} c     aktive Konfiguration (für Ziel‑Verweise)
+ * @returns {Array<{path: string, message: string}>}
+ */
+function datapointErrors(dp, c, path = "$") {
+    const errors = [];
+    checkSchema(dp, SCHEMA.definitions.datapoint, path, errors);
+    if (typeOf(dp) === "object") errors.push(...entryRuleErrors(dp, path, c));
+    return errors;
+}
+
+// --------------------------------------------------
+// Konflikte zwischen Datenpunkten
+// --------------------------------------------------
+function crossDatapointErrors(c) {
+    const errors = [];
+    const entries = c.datapoints
+        .map((dp, i) => ({ dp, path: childPath("$.datapoints", i) }))
+        .filter(({ dp }) => typeOf(dp) === "object" && typeof dp.measurement === "string");
+
+    // Doppelte IDs
+    const firstById = new Map();
+    for (const { dp, path } of entries) {
+        if (typeof dp.id !== "string") continue;
+        if (firstById.has(dp.id))
+            errors.push({ path: childPath(path, "id"), message: `'${dp.id}' ist bereits in ${firstById.get(dp.id)} konfiguriert` });
+        else firstById.set(dp.id, path);
+    }
+
+    // Gleiches Ziel + Measurement + Tag‑Set → Werte wären nicht unterscheidbar
+    const conns = targetConfigs(c);
+    const firstBySeries = new Map();
+    for (const { dp, path } of entries) {
+        if (dp.selector !== undefined || typeof dp.id !== "string" || firstById.get(dp.id) !== path) continue;
+        const series = `${dp.measurement}\n${formatTags(datapointTags(dp, c.defaultTags))}`;
+        const other = datapointRoutes(dp, c)
+            .map(({ target, database }) => `${target}/${database ?? conns[target]?.database}\n${series}`)
+            .map((key) => {
+                const first = firstBySeries.get(key);
+                if (!first) firstBySeries.set(key, path);
+                return first;
+            })
+            .find((first) => first && first !== path); // doppelte Route meldet routeErrors
+        if (other) errors.push({ path, message: `schreibt in dieselbe Serie (Measurement und Tags) wie ${other}` });
+    }
+
+    // Pro Measurement: Spalte als Tag und als Feld, oder Feld mit zwei Typen
+    const byMeasurement = new Map();
+    for (const e of entries) {
+        if (!byMeasurement.has(e.dp.measurement)) byMeasurement.set(e.dp.measurement, []);
+        byMeasurement.get(e.dp.measurement).push(e);
+    }
+    for (const [measurement, list] of byMeasurement) {
+        const fields = new Map(); // key → { type, path }
+        for (const { dp, path } of list) {
+            for (const [key, type] of Object.entries(fieldTypes(dp, c))) {
+                const seen = fields.get(key);
+                if (!seen) fields.set(key, { type, path });
+                else if (type && !seen.type) fields.set(key, { type, path });
+                else if (type && seen.type && type !== seen.type)
+                    errors.push({ path, message: `Feld '${key}' in '${measurement}' ist hier ${type}, in ${seen.path} aber ${seen.type}` });
+            }
+        }
+        for (const { dp, path } of list) {
+            const tags = [
+                ...Object.keys(datapointTags(dp, c.defaultTags)),
+                ...importKeys(dp, c, "tag"),
+                ...(ackAs(dp) === "tag" ? ["ack"] : [])
+            ];
+            const own = Object.keys(fieldTypes(dp, c));
+            for (const key of tags.filter((k) => fields.has(k) && !own.includes(k))) {
+                errors.push({ path, message: `'${key}' ist in '${measurement}' Tag und Feld zugleich (Feld aus ${fields.get(key).path})` });
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Prüft die komplette Konfiguration.
+ * @param {object} c  geparste config.json
+ * @returns {Array<{path: string, message: string}>}  leer = gültig
+ */
+function validateConfig(c) {
+    const errors = [];
+    checkSchema(c, SCHEMA, "$", errors);
+    if (typeOf(c) !== "object") return errors;
+
+    errors.push(...targetErrors(c));
+    if (typeOf(c.heartbeat) === "object") errors.push(...heartbeatErrors(c.heartbeat.default, "$.heartbeat.default"));
+    errors.push(...tagKeyErrors(c.defaultTags, "$.defaultTags"));
+    errors.push(...importFieldErrors(c.importFields, "$.importFields", Object.keys(importTags({}, c))));
+    // trigger darf hier gesetzt werden – genau dafür gibt es importTags
+    errors.push(...tagKeyErrors(c.importTags, "$.importTags", ["value"], ["time"]));
+    errors.push(...rollupErrors(c));
+    errors.push(...alertErrors(c));
+
+    if (!Array.isArray(c.datapoints)) return errors;
+    c.datapoints.forEach((dp, i) => {
+        // Nicht‑Objekte meldet schon das Schema
+        if (typeOf(dp) === "object") errors.push(...entryRuleErrors(dp, childPath("$.datapoints", i), c));
+    });
+    errors.push(...crossDatapointErrors(c));
+    return errors;
+}
+
+/**
+ * Liest und prüft eine config.json (synchron, für die CLI‑Skripte).
+ * JSON‑Syntaxfehler werden als Fehler am Pfad "$" gemeldet.
+ * @returns {{config: object|null, errors: Array<{path: string, message: string}>}}
+ */
+function loadConfigFile(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        return { config: null, errors: [{ path: "$", message: e.code === "ENOENT" ? "Datei nicht gefunden" : e.message }] };
+    }
+    return { config, errors: validateConfig(config) };
+}
+
+module.exports = {
+    SCHEMA,
+    MIN_HEARTBEAT_MS,
+    RESERVED_TAG_KEYS,
+    validateConfig,
+    datapointErrors,
+    loadConfigFile,
+    formatError
+};
@@ -0,0 +1,38 @@
+"use strict";
+/**
+ * duration.js
+ * ----------------------------------------------------------
+ * Parser für Zeitangaben in der config.json ("500ms", "30s", "5m", "1h", "1d").
+ * "off" bzw. false deaktivieren eine Funktion und liefern 0.
+ */
+
+const UNITS = { ms: 1, s: 1_000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+const DURATION_RE = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/;
+
+/**
+ * Wandelt eine Zeitangabe in Millisekunden um.
+ * @param {string|false} value  z.B. "5m" oder "off"
+ * @returns {number|null}       ms, 0 für "off", null wenn ungültig
+ */
+function parseDuration(value) {
+    if (value === "off" || value === false) return 0;
+    if (typeof value !== "string") return null;
+    const m = DURATION_RE.exec(value.trim());
+    return m ? Math.round(Number(m[1]) * UNITS[m[2]]) : null;
+}
+
+// Für Logs: 90000 → "1m30s"
+function formatDuration(ms) {
+    if (!ms) return "off";
+    const parts = [];
+    for (const [unit, size] of [["d", UNITS.d], ["h", UNITS.h], ["m", UNITS.m], ["s", UNITS.s]]) {
+        if (ms >= size) {
+            parts.push(`${Math.floor(ms / size)}${unit}`);
+            ms %= size;
+        }
+    }
+    if (ms) parts.push(`${ms}ms`);
+    return parts.join("");
+}
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,137 @@
+"use strict";
+/**
+ * filters.js
+ * ----------------------------------------------------------
+ * Reine Entscheidungslogik für die Wert‑Filter eines Datenpunkts.
+ * Für die zeitabhängigen Teile (debounce, minInterval‑Nachschreiben) gibt es
+ * hier nur die Ablage der zurückgehaltenen Werte; wann gehalten wird,
+ * entscheidet der Connector.
+ *
+ *   minDelta         absolute Totzone gegenüber dem zuletzt geschriebenen Wert
+ *   minDeltaPercent  relative Totzone in % des zuletzt geschriebenen Werts
+ *   thresholds       Schwellen, deren Überschreiten immer geschrieben wird
+ *   subscribe        welche ioBroker‑Events ankommen (change/ack)
+ */
+
+// Zähler‑Schlüssel für übersprungene Werte (Reihenfolge = Log‑Reihenfolge)
+const SKIP_REASONS = ["minDelta", "minDeltaPercent", "minInterval", "debounce", "timestamp", "transform", "type"];
+
+// dp.subscribe: change "ne" = nur Änderungen, "any" = jede Aktualisierung;
+// ack true = nur bestätigte Werte, false = nur Befehle, "any" = beide
+const DEFAULT_SUBSCRIBE = { change: "ne", ack: true };
+
+// Optionen für on() – ack "any" heißt: ack gar nicht einschränken
+function subscribeOptions(dp) {
+    const { change, ack } = { ...DEFAULT_SUBSCRIBE, ...(dp.subscribe ?? {}) };
+    return ack === "any" ? { id: dp.id, change } : { id: dp.id, change, ack };
+}
+
+// Passt ein ack‑Flag (undefined = bestätigt, wie bei History‑Adaptern üblich) zur Einstellung?
+function ackMatches(ack, mode = DEFAULT_SUBSCRIBE.ack) {
+    if (mode === "any") return true;
+    return (ack !== false) === mode;
+}
+
+/**
+ * Prüft die Totzonen. Liefert den Filter, der den Wert verwirft, oder null.
+ * @param {object} dp       Datenpunkt (minDelta, minDeltaPercent)
+ * @param {number} current  neuer Wert
+ * @param {number} last     zuletzt geschriebener Wert
+ */
+function deadbandReason(dp, current, last) {
+    const diff = Math.abs(current - last);
+    if (dp.minDelta !== undefined && diff < dp.minDelta) return "minDelta";
+    if (dp.minDeltaPercent !== undefined) {
+        // last = 0 → jede Änderung ist „unendlich“ groß, nur Gleichstand wird verworfen
+        const pct = last === 0 ? (diff === 0 ? 0 : Infinity) : (diff / Math.abs(last)) * 100;
+        if (pct < dp.minDeltaPercent) return "minDeltaPercent";
+    }
+    return null;
+}
+
+// true, wenn zwischen last und current eine der Schwellen liegt (in beide Richtungen)
+function crossesThreshold(last, current, thresholds) {
+    if (!Array.isArray(thresholds)) return false;
+    return thresholds.some((t) => (last < t) !== (current < t));
+}
+
+/**
+ * Zurückgehaltene Werte pro Datenpunkt (höchstens einer) mit Timer.
+ * Übersprungen ist ein Wert erst, wenn ein neuerer ihn ersetzt – nicht
+ * schon beim Zurückhalten, denn der Timer schreibt ihn später noch.
+ * @param {string} reason   Zähler‑Schlüssel aus SKIP_REASONS
+ * @param {Function} onSkip (id, reason) => void
+ */
+function createPendingValues(reason, onSkip) {
+    const pending = new Map(); // id → { entry, timer }
+
+    // ohne Zählung, z.B. beim Abmelden
+    function drop(id) {
+        const p = pending.get(id);
+        if (!p) return null;
+        clearTimeout(p.timer);
+        pending.delete(id);
+        return p.entry;
+    }
+
+    // Ein neuerer Wert kommt → den gehaltenen verwerfen und zählen
+    function replace(id) {
+        const entry = drop(id);
+        if (entry) onSkip(id, reason);
+        return entry;
+    }
+
+    function hold(id, entry, delayMs, fire) {
+        replace(id);
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            fire(entry);
+        }, delayMs);
+        pending.set(id, { entry, timer });
+    }
+
+    // Alle Timer stoppen und die Werte zum sofortigen Schreiben herausgeben
+    function takeAll() {
+        return [...pending.keys()].map((id) => [id, drop(id)]);
+    }
+
+    return { hold, replace, drop, takeAll, has: (id) => pending.has(id) };
+}
+
+/**
+ * Ein Timer pro Datenpunkt, der bei jedem Write neu gestellt wird (maxInterval).
+ * Läuft er ab, ohne dass zwischendurch geschrieben wurde, wird onDue(id)
+ * aufgerufen – auch wenn der Sensor gar nichts mehr sendet.
+ * @param {Function} onDue  (id) => void
+ */
+function createDeadlines(onDue) {
+    const timers = new Map(); // id → timer
+
+    function clear(id) {
+        clearTimeout(timers.get(id));
+        timers.delete(id);
+    }
+
+    // delayMs ≤ 0 bzw. undefined = kein Timer
+    function reset(id, delayMs) {
+        clear(id);
+        if (!(delayMs > 0)) return;
+        timers.set(id, setTimeout(() => {
+            timers.delete(id);
+            onDue(id);
+        }, delayMs));
+    }
+
+    return { reset, clear, has: (id) => timers.has(id) };
+}
+
+module.exports = {
+    SKIP_REASONS,
+    DEFAULT_SUBSCRIBE,
+    subscribeOptions,
+    ackMatches,
+    deadbandReason,
+    crossesThreshold,
+    createPendingValues,
+    createDeadlines
+};
@@ -0,0 +1,135 @@
+"use strict";
+/**
+ * health.js
+ * ----------------------------------------------------------
+ * Werte der Health‑/Statistik‑States unter stats.prefix. Der Connector legt
+ * die States an und setzt sie; berechnet wird hier:
+ *
+ *   info.*       über alle Ziele (verbunden nur, wenn alle verbunden sind;
+ *                letzter Fehler = jüngster Fehler irgendeines Ziels)
+ *   queue.*      Summe über alle Ziele, flushDelay des langsamsten
+ *   rates.*      Lines bzw. Requests pro Minute seit dem letzten Reset
+ *   targets.<name>.*  dasselbe pro Ziel
+ */
+
+const { BASE_FLUSH_MS } = require("./target");
+
+const HEALTH_STATES = {
+    "info.connected": { type: "boolean", role: "indicator.connected", name: "Letzter Write an alle Ziele erfolgreich", def: false },
+    "info.lastWrite": { type: "number", role: "value.time", name: "Zeitpunkt des letzten erfolgreichen Writes", def: 0 },
+    "info.lastError": { type: "string", role: "text", name: "Letzte Fehlermeldung", def: "" },
+    "info.lastErrorCode": { type: "string", role: "text", name: "Code des letzten Fehlers", def: "" },
+    "info.lastErrorTime": { type: "number", role: "value.time", name: "Zeitpunkt des letzten Fehlers", def: 0 },
+    "queue.entries": { type: "number", role: "value", name: "Einträge in der Fehler-Queue", def: 0 },
+    "queue.bytes": { type: "number", role: "value", name: "Größe der Fehler-Queue", unit: "bytes", def: 0 },
+    "queue.dropped": { type: "number", role: "value", name: "Verworfene Queue-Einträge seit Start", def: 0 },
+    "queue.flushDelay": { type: "number", role: "value.interval", name: "Aktueller Flush-Abstand", unit: "ms", def: BASE_FLUSH_MS },
+    "rates.writesPerMinute": { type: "number", role: "value", name: "Geschriebene Lines pro Minute", def: 0 },
+    "rates.errorsPerMinute": { type: "number", role: "value", name: "Fehlgeschlagene Requests pro Minute", def: 0 },
+    "datapoints.active": { type: "number", role: "value", name: "Überwachte Datenpunkte", def: 0 },
+    "timestamps.invalid": { type: "number", role: "value", name: "Ungültige Zeitstempel seit Start (Empfangszeit verwendet)", def: 0 },
+    "timestamps.clamped": { type: "number", role: "value", name: "Unplausible Zeitstempel seit Start, auf Empfangszeit gesetzt", def: 0 },
+    "timestamps.rejected": { type: "number", role: "value", name: "Wegen unplausiblem Zeitstempel verworfene Werte seit Start", def: 0 }
+};
+
+// Pro Ziel unter targets.<name>.*
+const TARGET_STATES = {
+    connected: { type: "boolean", role: "indicator.connected", name: "Letzter Write erfolgreich", def: false },
+    lastWrite: { type: "number", role: "value.time", name: "Zeitpunkt des letzten erfolgreichen Writes", def: 0 },
+    lastError: { type: "string", role: "text", name: "Letzte Fehlermeldung", def: "" },
+    lastErrorTime: { type: "number", role: "value.time", name: "Zeitpunkt des letzten Fehlers", def: 0 },
+    queueEntries: { type: "number", role: "value", name: "Einträge in der Fehler-Queue", def: 0 },
+    flushDelay: { type: "number", role: "value.interval", name: "Aktueller Flush-Abstand", unit: "ms", def: BASE_FLUSH_MS },
+    writesPerMinute: { type: "number", role: "value", name: "Geschriebene Lines pro Minute", def: 0 }
+};
+
+// ioBroker‑ID → gültiges ID‑Segment
+const safeId = (id) => id.replace(/[^A-Za-z0-9_-]/g, "_");
+
+// Zähler seit `since` → pro Minute; mindestens eine Sekunde, damit ein frischer Reset keine Riesenwerte liefert
+function perMinute(count, since, now) {
+    return count / Math.max((now - since) / 60_000, 1 / 60);
+}
+
+/**
+ * @param {Array}  targets  createTarget‑Objekte ({ name, health, journal, flushDelay })
+ * @param {number} now
+ * @param {object} [extra]  { datapoints: Anzahl, timestampCounts: { invalid, clamped, rejected } }
+ * @returns {{values: object, targets: Array<{name: string, values: object}>}}
+ *          values: Schlüssel aus HEALTH_STATES, targets[].values: Schlüssel aus TARGET_STATES
+ */
+function healthValues(targets, now, { datapoints = 0, timestampCounts = {} } = {}) {
+    const perTarget = targets.map((t) => {
+        const h = t.health;
+        return { t, h, q: t.journal.stats(), writes: perMinute(h.writes, h.since, now), errors: perMinute(h.errors, h.since, now) };
+    });
+    const sum = (fn) => perTarget.reduce((acc, p) => acc + fn(p), 0);
+    const latestError = perTarget.reduce((a, p) => (p.h.lastErrorTs > (a?.h.lastErrorTs ?? 0) ? p : a), null);
+
+    const values = {
+        "info.connected": targets.length > 0 && perTarget.every((p) => p.h.connected === true),
+        "info.lastWrite": Math.max(0, ...perTarget.map((p) => p.h.lastWriteTs)),
+        "info.lastError": latestError ? `[${latestError.t.name}] ${latestError.h.lastError}` : "",
+        "info.lastErrorCode": latestError?.h.lastErrorCode ?? "",
+        "info.lastErrorTime": latestError?.h.lastErrorTs ?? 0,
+        "queue.entries": sum((p) => p.q.entries),
+        "queue.bytes": sum((p) => p.q.bytes),
+        "queue.dropped": sum((p) => p.q.dropped),
+        "queue.flushDelay": Math.max(0, ...targets.map((t) => t.flushDelay)), // langsamstes Ziel
+        "rates.writesPerMinute": Math.round(sum((p) => p.writes)),
+        "rates.errorsPerMinute": Math.round(sum((p) => p.errors)),
+        "datapoints.active": datapoints,
+        "timestamps.invalid": timestampCounts.invalid ?? 0,
+        "timestamps.clamped": timestampCounts.clamped ?? 0,
+        "timestamps.rejected": timestampCounts.rejected ?? 0
+    };
+
+    return {
+        values,
+        targets: perTarget.map(({ t, h, q, writes }) => ({
+            name: t.name,
+            values: {
+                connected: h.connected === true,
+                lastWrite: h.lastWriteTs,
+                lastError: h.lastError,
+                lastErrorTime: h.lastErrorTs,
+                queueEntries: q.entries,
+                flushDelay: t.flushDelay,
+                writesPerMinute: Math.round(writes)
+            }
+        }))
+    };
+}
+
+/**
+ * Übersprungene Werte: Summe pro Filter über alle Datenpunkte.
+ * @param {Iterable<object>} counts  pro Datenpunkt { reason: Anzahl }
+ * @param {string[]} reasons          SKIP_REASONS
+ */
+function skipTotals(counts, reasons) {
+    const totals = Object.fromEntries(reasons.map((r) => [r, 0]));
+    for (const c of counts) {
+        for (const r of reasons) totals[r] += c[r] ?? 0;
+    }
+    return totals;
+}
+
+// Rollups: pro Job, bis wohin ALLE Measurements verdichtet sind (Jobs ohne Fortschritt fehlen)
+function rollupProcessedUntil(progress = {}) {
+    const out = {};
+    for (const [name, measurements] of Object.entries(progress)) {
+        const ends = Object.values(measurements).filter(Number.isFinite);
+        if (ends.length > 0) out[name] = Math.min(...ends);
+    }
+    return out;
+}
+
+module.exports = {
+    HEALTH_STATES,
+    TARGET_STATES,
+    safeId,
+    perMinute,
+    healthValues,
+    skipTotals,
+    rollupProcessedUntil
+};
@@ -0,0 +1,135 @@
+"use strict";
+/**
+ * history.js
+ * ----------------------------------------------------------
+ * Übersetzt `getHistory`‑Optionen des ioBroker‑History‑Protokolls
+ * (start, end, aggregate, step, count, …) in SQL für InfluxDB 3 und die
+ * Ergebnis‑Rows zurück ins Standardformat [{ val, ts }].
+ */
+
+const { datapointTags } = require("./line_protocol");
+
+const HISTORY_AGGREGATES = ["none", "minmax", "average", "min", "max", "total", "count"];
+const SQL_AGGREGATES = { average: "avg", min: "min", max: "max", total: "sum", count: "count" };
+const DEFAULT_RANGE_MS = 86_400_000; // wie die History‑Adapter: letzter Tag
+const DEFAULT_COUNT = 500;
+
+const quoteIdent = (s) => `"${String(s).replace(/"/g, '""')}"`;
+const quoteString = (s) => `'${String(s).replace(/'/g, "''")}'`;
+const sqlTime = (ms) => quoteString(new Date(ms).toISOString());
+
+// Zeitstempel aus dem Query‑Ergebnis → ms (Arrow liefert je nach Typ Date, BigInt oder Zahl)
+function toMs(t) {
+    if (t instanceof Date) return t.getTime();
+    if (typeof t === "bigint") return Number(t / 1_000_000n); // ns
+    if (typeof t === "number") return t > 1e15 ? Math.round(t / 1e6) : t;
+    if (typeof t === "string") return Date.parse(t);
+    return NaN;
+}
+
+// Feld, in dem der Datenpunkt seine Werte schreibt (aggregierte Datenpunkte: mean o.ä.)
+function valueColumn(dp) {
+    if (!dp.aggregate) return "value";
+    const fns = dp.aggregate.functions ?? ["mean"];
+    return fns.includes("mean") ? "mean" : fns.find((f) => f !== "count") ?? fns[0];
+}
+
+/**
+ * Normalisiert die Optionen (Defaults wie bei den History‑Adaptern).
+ * @returns {{start: number, end: number, aggregate: string, step: number, count: number}}
+ */
+function normalizeOptions(options = {}) {
+    const num = (v) => (v === undefined || v === null || v === "" ? NaN : Number(v));
+    const end = Number.isFinite(num(options.end)) ? num(options.end) : Date.now();
+    const start = Number.isFinite(num(options.start)) ? num(options.start) : end - DEFAULT_RANGE_MS;
+    const aggregate = options.aggregate ?? "average";
+    const count = Number(options.count) > 0 ? Math.floor(Number(options.count)) : DEFAULT_COUNT;
+    let step = Number(options.step) > 0 ? Number(options.step) : Math.ceil((end - start) / count);
+    step = Math.max(step, 1);
+    return { ...options, start, end, aggregate, step, count };
+}
+
+/**
+ * Baut die SQL‑Abfrage für einen Datenpunkt.
+ * @param {object} dp       konfigurierter Datenpunkt (measurement, Tags, aggregate, type)
+ * @param {object} options  getHistory‑Optionen
+ * @param {object} [defaultTags]  globale Tags aus cfg.defaultTags
+ * @returns {{sql: string, options: object}}
+ */
+function buildHistoryQuery(dp, options = {}, defaultTags = {}) {
+    const opts = normalizeOptions(options);
+    if (!HISTORY_AGGREGATES.includes(opts.aggregate))
+        throw new Error(`aggregate '${opts.aggregate}' wird nicht unterstützt (${HISTORY_AGGREGATES.join("/")})`);
+    if (opts.start > opts.end) throw new Error("start liegt nach end");
+
+    const numeric = dp.aggregate || !["string", "boolean"].includes(dp.type);
+    if (!numeric && opts.aggregate !== "none")
+        throw new Error(`aggregate '${opts.aggregate}' geht nur für numerische Datenpunkte, ${dp.id} ist ${dp.type}`);
+
+    const col = quoteIdent(valueColumn(dp));
+    const where = [`time >= ${sqlTime(opts.start)}`, `time <= ${sqlTime(opts.end)}`, `${col} IS NOT NULL`];
+    for (const [key, val] of Object.entries(datapointTags(dp, defaultTags))) {
+        if (val !== undefined && val !== null && val !== "") where.push(`${quoteIdent(key)} = ${quoteString(val)}`);
+    }
+    const from = `FROM ${quoteIdent(dp.measurement)} WHERE ${where.join(" AND ")}`;
+
+    if (opts.aggregate === "none") {
+        // returnNewestEntries: die letzten `count` Werte statt der ersten
+        const dir = opts.returnNewestEntries ? "DESC" : "ASC";
+        const limit = options.count !== undefined ? ` LIMIT ${opts.count}` : "";
+        return { sql: `SELECT time, ${col} AS val ${from} ORDER BY time ${dir}${limit}`, options: opts };
+    }
+
+    const bucket = `date_bin(INTERVAL '${opts.step} milliseconds', time, TIMESTAMP '1970-01-01T00:00:00Z')`;
+    if (opts.aggregate === "minmax") {
+        return {
+            sql: `SELECT ${bucket} AS bucket, selector_min(${col}, time) AS min_sel, selector_max(${col}, time) AS max_sel ${from} GROUP BY 1 ORDER BY 1`,
+            options: opts
+        };
+    }
+    const fn = SQL_AGGREGATES[opts.aggregate];
+    return { sql: `SELECT ${bucket} AS bucket, ${fn}(${col}) AS val ${from} GROUP BY 1 ORDER BY 1`, options: opts };
+}
+
+function roundValue(val, digits) {
+    if (typeof val !== "number" || digits === undefined || digits === null) return val;
+    const f = 10 ** Number(digits);
+    return Math.round(val * f) / f;
+}
+
+/**
+ * Wandelt die Query‑Rows in [{ val, ts }] (aufsteigend nach ts).
+ * Aggregat‑Buckets bekommen den Zeitstempel der Intervall‑Mitte.
+ */
+function mapHistoryRows(rows, opts) {
+    const out = [];
+    const norm = (v) => (typeof v === "bigint" ? Number(v) : v);
+    if (opts.aggregate === "none") {
+        for (const r of rows) out.push({ val: norm(r.val), ts: toMs(r.time) });
+        if (opts.returnNewestEntries) out.reverse();
+    } else if (opts.aggregate === "minmax") {
+        for (const r of rows) {
+            const pair = [r.min_sel, r.max_sel]
+                .filter((s) => s && s.value !== null && s.value !== undefined)
+                .map((s) => ({ val: norm(s.value), ts: toMs(s.time) }));
+            // min und max am selben Zeitpunkt → nur einmal
+            if (pair.length === 2 && pair[0].ts === pair[1].ts) pair.pop();
+            out.push(...pair.sort((a, b) => a.ts - b.ts));
+        }
+    } else {
+        const half = Math.round(opts.step / 2);
+        for (const r of rows) out.push({ val: norm(r.val), ts: toMs(r.bucket) + half });
+    }
+    return out.map((p) => ({ ...p, val: roundValue(p.val, opts.round) }));
+}
+
+module.exports = {
+    HISTORY_AGGREGATES,
+    quoteIdent,
+    quoteString,
+    valueColumn,
+    normalizeOptions,
+    buildHistoryQuery,
+    mapHistoryRows,
+    toMs
+};
@@ -0,0 +1,196 @@
+"use strict";
+/**
+ * journal.js
+ * ----------------------------------------------------------
+ * Append‑only Journal für fehlgeschlagene Writes (ersetzt die Queue‑JSON).
+ *
+ *  • Ein Eintrag = eine NDJSON‑Zeile, angehängt mit einem einzigen
+ *    O_APPEND‑Write → kein Umschreiben der ganzen Datei.
+ *  • Segmente mit max. `segmentEntries` Einträgen (segment-000001.ndjson, …).
+ *    Ein Segment wird erst gelöscht, wenn sein Batch erfolgreich geschrieben wurde.
+ *  • Abgebrochene (halbe) Zeilen nach einem Crash werden beim Lesen übersprungen
+ *    statt das ganze Journal zu verwerfen.
+ *  • Obergrenzen für Einträge/Bytes mit Drop‑Policy "oldest" oder "newest".
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const SEGMENT_RE = /^segment-(\d+)\.ndjson$/;
+const DROP_POLICIES = ["oldest", "newest"];
+
+const segmentName = (seq) => `segment-${String(seq).padStart(6, "0")}.ndjson`;
+
+// Zeilen parsen, kaputte Zeilen zählen statt abzubrechen
+function parseLines(raw) {
+    const entries = [];
+    let corrupt = 0;
+    for (const line of raw.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            corrupt++;
+        }
+    }
+    return { entries, corrupt };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir                 Verzeichnis der Segmente
+ * @param {number} [opts.segmentEntries]    Einträge pro Segment (= Batch‑Größe)
+ * @param {number} [opts.maxEntries]        Obergrenze Einträge gesamt (0 = unbegrenzt)
+ * @param {number} [opts.maxBytes]          Obergrenze Bytes gesamt (0 = unbegrenzt)
+ * @param {string} [opts.dropPolicy]        "oldest" (Default) oder "newest"
+ * @param {function} [opts.onDrop]          (count, policy) → void, z.B. für Logs
+ */
+function createJournal(opts) {
+    const dir = opts.dir;
+    const segmentEntries = opts.segmentEntries ?? 500;
+    let limits = {
+        maxEntries: opts.maxEntries ?? 0,
+        maxBytes: opts.maxBytes ?? 0,
+        dropPolicy: opts.dropPolicy ?? "oldest"
+    };
+    const onDrop = opts.onDrop ?? (() => { });
+
+    // Älteste zuerst: { seq, file, count, bytes, sealed }
+    let segments = [];
+    let nextSeq = 1;
+    let dropped = 0;
+    let corrupt = 0;
+    let chain = Promise.resolve(); // serialisiert alle Dateioperationen
+
+    const serialize = (fn) => {
+        const run = chain.then(fn);
+        chain = run.catch(() => { });
+        return run;
+    };
+
+    const totals = () => segments.reduce(
+        (acc, s) => ({ entries: acc.entries + s.count, bytes: acc.bytes + s.bytes }),
+        { entries: 0, bytes: 0 }
+    );
+
+    async function unlinkQuiet(file) {
+        try {
+            await fs.unlink(file);
+        } catch (e) {
+            if (e.code !== "ENOENT") throw e;
+        }
+    }
+
+    async function init() {
+        await fs.mkdir(dir, { recursive: true });
+        const files = (await fs.readdir(dir))
+            .map((f) => ({ f, m: SEGMENT_RE.exec(f) }))
+            .filter((x) => x.m)
+            .sort((a, b) => Number(a.m[1]) - Number(b.m[1]));
+
+        segments = [];
+        for (const { f, m } of files) {
+            const file = path.join(dir, f);
+            const raw = await fs.readFile(file, "utf8");
+            const parsed = parseLines(raw);
+            corrupt += parsed.corrupt;
+            if (parsed.entries.length === 0) {
+                await unlinkQuiet(file);
+                continue;
+            }
+            // Nach Neustart wird nichts mehr an alte Segmente angehängt
+            segments.push({ seq: Number(m[1]), file, count: parsed.entries.length, bytes: Buffer.byteLength(raw), sealed: true });
+        }
+        nextSeq = segments.length ? segments[segments.length - 1].seq + 1 : 1;
+    }
+
+    // Hält die Obergrenzen ein; true = neue Einträge dürfen geschrieben werden
+    async function enforceLimits(incomingEntries, incomingBytes) {
+        const { maxEntries, maxBytes, dropPolicy } = limits;
+        const over = () => {
+            const t = totals();
+            return (maxEntries && t.entries + incomingEntries > maxEntries) || (maxBytes && t.bytes + incomingBytes > maxBytes);
+        };
+        if (!over()) return true;
+        if (dropPolicy === "newest") {
+            dropped += incomingEntries;
+            onDrop(incomingEntries, dropPolicy);
+            return false;
+        }
+        // "oldest": ganze Segmente von vorne verwerfen
+        while (segments.length && over()) {
+            const seg = segments.shift();
+            await unlinkQuiet(seg.file);
+            dropped += seg.count;
+            onDrop(seg.count, dropPolicy);
+        }
+        return true;
+    }
+
+    function append(entry) {
+        return appendMany([entry]);
+    }
+
+    /**
+     * Hängt mehrere Einträge mit einem einzigen Write an (z.B. einen
+     * fehlgeschlagenen Batch). Passt der Block nicht mehr ins aktuelle
+     * Segment, beginnt ein neues – ein Block wird nie auf Segmente verteilt.
+     */
+    function appendMany(entries) {
+        const data = entries.map((e) => JSON.stringify(e) + "\n").join("");
+        const bytes = Buffer.byteLength(data);
+        const count = entries.length;
+        return serialize(async () => {
+            if (count === 0) return true;
+            if (!(await enforceLimits(count, bytes))) return false;
+            let seg = segments[segments.length - 1];
+            if (!seg || seg.sealed || seg.count + count > segmentEntries) {
+                if (seg) seg.sealed = true;
+                seg = { seq: nextSeq, file: path.join(dir, segmentName(nextSeq)), count: 0, bytes: 0, sealed: false };
+                nextSeq++;
+                segments.push(seg);
+            }
+            await fs.appendFile(seg.file, data, "utf8");
+            seg.count += count;
+            seg.bytes += bytes;
+            return true;
+        });
+    }
+
+    /**
+     * Liefert das älteste Segment samt Einträgen (oder null). Das Segment
+     * wird versiegelt, neue Einträge landen ab jetzt in einem neuen Segment.
+     */
+    function peek() {
+        return serialize(async () => {
+            const seg = segments[0];
+            if (!seg) return null;
+            seg.sealed = true;
+            const parsed = parseLines(await fs.readFile(seg.file, "utf8"));
+            corrupt += parsed.corrupt;
+            return { seq: seg.seq, entries: parsed.entries };
+        });
+    }
+
+    // Segment nach erfolgreichem Write löschen
+    function commit(handle) {
+        return serialize(async () => {
+            const idx = segments.findIndex((s) => s.seq === handle.seq);
+            if (idx === -1) return; // inzwischen per Drop‑Policy entfernt
+            const [seg] = segments.splice(idx, 1);
+            await unlinkQuiet(seg.file);
+        });
+    }
+
+    function setLimits(next) {
+        limits = { ...limits, ...next };
+    }
+
+    function stats() {
+        return { ...totals(), segments: segments.length, dropped, corrupt };
+    }
+
+    return { init, append, appendMany, peek, commit, setLimits, stats };
+}
+
+module.exports = { createJournal, DROP_POLICIES };
@@ -0,0 +1,291 @@
+"use strict";
+/**
+ * line_protocol.js
+ * ----------------------------------------------------------
+ * Gemeinsamer Line‑Protocol‑Builder und ‑Parser für Connector und Konverter.
+ *
+ *   measurement[,tag=wert…] feld=wert[,feld=wert…] [timestamp]
+ *
+ *  • Measurement: Komma und Leerzeichen escapen.
+ *  • Tag‑Keys/‑Werte und Feld‑Keys: Komma, Gleichheitszeichen, Leerzeichen escapen.
+ *  • Backslashes in Measurement/Tags/Keys: nur vor einem Sonderzeichen, einem
+ *    weiteren Backslash oder am Ende verdoppeln (sonst literal).
+ *  • Zeilenumbrüche in Measurement/Tags/Keys werden als \n geschrieben.
+ *  • String‑Feldwerte: in Anführungszeichen, nur Backslash und " escapen
+ *    (Zeilenumbrüche bleiben erhalten).
+ *  • Tags werden nach Key sortiert (kanonische Reihenfolge, wie von InfluxDB empfohlen).
+ */
+
+const FIELD_TYPES = ["float", "integer", "uinteger", "boolean", "string"];
+
+// Wertebereiche der Ganzzahl‑Typen (int64 / uint64)
+const INT_RANGES = {
+    integer: [-(2n ** 63n), 2n ** 63n - 1n],
+    uinteger: [0n, 2n ** 64n - 1n]
+};
+
+// Feste Tag‑Keys eines Datenpunkts (Reihenfolge egal, wird sortiert)
+const DATAPOINT_TAG_KEYS = ["source", "sensor_id", "location", "processing"];
+
+const escapeNewlines = (s) => s.replace(/\r?\n/g, "\\n");
+
+// Backslash vor einem Sonderzeichen, einem weiteren Backslash oder am Ende verdoppeln, damit er
+// nicht das folgende Trennzeichen escapet (x\ → x\\); alle anderen bleiben literal
+const escapeBackslashes = (s, specials) => s.replace(new RegExp(`\\\\(?=[\\\\${specials}]|$)`, "g"), "\\\\");
+
+function escapeMeasurement(name) {
+    return escapeBackslashes(escapeNewlines(String(name)), ", ").replace(/[, ]/g, "\\$&");
+}
+
+// Tag‑Keys, Tag‑Werte und Feld‑Keys
+function escapeKey(s) {
+    return escapeBackslashes(escapeNewlines(String(s)), ",= ").replace(/[,= ]/g, "\\$&");
+}
+
+// Zeilenumbrüche bleiben erhalten – innerhalb der Anführungszeichen sind sie erlaubt
+function escapeStringField(s) {
+    return String(s).replace(/["\\]/g, "\\$&");
+}
+
+// Leere Tags (undefined/null/"") fallen weg, alles andere wird zu String
+function formatTags(tags = {}) {
+    return Object.keys(tags)
+        .filter((k) => tags[k] !== undefined && tags[k] !== null && tags[k] !== "")
+        .sort()
+        .map((k) => `${escapeKey(k)}=${escapeKey(tags[k])}`)
+        .join(",");
+}
+
+/**
+ * Formatiert einen Feldwert passend zum Typ.
+ * float 1.5 | integer 42i | uinteger 42u | boolean true | string "text"
+ */
+function formatFieldValue(value, type = "float") {
+    switch (type) {
+        case "float": {
+            const num = Number(value);
+            if (!Number.isFinite(num)) throw new TypeError(`Ungültiger float-Wert: ${value}`);
+            return String(num);
+        }
+        case "integer":
+        case "uinteger": {
+            const int = typeof value === "bigint" ? value : Math.trunc(Number(value));
+            // größere Numbers verlieren Stellen bzw. würden als 1e+21 ausgegeben
+            if (typeof int === "number" && !Number.isSafeInteger(int)) throw new TypeError(`Ungültiger ${type}-Wert: ${value}`);
+            if (type === "uinteger" && int < 0) throw new TypeError(`uinteger darf nicht negativ sein: ${value}`);
+            const [min, max] = INT_RANGES[type];
+            if (BigInt(int) < min || BigInt(int) > max) throw new TypeError(`${type}-Wert außerhalb des Wertebereichs: ${value}`);
+            return `${int}${type === "integer" ? "i" : "u"}`;
+        }
+        case "boolean":
+            return value ? "true" : "false";
+        case "string":
+            return `"${escapeStringField(value)}"`;
+        default:
+            throw new TypeError(`Unbekannter Feldtyp: ${type}`);
+    }
+}
+
+const BOOL_STRINGS = new Map([
+    ["true", true], ["false", false],
+    ["on", true], ["off", false],
+    ["1", true], ["0", false]
+]);
+
+/**
+ * Wandelt einen ioBroker‑Wert in den konfigurierten Feldtyp um.
+ * Bei `auto` entscheidet der JS‑Typ des Werts: boolean → boolean,
+ * Zahl bzw. numerischer String → float, sonst string.
+ * Gibt `{ type, value }` mit aufgelöstem Typ (nie `auto`) oder `null` zurück
+ * (nicht darstellbar, z.B. Text bei float oder Ganzzahl außerhalb ±2^53).
+ */
+function coerceValue(raw, type = "auto") {
+    if (raw === null || raw === undefined) return null;
+
+    if (type === "auto") {
+        if (typeof raw === "boolean") type = "boolean";
+        else if (typeof raw === "number") type = "float";
+        else if (typeof raw === "string" && raw.trim() !== "" && Number.isFinite(Number(raw))) type = "float";
+        else type = "string";
+    }
+
+    switch (type) {
+        case "float": {
+            const num = Number(raw);
+            return Number.isFinite(num) ? { type, value: num } : null;
+        }
+        case "integer": {
+            const int = Math.round(Number(raw));
+            return Number.isSafeInteger(int) ? { type, value: int } : null;
+        }
+        case "boolean": {
+            if (typeof raw === "boolean") return { type, value: raw };
+            if (typeof raw === "number") return { type, value: raw !== 0 };
+            const b = BOOL_STRINGS.get(String(raw).trim().toLowerCase());
+            return b === undefined ? null : { type, value: b };
+        }
+        case "string":
+            return { type, value: typeof raw === "object" ? JSON.stringify(raw) : String(raw) };
+        default:
+            return null;
+    }
+}
+
+// Feldliste [{ key, value, type }] → "value=1.5" bzw. "mean=1.2,count=5i"
+function formatFields(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) throw new TypeError("Mindestens ein Feld erforderlich");
+    return fields.map((f) => `${escapeKey(f.key)}=${formatFieldValue(f.value, f.type)}`).join(",");
+}
+
+/**
+ * Baut eine komplette Line‑Protocol‑Zeile.
+ * @param {object} point
+ * @param {string} point.measurement
+ * @param {object} [point.tags]           { key: wert }
+ * @param {Array}  point.fields           [{ key, value, type }]
+ * @param {string|number|bigint} [point.timestamp]
+ */
+function buildLine({ measurement, tags, fields, timestamp }) {
+    if (measurement === undefined || measurement === null || measurement === "")
+        throw new TypeError("Measurement fehlt");
+    const tagStr = formatTags(tags);
+    const head = tagStr ? `${escapeMeasurement(measurement)},${tagStr}` : escapeMeasurement(measurement);
+    const ts = timestamp === undefined || timestamp === null || timestamp === "" ? "" : ` ${timestamp}`;
+    return `${head} ${formatFields(fields)}${ts}`;
+}
+
+// --------------------------------------------------
+// Parser
+// --------------------------------------------------
+const FLOAT_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const INTEGER_RE = /^[+-]?\d+i$/;
+const UINTEGER_RE = /^\d+u$/;
+const TIMESTAMP_RE = /^-?\d+$/;
+const BOOLEANS = {
+    t: true, T: true, true: true, True: true, TRUE: true,
+    f: false, F: false, false: false, False: false, FALSE: false
+};
+
+// Unescaped Feldwert → { value, type }; integer/uinteger als BigInt (verlustfrei)
+function parseFieldValue(raw) {
+    if (INTEGER_RE.test(raw)) return { value: BigInt(raw.slice(0, -1)), type: "integer" };
+    if (UINTEGER_RE.test(raw)) return { value: BigInt(raw.slice(0, -1)), type: "uinteger" };
+    if (Object.hasOwn(BOOLEANS, raw)) return { value: BOOLEANS[raw], type: "boolean" };
+    if (FLOAT_RE.test(raw) && Number.isFinite(Number(raw))) return { value: Number(raw), type: "float" };
+    return null;
+}
+
+/**
+ * Zerlegt eine Line‑Protocol‑Zeile.
+ *  • Backslash‑Escapes in Measurement (`,` Leerzeichen `\\`), Tags und Feld‑Keys (`,` `=` Leerzeichen `\\`)
+ *  • String‑Felder in Anführungszeichen (`\"` und `\\`), dürfen Leerzeichen/Kommas enthalten
+ *  • Typ‑Suffixe i/u, Booleans t/true/…, Floats
+ * Leerzeilen und Kommentare (#) → null. Syntaxfehler → SyntaxError mit Position.
+ * @returns {{measurement: string, tags: object, fields: Array<{key, value, type}>, timestamp: string|undefined}|null}
+ */
+function parseLine(line) {
+    const s = line.replace(/\r$/, "");
+    if (s.trim() === "" || s.trimStart().startsWith("#")) return null;
+    let i = 0;
+    const fail = (msg) => {
+        throw new SyntaxError(`${msg} (Position ${i + 1})`);
+    };
+
+    // Liest bis zu einem ungeescapten Zeichen aus `stops`; `escapable` wird unescaped
+    function token(stops, escapable) {
+        let out = "";
+        while (i < s.length && !stops.includes(s[i])) {
+            if (s[i] === "\\" && i + 1 < s.length && escapable.includes(s[i + 1])) {
+                out += s[i + 1];
+                i += 2;
+            } else {
+                out += s[i++];
+            }
+        }
+        return out;
+    }
+
+    const measurement = token(", ", ", \\");
+    if (!measurement) fail("Measurement fehlt");
+
+    const tags = {};
+    while (s[i] === ",") {
+        i++;
+        const key = token("=, ", ",= \\");
+        if (!key || s[i] !== "=") fail(`Tag '${key}' ohne Wert`);
+        i++;
+        const value = token(", ", ",= \\");
+        if (!value) fail(`Tag '${key}' ohne Wert`);
+        tags[key] = value;
+    }
+    if (s[i] !== " ") fail("Leerzeichen vor den Feldern erwartet");
+    while (s[i] === " ") i++;
+
+    const fields = [];
+    for (;;) {
+        const key = token("=, ", ",= \\");
+        if (!key || s[i] !== "=") fail(`Feld '${key}' ohne Wert`);
+        i++;
+        if (s[i] === "\"") {
+            i++;
+            let value = "";
+            while (i < s.length && s[i] !== "\"") {
+                if (s[i] === "\\" && (s[i + 1] === "\"" || s[i + 1] === "\\")) i++;
+                value += s[i++];
+            }
+            if (i >= s.length) fail(`String-Feld '${key}' nicht abgeschlossen`);
+            i++;
+            fields.push({ key, value, type: "string" });
+        } else {
+            const start = i;
+            const raw = token(", ", "");
+            const parsed = parseFieldValue(raw);
+            if (!parsed) {
+                i = start;
+                fail(`ungültiger Wert für Feld '${key}': ${raw || "(leer)"}`);
+            }
+            fields.push({ key, ...parsed });
+        }
+        if (s[i] !== ",") break;
+        i++;
+    }
+
+    let timestamp;
+    if (i < s.length) {
+        if (s[i] !== " ") fail("Leerzeichen vor dem Timestamp erwartet");
+        const ts = s.slice(i).trim();
+        if (ts !== "") {
+            if (!TIMESTAMP_RE.test(ts)) fail(`ungültiger Timestamp: ${ts}`);
+            timestamp = ts;
+        }
+    }
+    return { measurement, tags, fields, timestamp };
+}
+
+/**
+ * Tags eines Datenpunkts: globale Defaults < feste Keys (source, sensor_id, …) < dp.tags.
+ * @param {object} dp
+ * @param {object} [defaultTags]  cfg.defaultTags
+ */
+function datapointTags(dp, defaultTags = {}) {
+    const tags = { ...defaultTags };
+    for (const key of DATAPOINT_TAG_KEYS) {
+        if (dp[key] !== undefined) tags[key] = dp[key];
+    }
+    return { ...tags, ...(dp.tags ?? {}) };
+}
+
+module.exports = {
+    FIELD_TYPES,
+    DATAPOINT_TAG_KEYS,
+    escapeMeasurement,
+    escapeKey,
+    escapeStringField,
+    formatTags,
+    formatFieldValue,
+    coerceValue,
+    formatFields,
+    buildLine,
+    parseLine,
+    datapointTags
+};
@@ -0,0 +1,243 @@
+"use strict";
+/**
+ * lp_analysis.js
+ * ----------------------------------------------------------
+ * Offline‑Prüfung einer Line‑Protocol‑Datei vor dem Import
+ * (migrate_v2_to_v3/influxdb3_client.js --dry-run), ganz ohne Server.
+ *
+ *  • Measurements mit Tag‑ und Feld‑Keys (inkl. Typen), Zeilen und Zeitspanne
+ *  • Typ‑Konflikte: InfluxDB 3 legt pro Spalte genau einen Typ fest –
+ *    value=1 / value=1i / value=true im selben Measurement scheitern beim Import,
+ *    ebenso ein Key, der einmal Tag und einmal Feld ist
+ *  • Timestamps außerhalb eines plausiblen Bereichs, oft mit erkennbar
+ *    falscher Präzision (s/ms/us statt ns)
+ *  • Duplikate: gleiche Serie + Timestamp + Feld mehrfach (der letzte Wert
+ *    gewinnt – kein Fehler, aber ein Hinweis auf doppelt exportierte Daten)
+ *  • Zeilen, die sich nicht parsen lassen
+ *
+ * Blockierend (→ Exit‑Code ≠ 0) sind Parse‑Fehler, Typ‑Konflikte und
+ * unplausible Timestamps; Duplikate und Zeilen ohne Timestamp sind Hinweise.
+ * Für die Duplikat‑Erkennung werden alle Timestamps je Serie/Feld gehalten –
+ * der Speicherbedarf wächst mit der Zahl der Punkte.
+ */
+
+const { parseLine, formatTags } = require("./line_protocol");
+const { PRECISIONS } = require("./timestamp");
+
+// Ältester plausibler Zeitpunkt (ms); jünger als "jetzt + 1 Tag" müssen Punkte auch sein
+const MIN_PLAUSIBLE_MS = Date.UTC(2000, 0, 1);
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+
+// Beispiele pro Problemart
+const MAX_EXAMPLES = 5;
+
+function createProblem() {
+    const problem = { count: 0, examples: [] };
+    problem.add = (example) => {
+        problem.count++;
+        if (problem.examples.length < MAX_EXAMPLES) problem.examples.push(example);
+    };
+    return problem;
+}
+
+/**
+ * Präzision, mit der der Timestamp plausibel wäre, sonst null.
+ * @param {bigint} ts
+ * @param {bigint} min  ms
+ * @param {bigint} max  ms
+ */
+function guessPrecision(ts, min, max) {
+    for (const [name, factor] of Object.entries(PRECISIONS)) {
+        const ms = (ts * factor) / 1_000_000n;
+        if (ms >= min && ms <= max) return name;
+    }
+    return null;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.precision]  Präzision, mit der importiert wird (Default "ns")
+ * @param {number} [opts.now]        Referenzzeit (ms) für "Zukunft"
+ */
+function createAnalyzer({ precision = "ns", now = Date.now() } = {}) {
+    const factor = PRECISIONS[precision];
+    if (!factor) throw new Error(`unbekannte Präzision: ${precision}`);
+    const minMs = BigInt(MIN_PLAUSIBLE_MS);
+    const maxMs = BigInt(now + MAX_FUTURE_MS);
+
+    // Measurement → { lines, tags: Set, fields: Map<key, Map<type, { count, line }>>, first, last }
+    const measurements = new Map();
+    // Serie + Feld → Set<Timestamp>
+    const seen = new Map();
+    const problems = {
+        unparsable: createProblem(),
+        timestamp: createProblem(),
+        missingTimestamp: createProblem(),
+        duplicate: createProblem()
+    };
+    let lines = 0;
+    let points = 0;
+
+    function measurementOf(name) {
+        let m = measurements.get(name);
+        if (!m) {
+            m = { lines: 0, tags: new Set(), fields: new Map(), first: null, last: null };
+            measurements.set(name, m);
+        }
+        return m;
+    }
+
+    function add(text, lineNo) {
+        lines++;
+        let point;
+        try {
+            point = parseLine(text);
+        } catch (e) {
+            problems.unparsable.add({ line: lineNo, message: e.message, text });
+            return;
+        }
+        if (!point) return;
+        points++;
+
+        const m = measurementOf(point.measurement);
+        m.lines++;
+        for (const key of Object.keys(point.tags)) m.tags.add(key);
+        for (const { key, type } of point.fields) {
+            let types = m.fields.get(key);
+            if (!types) m.fields.set(key, (types = new Map()));
+            const t = types.get(type);
+            if (t) t.count++;
+            else types.set(type, { count: 1, line: lineNo });
+        }
+
+        if (point.timestamp === undefined) {
+            problems.missingTimestamp.add({ line: lineNo, text });
+            return;
+        }
+        const ts = BigInt(point.timestamp);
+        const ms = (ts * factor) / 1_000_000n;
+        if (ms < minMs || ms > maxMs) {
+            problems.timestamp.add({ line: lineNo, timestamp: point.timestamp, guess: guessPrecision(ts, minMs, maxMs) });
+        } else {
+            const nsTs = ts * factor;
+            if (m.first === null || nsTs < m.first) m.first = nsTs;
+            if (m.last === null || nsTs > m.last) m.last = nsTs;
+        }
+
+        const series = `${point.measurement}\n${formatTags(point.tags)}`;
+        for (const { key } of point.fields) {
+            const seriesKey = `${series}\n${key}`;
+            let stamps = seen.get(seriesKey);
+            if (!stamps) seen.set(seriesKey, (stamps = new Set()));
+            if (stamps.has(point.timestamp)) problems.duplicate.add({ line: lineNo, field: key, timestamp: point.timestamp });
+            else stamps.add(point.timestamp);
+        }
+    }
+
+    // Spalten mit mehr als einem Typ bzw. als Tag und Feld
+    function conflicts() {
+        const typeConflicts = [];
+        const columnConflicts = [];
+        for (const [name, m] of measurements) {
+            for (const [key, types] of m.fields) {
+                if (types.size > 1) {
+                    typeConflicts.push({
+                        measurement: name,
+                        field: key,
+                        types: [...types].map(([type, t]) => ({ type, count: t.count, line: t.line }))
+                    });
+                }
+                if (m.tags.has(key)) columnConflicts.push({ measurement: name, key });
+            }
+        }
+        return { typeConflicts, columnConflicts };
+    }
+
+    function result() {
+        const { typeConflicts, columnConflicts } = conflicts();
+        const blocking = [];
+        if (problems.unparsable.count) blocking.push(`${problems.unparsable.count} Zeilen nicht parsebar`);
+        if (typeConflicts.length) blocking.push(`${typeConflicts.length} Felder mit mehreren Typen`);
+        if (columnConflicts.length) blocking.push(`${columnConflicts.length} Keys als Tag und Feld`);
+        if (problems.timestamp.count) blocking.push(`${problems.timestamp.count} unplausible Timestamps`);
+        return {
+            lines,
+            points,
+            precision,
+            measurements,
+            typeConflicts,
+            columnConflicts,
+            unparsable: problems.unparsable,
+            timestamps: problems.timestamp,
+            missingTimestamps: problems.missingTimestamp,
+            duplicates: problems.duplicate,
+            blocking
+        };
+    }
+
+    return { add, result };
+}
+
+// --------------------------------------------------
+// Ausgabe
+// --------------------------------------------------
+const formatNs = (ns) => (ns === null ? "" : new Date(Number(ns / 1_000_000n)).toISOString());
+
+// Tabellenzeilen für console.table (ein Eintrag pro Measurement)
+function measurementRows(result) {
+    return [...result.measurements].map(([name, m]) => ({
+        Measurement: name,
+        Zeilen: m.lines,
+        Tags: [...m.tags].sort().join(", "),
+        Felder: [...m.fields]
+            .map(([key, types]) => `${key}:${[...types.keys()].join("|")}`)
+            .join(", "),
+        von: formatNs(m.first),
+        bis: formatNs(m.last)
+    }));
+}
+
+// Problemliste als Textzeilen (leer = keine Auffälligkeiten)
+function problemLines(result) {
+    const out = [];
+    const more = (p) => (p.count > p.examples.length ? [`    … ${p.count - p.examples.length} weitere`] : []);
+
+    if (result.unparsable.count) {
+        out.push(`❌ ${result.unparsable.count} Zeilen nicht parsebar:`);
+        for (const e of result.unparsable.examples) out.push(`    Zeile ${e.line}: ${e.message}`);
+        out.push(...more(result.unparsable));
+    }
+    for (const c of result.typeConflicts) {
+        const types = c.types.map((t) => `${t.type} ×${t.count} (ab Zeile ${t.line})`).join(", ");
+        out.push(`❌ Typ-Konflikt ${c.measurement}.${c.field}: ${types}`);
+    }
+    for (const c of result.columnConflicts) {
+        out.push(`❌ ${c.measurement}: '${c.key}' ist Tag und Feld`);
+    }
+    if (result.timestamps.count) {
+        out.push(`❌ ${result.timestamps.count} Timestamps außerhalb 2000 … jetzt+1 Tag (Präzision ${result.precision}):`);
+        for (const e of result.timestamps.examples) {
+            const guess = e.guess ? ` – passt als ${e.guess}` : "";
+            out.push(`    Zeile ${e.line}: ${e.timestamp}${guess}`);
+        }
+        out.push(...more(result.timestamps));
+    }
+    if (result.duplicates.count) {
+        out.push(`⚠️  ${result.duplicates.count} doppelte Serie/Timestamp/Feld (letzter Wert gewinnt):`);
+        for (const e of result.duplicates.examples) out.push(`    Zeile ${e.line}: ${e.field} @ ${e.timestamp}`);
+        out.push(...more(result.duplicates));
+    }
+    if (result.missingTimestamps.count) {
+        out.push(`⚠️  ${result.missingTimestamps.count} Zeilen ohne Timestamp (Server setzt Empfangszeit):`);
+        for (const e of result.missingTimestamps.examples) out.push(`    Zeile ${e.line}`);
+        out.push(...more(result.missingTimestamps));
+    }
+    return out;
+}
+
+module.exports = {
+    createAnalyzer,
+    guessPrecision,
+    measurementRows,
+    problemLines
+};
@@ -0,0 +1,245 @@
+"use strict";
+/**
+ * lp_import.js
+ * ----------------------------------------------------------
+ * Umwandlung geparster v2‑Punkte (ioBroker‑influxdb‑Adapter) für InfluxDB 3 –
+ * genutzt vom Konverter (migrate_v2_to_v3/convert_lp_v2_to_v3.js).
+ *
+ *  • Der v2‑Adapter schreibt pro State ein Measurement (= State‑ID) mit den
+ *    Feldern value, ack, q und from; value kann Zahl, Boolean oder String sein.
+ *  • `influxd inspect export-lp` gibt jedes Feld als eigene Zeile aus. Zeilen
+ *    einer Serie mit gleichem Timestamp werden wieder zu einem Punkt vereint.
+ *  • Zusatzfelder (alles außer value) pro Datenpunkt über `importFields`:
+ *      "keep" = Feld bleibt Feld, "tag" = wird Tag, "drop" = entfällt.
+ *    "*" gilt für alle nicht genannten Felder, Default "keep".
+ *  • Tags: wie im Connector, dazu Import‑Tags (Default source=influxdbv2,
+ *    trigger=manual_import), überschreibbar per `importTags` bzw. --tag.
+ *  • Zeitfenster (--since/--until) und Bericht pro Quell‑Measurement.
+ */
+
+const { formatTags, datapointTags } = require("./line_protocol");
+const { parseDuration } = require("./duration");
+
+const IMPORT_FIELD_MODES = ["keep", "tag", "drop"];
+const DEFAULT_IMPORT_FIELD_MODE = "keep";
+const DEFAULT_IMPORT_TAGS = { source: "influxdbv2", trigger: "manual_import" };
+
+/**
+ * Tags eines importierten Punkts: Tags des Datenpunkts < Import‑Tags
+ * (DEFAULT_IMPORT_TAGS < cfg.importTags < overrides von der Kommandozeile).
+ * Ein leerer Wert entfernt den Tag.
+ */
+function importTags(dp, c, overrides = {}) {
+    return { ...datapointTags(dp, c?.defaultTags), ...DEFAULT_IMPORT_TAGS, ...(c?.importTags ?? {}), ...overrides };
+}
+
+/**
+ * Zeitangabe für --since/--until → ns (BigInt).
+ * ISO‑Datum/‑Zeit ("2024-05-01", "2024-05-01T12:00:00Z") oder Dauer relativ
+ * zu jetzt ("30d" = vor 30 Tagen).
+ */
+function parseTimeArg(value, now = Date.now()) {
+    const rel = parseDuration(value);
+    const ms = rel ? now - rel : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new Error(`ungültige Zeitangabe: ${value}`);
+    return BigInt(ms) * 1_000_000n;
+}
+
+// since inklusiv, until exklusiv (until = ältester Punkt, der schon in InfluxDB 3 liegt)
+function inTimeRange(timestamp, { since, until } = {}) {
+    if (timestamp === undefined || (since === undefined && until === undefined)) return true;
+    const ts = BigInt(timestamp);
+    return (since === undefined || ts >= since) && (until === undefined || ts < until);
+}
+
+// cfg.importFields < dp.importFields; "$"‑Schlüssel (Kommentare) fallen weg
+function importFieldModes(dp, c) {
+    const modes = { ...(c?.importFields ?? {}), ...(dp.importFields ?? {}) };
+    for (const key of Object.keys(modes)) {
+        if (key.startsWith("$")) delete modes[key];
+    }
+    return modes;
+}
+
+const fieldMode = (modes, key) => modes[key] ?? modes["*"] ?? DEFAULT_IMPORT_FIELD_MODE;
+
+/**
+ * value an den `type` des Datenpunkts anpassen, soweit verlustfrei möglich
+ * (InfluxDB 3 erlaubt pro Feld nur einen Typ).
+ * @returns {object|null}  Feld { key, value, type } oder null = passt nicht
+ */
+function convertValue(field, type) {
+    if (!type || type === "auto" || type === field.type) return field;
+    const num = typeof field.value === "bigint" ? Number(field.value) : field.value;
+    switch (type) {
+        case "float":
+            if (field.type === "integer" || field.type === "uinteger") return { ...field, value: num, type };
+            break;
+        case "integer":
+            if (field.type === "uinteger") return { ...field, type };
+            if (field.type === "float" && Number.isSafeInteger(num)) return { ...field, value: BigInt(num), type };
+            break;
+        case "boolean":
+            // ältere Adapter‑Versionen speichern Booleans als 0/1
+            if (field.type !== "string" && (num === 0 || num === 1)) return { ...field, value: num === 1, type };
+            break;
+    }
+    return null;
+}
+
+/**
+ * Einen (zusammengeführten) v2‑Punkt auf den Datenpunkt abbilden.
+ * @param {object} point            parseLine(...)
+ * @param {object} dp               Datenpunkt aus der config.json
+ * @param {object} opts
+ * @param {object} opts.tags        Tags für InfluxDB 3 (Datenpunkt + Import‑Tags)
+ * @param {object} opts.modes       importFieldModes(dp, cfg)
+ * @returns {{point: object}|{reason: string}}
+ */
+function convertPoint(point, dp, { tags, modes }) {
+    if (point.timestamp === undefined) return { reason: "kein Timestamp" };
+    const outTags = { ...tags };
+    const extra = [];
+    let value;
+    for (const f of point.fields) {
+        if (f.key === "value") {
+            value = f;
+            continue;
+        }
+        const mode = fieldMode(modes, f.key);
+        if (mode === "tag") outTags[f.key] = String(f.value);
+        else if (mode === "keep") extra.push(f);
+    }
+    if (!value) return { reason: "kein value-Feld" };
+    const converted = convertValue(value, dp.type);
+    if (!converted) return { reason: `value ist ${value.type}, Datenpunkt hat type ${dp.type}` };
+    return {
+        point: { measurement: dp.measurement, tags: outTags, fields: [converted, ...extra], timestamp: point.timestamp }
+    };
+}
+
+/**
+ * Führt aufeinanderfolgende Zeilen derselben Serie mit gleichem Timestamp
+ * zusammen. Eine Serie wird erst abgegeben, wenn eine andere beginnt (oder
+ * flush() kommt) – der Speicherbedarf entspricht also der größten Serie.
+ * Spätere Zeilen überschreiben gleichnamige Felder (wie in InfluxDB).
+ * @param {function} onPoint  (point) → void
+ */
+function createPointMerger(onPoint) {
+    let seriesKey = null;
+    let pending = new Map(); // timestamp → point
+
+    function flush() {
+        for (const point of pending.values()) onPoint(point);
+        pending = new Map();
+    }
+
+    function push(point) {
+        if (point.timestamp === undefined) {
+            onPoint(point); // ohne Timestamp nicht zuordenbar
+            return;
+        }
+        const key = `${point.measurement}\n${formatTags(point.tags)}`;
+        if (key !== seriesKey) {
+            flush();
+            seriesKey = key;
+        }
+        const prev = pending.get(point.timestamp);
+        if (!prev) {
+            pending.set(point.timestamp, { ...point, fields: [...point.fields] });
+            return;
+        }
+        for (const f of point.fields) {
+            const i = prev.fields.findIndex((x) => x.key === f.key);
+            if (i === -1) prev.fields.push(f);
+            else prev.fields[i] = f;
+        }
+    }
+
+    return { push, flush };
+}
+
+// --------------------------------------------------
+// Bericht
+// --------------------------------------------------
+const formatNs = (ns) => (ns === null ? "" : new Date(Number(ns / 1_000_000n)).toISOString());
+
+/**
+ * Zähler pro Quell‑Measurement (= ioBroker‑ID im v2‑Export): Zeilen ein,
+ * Punkte aus, außerhalb des Zeitfensters, verworfen, Zeitspanne und
+ * Min/Max von value. Dazu Quell‑Measurements ohne Datenpunkt.
+ */
+function createReport() {
+    const rows = new Map();
+    const unmapped = new Map(); // Quell‑Measurement → Zeilen
+    let unparsable = 0;
+
+    function row(source) {
+        let r = rows.get(source);
+        if (!r) {
+            r = { in: 0, out: 0, skipped: 0, rejected: 0, first: null, last: null, min: null, max: null };
+            rows.set(source, r);
+        }
+        return r;
+    }
+
+    function written(source, point) {
+        const r = row(source);
+        r.out++;
+        const ts = BigInt(point.timestamp);
+        if (r.first === null || ts < r.first) r.first = ts;
+        if (r.last === null || ts > r.last) r.last = ts;
+        const value = point.fields.find((f) => f.key === "value");
+        if (!value || value.type === "string") return;
+        const num = Number(value.value);
+        if (r.min === null || num < r.min) r.min = num;
+        if (r.max === null || num > r.max) r.max = num;
+    }
+
+    return {
+        line: (source) => row(source).in++,
+        skipped: (source) => row(source).skipped++,
+        rejected: (source) => row(source).rejected++,
+        written,
+        unmapped: (source) => unmapped.set(source, (unmapped.get(source) ?? 0) + 1),
+        unparsable: () => unparsable++,
+        get rows() { return rows; },
+        get unparsableLines() { return unparsable; },
+        // [[measurement, Zeilen]], häufigste zuerst
+        unmappedList: () => [...unmapped].sort((a, b) => b[1] - a[1])
+    };
+}
+
+/**
+ * Tabellenzeilen für console.table.
+ * @param {object}   report
+ * @param {function} [targetOf]  Quell‑Measurement → Ziel‑Measurement
+ */
+function reportRows(report, targetOf = () => "") {
+    return [...report.rows].map(([source, r]) => ({
+        Quelle: source,
+        Ziel: targetOf(source),
+        ein: r.in,
+        aus: r.out,
+        "übersprungen": r.skipped,
+        verworfen: r.rejected,
+        von: formatNs(r.first),
+        bis: formatNs(r.last),
+        min: r.min ?? "",
+        max: r.max ?? ""
+    }));
+}
+
+module.exports = {
+    IMPORT_FIELD_MODES,
+    DEFAULT_IMPORT_TAGS,
+    importFieldModes,
+    importTags,
+    parseTimeArg,
+    inTimeRange,
+    createReport,
+    reportRows,
+    convertValue,
+    convertPoint,
+    createPointMerger
+};
@@ -0,0 +1,217 @@
+"use strict";
+/**
+ * lp_verify.js
+ * ----------------------------------------------------------
+ * Abgleich einer importierten LP‑Datei mit InfluxDB 3
+ * (migrate_v2_to_v3/influxdb3_client.js --verify).
+ *
+ *  • Aus der Datei: pro Measurement Anzahl Punkte mit `value`, Zeitspanne,
+ *    Summe/Min/Max von `value` (nur numerisch) und die Tags, die alle Zeilen
+ *    gemeinsam haben (z.B. source=influxdbv2, trigger=manual_import).
+ *  • Dieselben Kennzahlen per SQL, eingeschränkt auf Zeitspanne und gemeinsame
+ *    Tags – Live‑Daten des Connectors im selben Measurement zählen so nicht mit.
+ *  • Vergleich mit Toleranz für Summen (Reihenfolge der Float‑Addition).
+ *
+ * Doppelte Punkte (gleiche Serie + Timestamp) gibt es in InfluxDB nur einmal;
+ * sie erscheinen als Differenz bei der Anzahl (vorher --dry-run).
+ */
+
+const { parseLine } = require("./line_protocol");
+const { toMs } = require("./history");
+
+const NUMERIC_TYPES = ["float", "integer", "uinteger"];
+const DEFAULT_TOLERANCE = 1e-9; // relativ
+const METRICS = ["count", "first", "last", "sum", "min", "max"];
+
+const quoteIdent = (s) => `"${String(s).replace(/"/g, '""')}"`;
+const quoteString = (s) => `'${String(s).replace(/'/g, "''")}'`;
+
+// ns (BigInt) → RFC3339 mit Nanosekunden, z.B. 2024-05-06T12:53:20.123456789Z
+function nsToIso(ns) {
+    const iso = new Date(Number(ns / 1_000_000n)).toISOString();
+    return iso.replace(/\.\d{3}Z$/, `.${String(ns % 1_000_000_000n).padStart(9, "0")}Z`);
+}
+
+/**
+ * Kennzahlen einer LP‑Datei, Zeile für Zeile.
+ */
+function createExportStats() {
+    const measurements = new Map();
+    let unparsable = 0;
+    let withoutTimestamp = 0;
+
+    function add(text) {
+        let point;
+        try {
+            point = parseLine(text);
+        } catch {
+            unparsable++;
+            return;
+        }
+        if (!point) return;
+        const value = point.fields.find((f) => f.key === "value");
+        if (!value) return;
+        if (point.timestamp === undefined) {
+            withoutTimestamp++;
+            return;
+        }
+
+        let m = measurements.get(point.measurement);
+        if (!m) {
+            m = { count: 0, first: null, last: null, sum: 0, min: null, max: null, numeric: true, tags: { ...point.tags } };
+            measurements.set(point.measurement, m);
+        }
+        m.count++;
+        const ts = BigInt(point.timestamp);
+        if (m.first === null || ts < m.first) m.first = ts;
+        if (m.last === null || ts > m.last) m.last = ts;
+        for (const key of Object.keys(m.tags)) {
+            if (point.tags[key] !== m.tags[key]) delete m.tags[key];
+        }
+        if (!NUMERIC_TYPES.includes(value.type)) {
+            m.numeric = false;
+            return;
+        }
+        const num = Number(value.value);
+        m.sum += num;
+        if (m.min === null || num < m.min) m.min = num;
+        if (m.max === null || num > m.max) m.max = num;
+    }
+
+    return {
+        add,
+        get measurements() { return measurements; },
+        get unparsable() { return unparsable; },
+        get withoutTimestamp() { return withoutTimestamp; }
+    };
+}
+
+/**
+ * SQL mit denselben Kennzahlen für ein Measurement.
+ * @param {string} measurement
+ * @param {object} stats  Eintrag aus createExportStats().measurements
+ */
+function verifyQuery(measurement, stats) {
+    const cols = ['count("value") AS count', "min(time) AS first", "max(time) AS last"];
+    if (stats.numeric) cols.push('sum("value") AS sum', 'min("value") AS min', 'max("value") AS max');
+    const where = [
+        `time >= ${quoteString(nsToIso(stats.first))}`,
+        `time <= ${quoteString(nsToIso(stats.last))}`,
+        '"value" IS NOT NULL'
+    ];
+    for (const [key, val] of Object.entries(stats.tags).sort(([a], [b]) => a.localeCompare(b))) {
+        where.push(`${quoteIdent(key)} = ${quoteString(val)}`);
+    }
+    return `SELECT ${cols.join(", ")} FROM ${quoteIdent(measurement)} WHERE ${where.join(" AND ")}`;
+}
+
+const num = (v) => (v === null || v === undefined ? null : Number(v));
+
+function sameNumber(a, b, tolerance) {
+    if (a === null || b === null) return a === b;
+    return Math.abs(a - b) <= tolerance * Math.max(Math.abs(a), Math.abs(b), 1);
+}
+
+/**
+ * Vergleicht die Kennzahlen aus Datei und InfluxDB.
+ * Zeiten werden auf ms verglichen (die Query liefert je nach Client Date).
+ * @returns {Array<{metric: string, expected: *, actual: *, ok: boolean}>}
+ */
+function compareStats(expected, row, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    const actual = {
+        count: num(row?.count) ?? 0,
+        first: row?.first === null || row?.first === undefined ? null : toMs(row.first),
+        last: row?.last === null || row?.last === undefined ? null : toMs(row.last),
+        sum: num(row?.sum),
+        min: num(row?.min),
+        max: num(row?.max)
+    };
+    const exp = {
+        count: expected.count,
+        first: Number(expected.first / 1_000_000n),
+        last: Number(expected.last / 1_000_000n),
+        sum: expected.sum,
+        min: expected.min,
+        max: expected.max
+    };
+    const metrics = expected.numeric ? METRICS : METRICS.slice(0, 3);
+    return metrics.map((metric) => {
+        const ok = ["sum", "min", "max"].includes(metric)
+            ? sameNumber(exp[metric], actual[metric], tolerance)
+            : exp[metric] === actual[metric];
+        return { metric, expected: exp[metric], actual: actual[metric], ok };
+    });
+}
+
+/**
+ * Fragt jedes Measurement ab und vergleicht.
+ * @param {object} stats   createExportStats()
+ * @param {object} client  InfluxDBClient (oder Mock mit query(sql) → AsyncIterable)
+ * @returns {Promise<Array<{measurement: string, checks: Array, error?: string}>>}
+ */
+async function verifyAgainst(stats, client, opts = {}) {
+    const results = [];
+    for (const [measurement, expected] of stats.measurements) {
+        let row = null;
+        try {
+            for await (const r of client.query(verifyQuery(measurement, expected))) {
+                row = r;
+                break;
+            }
+        } catch (e) {
+            // Measurement (noch) nicht vorhanden o.ä.
+            results.push({ measurement, checks: compareStats(expected, null, opts), error: e.message });
+            continue;
+        }
+        results.push({ measurement, checks: compareStats(expected, row, opts) });
+    }
+    return results;
+}
+
+// --------------------------------------------------
+// Ausgabe
+// --------------------------------------------------
+const METRIC_LABELS = { count: "Anzahl", first: "von", last: "bis", sum: "Summe", min: "min", max: "max" };
+
+function formatMetric(metric, v) {
+    if (v === null || v === undefined) return "–";
+    if ((metric === "first" || metric === "last") && Number.isFinite(v)) return new Date(v).toISOString();
+    return v;
+}
+
+// Übersicht: eine Zeile pro Measurement
+function summaryRows(results) {
+    return results.map(({ measurement, checks, error }) => {
+        const bad = checks.filter((c) => !c.ok).map((c) => METRIC_LABELS[c.metric]);
+        return {
+            Measurement: measurement,
+            Punkte: checks.find((c) => c.metric === "count").expected,
+            Status: bad.length ? `❌ ${bad.join(", ")}` : "✅",
+            ...(error ? { Fehler: error } : {})
+        };
+    });
+}
+
+// Nur die Abweichungen, mit beiden Werten
+function diffRows(results) {
+    return results.flatMap(({ measurement, checks }) =>
+        checks
+            .filter((c) => !c.ok)
+            .map((c) => ({
+                Measurement: measurement,
+                Kennzahl: METRIC_LABELS[c.metric],
+                Datei: formatMetric(c.metric, c.expected),
+                InfluxDB: formatMetric(c.metric, c.actual)
+            }))
+    );
+}
+
+module.exports = {
+    createExportStats,
+    verifyQuery,
+    compareStats,
+    verifyAgainst,
+    summaryRows,
+    diffRows,
+    nsToIso
+};
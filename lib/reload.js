@@ -0,0 +1,91 @@
+"use strict";
+/**
+ * reload.js
+ * ----------------------------------------------------------
+ * Hot‑Reload der config.json: neue Datei prüfen und die Unterschiede zur
+ * laufenden Konfiguration bestimmen. Anwenden (Subscriptions, Clients,
+ * Puffer) macht der Connector.
+ *
+ *  • Ungültige oder nicht lesbare Datei → alte Konfiguration bleibt aktiv.
+ *  • Statische Datenpunkte: hinzugefügt, entfernt, geändert. Bisher über
+ *    einen Selector gefundene IDs, die jetzt statisch eingetragen sind,
+ *    gelten als geändert. Selector‑Treffer selbst wertet der Connector neu aus.
+ *  • Ziele: hinzugefügt, entfernt, Verbindung geändert (→ neuer Client).
+ *    Eine andere Write‑Präzision braucht für alle Ziele neue Clients und
+ *    vorher leere Puffer (fertige Zeilen in der alten Präzision).
+ */
+
+const { validateConfig, formatError } = require("./config");
+const { targetConfigs } = require("./target");
+const { timestampSettings } = require("./timestamp");
+
+/**
+ * Inhalt der neuen config.json parsen und prüfen.
+ * @param {string} text
+ * @returns {{config: object}|{error: string}}
+ */
+function parseReloadedConfig(text) {
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (e) {
+        return { error: `config.json nicht lesbar – alte Konfiguration bleibt aktiv: ${e.message}` };
+    }
+    const errors = validateConfig(config);
+    if (errors.length > 0)
+        return { error: `config.json ungültig – alte Konfiguration bleibt aktiv:\n  - ${errors.map(formatError).join("\n  - ")}` };
+    return { config };
+}
+
+/**
+ * Ziele: Namen der hinzugefügten, entfernten und geänderten Verbindungen.
+ * recreate = alle verbleibenden Ziele gelten als geändert
+ */
+function targetChanges(prevConns, nextConns, recreate = false) {
+    const added = Object.keys(nextConns).filter((name) => !Object.hasOwn(prevConns, name));
+    const removed = Object.keys(prevConns).filter((name) => !Object.hasOwn(nextConns, name));
+    const changed = Object.keys(nextConns).filter((name) => Object.hasOwn(prevConns, name) &&
+        (recreate || JSON.stringify(prevConns[name]) !== JSON.stringify(nextConns[name])));
+    return { added, removed, changed };
+}
+
+/**
+ * Statische Datenpunkte gegenüber den laufenden Subscriptions.
+ * @param {Map<string, {dp: object, fromSelector: boolean}>} running
+ * @param {Array} datapoints  next.datapoints
+ * @returns {{added: Array, removed: string[], updated: Array}}  added/updated = Datenpunkte, removed = IDs
+ */
+function datapointChanges(running, datapoints) {
+    const next = new Map(datapoints.filter((e) => e.selector === undefined).map((dp) => [dp.id, dp]));
+    const removed = [...running].filter(([id, sub]) => !sub.fromSelector && !next.has(id)).map(([id]) => id);
+    const added = [];
+    const updated = [];
+    for (const dp of next.values()) {
+        const sub = running.get(dp.id);
+        if (!sub) added.push(dp);
+        else if (sub.fromSelector || JSON.stringify(sub.dp) !== JSON.stringify(dp)) updated.push(dp);
+    }
+    return { added, removed, updated };
+}
+
+/**
+ * Alle Unterschiede zwischen laufender und neuer Konfiguration.
+ * @param {object} prev
+ * @param {object} next
+ * @param {Map} running  id → { dp, fromSelector }
+ */
+function configDiff(prev, next, running) {
+    const precisionChanged = timestampSettings(prev).precision !== timestampSettings(next).precision;
+    return {
+        precisionChanged,
+        targets: targetChanges(targetConfigs(prev), targetConfigs(next), precisionChanged),
+        datapoints: datapointChanges(running, next.datapoints)
+    };
+}
+
+module.exports = {
+    parseReloadedConfig,
+    targetChanges,
+    datapointChanges,
+    configDiff
+};
@@ -0,0 +1,198 @@
+"use strict";
+/**
+ * rollup.js
+ * ----------------------------------------------------------
+ * Downsampling per SQL (InfluxDB 3 Core hat keine Tasks):
+ *
+ *   "rollups": [{ "name": "hourly", "measurements": ["temperature"], "window": "1h" }]
+ *   → temperature_1h,location=Küche,trigger=rollup mean=21.3,min=20.9,max=21.8,count=60i <fensterbeginn>
+ *
+ *  • Pro Job und Measurement eine Aggregation über volle Fenster (date_bin,
+ *    an der Epoche bzw. UTC ausgerichtet), gruppiert nach allen Tags außer
+ *    `exclude` (Default: trigger) oder nach `groupBy`.
+ *  • Ein Fenster wird erst `delay` nach seinem Ende verarbeitet, damit späte
+ *    Werte noch hineinfallen. Kommen danach noch Punkte in ein schon
+ *    verdichtetes Fenster (Queue nach einem Ausfall, Backfill), wird es
+ *    erneut verdichtet.
+ *  • Der Fortschritt (Ende des letzten verarbeiteten Fensters) wird pro Job
+ *    und Measurement gespeichert; fehlt er, gilt der letzte Rollup‑Punkt in
+ *    der Zieltabelle, sonst höchstens `catchUp` zurück. Ein erneut
+ *    verarbeitetes Fenster überschreibt dieselben Punkte (gleiche Serie und
+ *    Zeit) – es entstehen keine Duplikate.
+ */
+
+const { parseDuration } = require("./duration");
+const { datapointRoutes } = require("./target");
+const { quoteIdent, quoteString, toMs } = require("./history");
+
+// Funktionsname (= Feld in der Zieltabelle) → SQL; gleiche Namen wie bei dp.aggregate
+const ROLLUP_FUNCTIONS = {
+    mean: (col) => `avg(${col})`,
+    min: (col) => `min(${col})`,
+    max: (col) => `max(${col})`,
+    last: (col) => `last_value(${col} ORDER BY time)`,
+    count: (col) => `count(${col})`,
+    sum: (col) => `sum(${col})`
+};
+const DEFAULT_ROLLUP = {
+    functions: ["mean", "min", "max"],
+    field: "value",
+    exclude: ["trigger"],
+    delay: "5m",
+    catchUp: "7d"
+};
+
+// Fenster pro Query – begrenzt Laufzeit und Ergebnisgröße beim Aufholen
+const CHUNK_WINDOWS = 24;
+
+/**
+ * Job aus cfg.rollups mit Defaults, Dauern in ms.
+ * @param {object} job
+ */
+function rollupSettings(job) {
+    const j = { ...DEFAULT_ROLLUP, ...job };
+    return {
+        name: j.name,
+        measurements: j.measurements,
+        windowMs: parseDuration(j.window),
+        delayMs: parseDuration(j.delay) ?? 0,
+        catchUpMs: parseDuration(j.catchUp) ?? 0,
+        functions: j.functions,
+        field: j.field,
+        suffix: j.suffix ?? `_${j.window}`,
+        groupBy: j.groupBy,
+        exclude: j.exclude
+    };
+}
+
+// Ziel (zum Lesen und Schreiben): job.target/database, sonst das erste Default‑Ziel
+function rollupRoute(job, c) {
+    const [first] = datapointRoutes({}, c);
+    if (job.target === undefined) return { target: first?.target, database: job.database ?? first?.database };
+    return { target: job.target, database: job.database };
+}
+
+const rollupTable = (measurement, settings) => `${measurement}${settings.suffix}`;
+
+// Tag‑Spalten eines Measurements (InfluxDB 3 speichert Tags als Dictionary)
+const tagColumnsQuery = (measurement) =>
+    `SELECT column_name, data_type FROM information_schema.columns WHERE table_name = ${quoteString(measurement)}`;
+
+function tagColumns(rows, exclude = DEFAULT_ROLLUP.exclude) {
+    return rows
+        .filter((r) => /^Dictionary/.test(String(r.data_type)) && !exclude.includes(r.column_name))
+        .map((r) => r.column_name)
+        .sort();
+}
+
+/**
+ * Aggregations‑SQL für [start, end) – beide an Fenstergrenzen.
+ * @param {string} measurement
+ * @param {string[]} tags  Gruppierung
+ */
+function rollupQuery(measurement, tags, start, end, settings) {
+    const col = quoteIdent(settings.field);
+    const cols = [
+        `date_bin(INTERVAL '${settings.windowMs} milliseconds', time) AS bucket`,
+        ...tags.map(quoteIdent),
+        ...settings.functions.map((fn) => `${ROLLUP_FUNCTIONS[fn](col)} AS ${quoteIdent(fn)}`)
+    ];
+    const where = [
+        `time >= ${quoteString(new Date(start).toISOString())}`,
+        `time < ${quoteString(new Date(end).toISOString())}`,
+        `${col} IS NOT NULL`
+    ];
+    const group = ["bucket", ...tags.map(quoteIdent)];
+    return `SELECT ${cols.join(", ")} FROM ${quoteIdent(measurement)} WHERE ${where.join(" AND ")} ` +
+        `GROUP BY ${group.join(", ")} ORDER BY bucket`;
+}
+
+// Letzter Rollup‑Punkt in der Zieltabelle (Fallback ohne gespeicherten Fortschritt)
+const lastRollupQuery = (table) =>
+    `SELECT max(time) AS last FROM ${quoteIdent(table)} WHERE "trigger" = 'rollup'`;
+
+/**
+ * Noch offene volle Fenster.
+ * @param {number|null} done  Ende des letzten verarbeiteten Fensters (ms), null = unbekannt
+ * @returns {{start: number, end: number, skipped: boolean}|null}
+ *          skipped = Lücke war länger als catchUp, Anfang fehlt
+ */
+function rollupRange(done, now, { windowMs, delayMs, catchUpMs }) {
+    const end = Math.floor((now - delayMs) / windowMs) * windowMs;
+    const earliest = catchUpMs > 0 ? Math.floor((end - catchUpMs) / windowMs) * windowMs : -Infinity;
+    let start = done ?? earliest;
+    if (!Number.isFinite(start)) start = end - windowMs; // weder Fortschritt noch catchUp: nur das letzte Fenster
+    const skipped = done !== null && done !== undefined && done < earliest;
+    if (skipped) start = earliest;
+    start = Math.ceil(start / windowMs) * windowMs;
+    return start < end ? { start, end, skipped } : null;
+}
+
+// [start, end) in Stücke zu höchstens CHUNK_WINDOWS Fenstern
+function rollupChunks({ start, end }, windowMs, size = CHUNK_WINDOWS) {
+    const chunks = [];
+    for (let s = start; s < end; s += windowMs * size) chunks.push({ start: s, end: Math.min(s + windowMs * size, end) });
+    return chunks;
+}
+
+/**
+ * Fenster eines verspäteten Punkts, falls es schon verdichtet ist.
+ * @param {number|null} done  Fortschritt (Ende des letzten verarbeiteten Fensters)
+ * @param {number} ms         Zeitstempel des Punkts
+ * @returns {number|null}     Fensterbeginn oder null (Fenster noch offen / Fortschritt unbekannt)
+ */
+function lateWindow(done, ms, windowMs) {
+    if (!Number.isFinite(done) || !Number.isFinite(ms) || ms >= done) return null;
+    return Math.floor(ms / windowMs) * windowMs;
+}
+
+// Fensterbeginne → zusammenhängende Bereiche [{ start, end }], aufsteigend
+function windowRanges(starts, windowMs) {
+    const ranges = [];
+    for (const start of [...new Set(starts)].sort((a, b) => a - b)) {
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === start) last.end += windowMs;
+        else ranges.push({ start, end: start + windowMs });
+    }
+    return ranges;
+}
+
+/**
+ * Ergebniszeilen → Punkte { ms, tags, fields }.
+ * Leere Tags (NULL) fallen weg, Funktionen ohne Ergebnis ebenso.
+ */
+function rollupPoints(rows, tags, settings) {
+    const points = [];
+    for (const row of rows) {
+        const ms = toMs(row.bucket);
+        if (!Number.isFinite(ms)) continue;
+        const pointTags = {};
+        for (const key of tags) {
+            if (row[key] !== null && row[key] !== undefined && row[key] !== "") pointTags[key] = String(row[key]);
+        }
+        const fields = [];
+        for (const fn of settings.functions) {
+            const value = row[fn] === null || row[fn] === undefined ? NaN : Number(row[fn]);
+            if (Number.isFinite(value)) fields.push({ key: fn, value, type: fn === "count" ? "integer" : "float" });
+        }
+        if (fields.length > 0) points.push({ ms, tags: pointTags, fields });
+    }
+    return points;
+}
+
+module.exports = {
+    ROLLUP_FUNCTIONS,
+    DEFAULT_ROLLUP,
+    rollupSettings,
+    rollupRoute,
+    rollupTable,
+    tagColumnsQuery,
+    tagColumns,
+    rollupQuery,
+    lastRollupQuery,
+    rollupRange,
+    rollupChunks,
+    lateWindow,
+    windowRanges,
+    rollupPoints
+};
@@ -0,0 +1,133 @@
+"use strict";
+/**
+ * selectors.js
+ * ----------------------------------------------------------
+ * Hilfsfunktionen für Selector‑Einträge in `cfg.datapoints`.
+ * Statt jede ioBroker‑ID einzeln zu pflegen, kann ein Eintrag einen
+ * `selector` enthalten:
+ *
+ *   {
+ *     "selector": { "pattern": "zigbee.0.*.temperature", "enum": "enum.rooms.*" },
+ *     "measurement": "temperature",
+ *     "sensor_id": "{id}",
+ *     "location": "{room}"
+ *   }
+ *
+ * Alle angegebenen Kriterien (pattern, regex, enum, custom) müssen zutreffen.
+ * Measurement und Tags werden über Platzhalter ({id}, {name}, {room},
+ * {function}) aus dem ioBroker‑Objekt abgeleitet.
+ */
+
+const SELECTOR_KEYS = ["pattern", "regex", "enum", "custom"];
+const TEMPLATE_RE = /\{(id|name|room|function)\}/g;
+
+// Glob (`*` = beliebig viele Zeichen) → RegExp, Rest wird wörtlich genommen
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    return new RegExp(`^${escaped}$`);
+}
+
+// ioBroker‑Namen können String oder { de, en, … } sein
+function resolveName(name, lang = "de") {
+    if (typeof name === "string") return name;
+    if (name && typeof name === "object") return name[lang] ?? name.en ?? Object.values(name)[0] ?? "";
+    return "";
+}
+
+// Ein Enum‑Mitglied kann ein State, Kanal oder Gerät sein → Präfix‑Match
+function isMember(id, members) {
+    return Array.isArray(members) && members.some((m) => id === m || id.startsWith(`${m}.`));
+}
+
+// Enums, denen eine ID angehört (optional auf eine Kategorie wie "rooms" beschränkt)
+function enumsOf(id, enums, category) {
+    const prefix = category ? `enum.${category}.` : "enum.";
+    return enums.filter((e) => e.id.startsWith(prefix) && isMember(id, e.members));
+}
+
+// Eigene Einstellungen in common.custom (z.B. "influxdb3"), `enabled: false` deaktiviert
+function customSettings(obj, key) {
+    const custom = obj?.common?.custom?.[key];
+    if (!custom || custom.enabled === false) return null;
+    return typeof custom === "object" ? custom : {};
+}
+
+/**
+ * Prüft, ob ein Objekt zu einem Selector passt.
+ * @param {string} id       ioBroker‑ID
+ * @param {object} obj      ioBroker‑Objekt (nur type "state" wird berücksichtigt)
+ * @param {object} sel      Selector aus der Config
+ * @param {Array}  enums    Liste aller Enums ({ id, name, members })
+ */
+function matchesSelector(id, obj, sel, enums = []) {
+    if (!obj || obj.type !== "state") return false;
+    if (!idMatcher(sel, enums)(id)) return false;
+    if (sel.custom && !customSettings(obj, sel.custom)) return false;
+    return true;
+}
+
+// Kriterien, die nur die ID brauchen (pattern, regex, enum), als Prädikat
+function idMatcher(sel, enums = []) {
+    const pattern = sel.pattern ? globToRegExp(sel.pattern) : null;
+    const regex = sel.regex ? new RegExp(sel.regex) : null;
+    let members = null;
+    if (sel.enum) {
+        const re = globToRegExp(sel.enum);
+        members = enums.filter((e) => re.test(e.id)).flatMap((e) => (Array.isArray(e.members) ? e.members : []));
+    }
+    return (id) => (!pattern || pattern.test(id)) && (!regex || regex.test(id)) && (!members || isMember(id, members));
+}
+
+/**
+ * Vorauswahl ohne Objektzugriff: nur IDs, die pattern, regex und enum
+ * erfüllen, müssen per getObject gelesen werden. `custom` lässt sich erst
+ * am Objekt prüfen.
+ * @param {string[]} ids  State‑IDs (z.B. aus $('state[id=*]'))
+ */
+function selectorCandidates(ids, sel, enums = []) {
+    return ids.filter(idMatcher(sel, enums));
+}
+
+// Ersetzt {id}, {name}, {room}, {function}; unbekannte Werte → ""
+// Tag‑Maps ({ room: "{room}" }) werden pro Wert ersetzt
+function renderTemplate(tpl, ctx) {
+    if (tpl && typeof tpl === "object" && !Array.isArray(tpl))
+        return Object.fromEntries(Object.entries(tpl).map(([k, v]) => [k, renderTemplate(v, ctx)]));
+    if (typeof tpl !== "string") return tpl;
+    return tpl.replace(TEMPLATE_RE, (_, key) => ctx[key] ?? "");
+}
+
+/**
+ * Baut aus einem Selector‑Eintrag und einem passenden Objekt einen
+ * normalen Datenpunkt ({ id, measurement, … }). Einstellungen aus
+ * common.custom[sel.custom] überschreiben die Vorlage.
+ */
+function buildDatapoint(entry, id, obj, enums = []) {
+    const ctx = {
+        id,
+        name: resolveName(obj?.common?.name),
+        room: enumsOf(id, enums, "rooms").map((e) => resolveName(e.name)).join("+"),
+        function: enumsOf(id, enums, "functions").map((e) => resolveName(e.name)).join("+")
+    };
+
+    const { selector, ...template } = entry;
+    const overrides = selector.custom ? { ...customSettings(obj, selector.custom) } : {};
+    delete overrides.enabled;
+
+    const dp = { id };
+    for (const [key, val] of Object.entries({ ...template, ...overrides })) {
+        dp[key] = renderTemplate(val, ctx);
+    }
+    dp.id = id;
+    return dp;
+}
+
+module.exports = {
+    SELECTOR_KEYS,
+    globToRegExp,
+    resolveName,
+    matchesSelector,
+    selectorCandidates,
+    renderTemplate,
+    buildDatapoint
+};
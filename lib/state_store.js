@@ -0,0 +1,113 @@
+"use strict";
+/**
+ * state_store.js
+ * ----------------------------------------------------------
+ * Laufzeit‑Zustand des Connectors über Neustarts hinweg:
+ *
+ *   lastValues     letzter ioBroker‑Wert (Heartbeat)
+ *   lastWritten    letzter erfolgreicher Write (ms)
+ *   writtenValues  zuletzt geschriebener Wert (Basis für minDelta)
+ *   lastGuardRun   zuletzt ausgewerteter Heartbeat‑Slot (align)
+ *
+ *  • store "file":   regelmäßig und beim Beenden nach state.json (atomar)
+ *  • store "influx": beim Start aus der letzten Zeile pro Datenpunkt in
+ *                    InfluxDB 3 (lastGuardRun und lastValues fehlen dann)
+ *  • store "off":    nur im Speicher (Verhalten vor dieser Einstellung)
+ *
+ * `startupWrite` legt fest, ob beim Start der aktuelle Wert geschrieben wird:
+ * "always", "changed" (nur wenn er vom zuletzt geschriebenen abweicht) oder "never".
+ */
+
+const fs = require("fs").promises;
+
+const STATE_VERSION = 1;
+const STATE_STORES = ["file", "influx", "off"];
+const STARTUP_WRITES = ["always", "changed", "never"];
+const DEFAULT_STATE = { store: "file", startupWrite: "always" };
+
+// Schlüssel in der Datei → Map im Connector
+const STATE_KEYS = {
+    value: "lastValues",
+    written: "lastWritten",
+    writtenValue: "writtenValues",
+    guardRun: "lastGuardRun"
+};
+
+const stateSettings = (c) => ({ ...DEFAULT_STATE, ...(c?.state ?? {}) });
+
+/**
+ * Zustand der angegebenen Datenpunkte als JSON‑fähiges Objekt.
+ * @param {Iterable<string>} ids
+ * @param {object} maps  { lastValues, lastWritten, writtenValues, lastGuardRun }
+ */
+function snapshotState(ids, maps, now = Date.now()) {
+    const datapoints = {};
+    for (const id of ids) {
+        const entry = {};
+        for (const [key, name] of Object.entries(STATE_KEYS)) {
+            const val = maps[name]?.get(id);
+            if (val !== undefined) entry[key] = val;
+        }
+        if (Object.keys(entry).length > 0) datapoints[id] = entry;
+    }
+    return { version: STATE_VERSION, saved: now, datapoints };
+}
+
+/**
+ * Zustand in die Maps übernehmen (nur fehlende Einträge – Werte, die seit dem
+ * Start schon gesetzt wurden, sind neuer).
+ * @returns {number}  Zahl der übernommenen Datenpunkte
+ */
+function restoreState(data, maps) {
+    if (data?.version !== STATE_VERSION || typeof data.datapoints !== "object" || data.datapoints === null) return 0;
+    let count = 0;
+    for (const [id, entry] of Object.entries(data.datapoints)) {
+        if (typeof entry !== "object" || entry === null) continue;
+        for (const [key, name] of Object.entries(STATE_KEYS)) {
+            const map = maps[name];
+            if (map && entry[key] !== undefined && !map.has(id)) map.set(id, entry[key]);
+        }
+        count++;
+    }
+    return count;
+}
+
+// null = keine oder unlesbare Datei
+async function readStateFile(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch {
+        return null;
+    }
+}
+
+// Atomar (temp + rename), damit ein Absturz keine halbe Datei hinterlässt
+async function writeStateFile(file, data) {
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+}
+
+/**
+ * Startwert schreiben?
+ * @param {string} mode     startupWrite
+ * @param {*} value         aktueller (typisierter) Wert
+ * @param {*} written       zuletzt geschriebener Wert, undefined = unbekannt
+ */
+function startupWriteNeeded(mode, value, written) {
+    if (mode === "never") return false;
+    if (mode === "changed") return written === undefined || written !== value;
+    return true;
+}
+
+module.exports = {
+    STATE_STORES,
+    STARTUP_WRITES,
+    DEFAULT_STATE,
+    stateSettings,
+    snapshotState,
+    restoreState,
+    readStateFile,
+    writeStateFile,
+    startupWriteNeeded
+};
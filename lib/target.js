@@ -0,0 +1,329 @@
+"use strict";
+/**
+ * target.js
+ * ----------------------------------------------------------
+ * Ein Schreibziel (InfluxDB‑Instanz) mit eigenem Write‑Puffer, eigener
+ * Fehler‑Queue, eigenem Back‑off und eigener Health. Fällt ein Ziel aus,
+ * laufen die Writes an die anderen Ziele unverändert weiter.
+ *
+ *   "influx":  { host, token, database }              → Ziel "default"
+ *   "targets": { "nas": { … }, "remote": { … } }      → benannte Ziele
+ *   Datenpunkt: "targets": ["nas", { "target": "remote", "database": "archive" }]
+ *
+ * Puffer werden pro Datenbank geführt, weil ein Request nur in eine
+ * Datenbank schreiben kann.
+ */
+
+const { classifyWriteError, serverMessage } = require("./write_errors");
+
+const DEFAULT_TARGET = "default";
+const BASE_FLUSH_MS = 60_000;
+const MAX_FLUSH_MS = 600_000; // 10 Minuten
+const DRAIN_DELAY_MS = 1_000; // nach erfolgreichem Batch zügig weiter abarbeiten
+
+/**
+ * Alle konfigurierten Ziele: name → { host, token, database, … }.
+ * `influx` ist das Ziel "default" (Configs von vor den benannten Zielen).
+ */
+function targetConfigs(c) {
+    const out = {};
+    if (c?.influx) out[DEFAULT_TARGET] = c.influx;
+    return { ...out, ...(c?.targets ?? {}) };
+}
+
+/**
+ * Ziele eines Datenpunkts: dp.targets → cfg.defaultTargets → alle Ziele.
+ * @returns {Array<{target: string, database: string|undefined}>}
+ *          database nur gesetzt, wenn sie von der des Ziels abweicht
+ */
+function datapointRoutes(dp, c) {
+    const conns = targetConfigs(c);
+    const list = dp.targets ?? c?.defaultTargets ?? Object.keys(conns);
+    return list.map((r) => {
+        const target = typeof r === "string" ? r : r.target;
+        const database = typeof r === "object" && r.database !== conns[target]?.database ? r.database : undefined;
+        return { target, database };
+    });
+}
+
+/**
+ * @param {object}   opts
+ * @param {string}   opts.name
+ * @param {object}   opts.client          InfluxDBClient (write(lines, database), query(), close())
+ * @param {object}   opts.journal         createJournal(...) für dieses Ziel
+ * @param {function} opts.toLine          Eintrag → Line‑Protocol‑Zeile
+ * @param {function} opts.settings        () → { maxLines, maxBytes, lingerMs, maxConcurrent }
+ * @param {function} [opts.onWritten]     (entries, fromQueue) → void
+ * @param {function} [opts.onQueued]      (entries) → void
+ * @param {function} [opts.onError]       (context, err) → void, z.B. Log
+ * @param {object}   [opts.logger]        console‑kompatibel
+ */
+function createTarget(opts) {
+    const { name, journal, toLine, settings } = opts;
+    const onWritten = opts.onWritten ?? (() => { });
+    const onQueued = opts.onQueued ?? (() => { });
+    const onError = opts.onError ?? (() => { });
+    const logger = opts.logger ?? console;
+    let client = opts.client;
+
+    const buffers = new Map(); // database ("" = Default des Ziels) → { items: [{ entry, line }], bytes, timer }
+    const inFlight = new Set(); // laufende HTTP‑Requests
+    const sending = new Set(); // geleerte Puffer bis zum Ende ihres Requests (inkl. Warten auf einen Slot)
+    let flushDelay = BASE_FLUSH_MS;
+    let flushing = false;
+    let flushTimer = null;
+    let stopped = false;
+
+    const health = {
+        connected: null, // null = noch kein Write
+        lastWriteTs: 0,
+        lastError: "",
+        lastErrorCode: "",
+        lastErrorTs: 0,
+        writes: 0, // Lines seit letztem Reset
+        errors: 0, // fehlgeschlagene Requests seit letztem Reset
+        since: Date.now()
+    };
+
+    function recordSuccess(lines) {
+        health.connected = true;
+        health.lastWriteTs = Date.now();
+        health.writes += lines;
+    }
+
+    function recordError(context, err) {
+        health.connected = false;
+        health.lastError = err.message ?? err.cause?.message ?? String(err);
+        health.lastErrorCode = String(err.code ?? err.statusCode ?? err.cause?.code ?? "");
+        health.lastErrorTs = Date.now();
+        health.errors++;
+        onError(context, err);
+    }
+
+    const writeLines = (lines, database) => client.write(lines.join("\n"), database || undefined);
+
+    // ---------- Write‑Puffer ----------
+    function write(entry) {
+        const line = toLine(entry);
+        const key = entry.database ?? "";
+        let buf = buffers.get(key);
+        if (!buf) {
+            buf = { items: [], bytes: 0, timer: null };
+            buffers.set(key, buf);
+        }
+        buf.items.push({ entry, line });
+        buf.bytes += Buffer.byteLength(line) + 1;
+
+        const { maxLines, maxBytes, lingerMs } = settings();
+        if (buf.items.length >= maxLines || buf.bytes >= maxBytes || !lingerMs) {
+            flushBuffer(key);
+        } else if (!buf.timer) {
+            buf.timer = setTimeout(() => flushBuffer(key), lingerMs);
+        }
+    }
+
+    function flushBuffer(key) {
+        const buf = buffers.get(key);
+        if (!buf) return Promise.resolve();
+        clearTimeout(buf.timer);
+        buffers.delete(key);
+        if (!buf.items.length) return Promise.resolve();
+        const send = sendBatch(buf.items, key);
+        sending.add(send);
+        send.finally(() => sending.delete(send));
+        return send;
+    }
+
+    const flushAllBuffers = () => Promise.all([...buffers.keys()].map(flushBuffer));
+
+    async function sendBatch(batch, database) {
+        while (inFlight.size >= settings().maxConcurrent) await Promise.race(inFlight);
+
+        const task = (async () => {
+            let rejected;
+            try {
+                rejected = await writeOrBisect(batch, database, "Live-Eintrag");
+            } catch (err) {
+                // transient/fatal: ganzer Batch in die Queue (bereits geschriebene Hälften werden nur überschrieben)
+                recordError(`Write-Error [${name}] (Live-Batch, ${batch.length} Lines)`, err);
+                await enqueue(batch.map((b) => b.entry));
+                return;
+            }
+            const written = batch.map((b) => b.entry).filter((e) => !rejected.includes(e));
+            if (rejected.length > 0) logger.warn(`[${name}] ${rejected.length} von ${batch.length} Live-Einträgen dauerhaft abgelehnt und verworfen`);
+            if (written.length > 0) {
+                recordSuccess(written.length);
+                onWritten(written, false);
+            }
+        })();
+        inFlight.add(task);
+        task.finally(() => inFlight.delete(task));
+        return task;
+    }
+
+    // Puffer leeren und auf alle Requests warten – auch auf solche, die noch auf
+    // einen freien Slot (maxConcurrent) warten (Shutdown, Ziel entfernt)
+    async function drain() {
+        await flushAllBuffers();
+        await Promise.all(sending);
+    }
+
+    // ---------- Fehler‑Queue ----------
+    async function enqueue(entries) {
+        onQueued(entries);
+        try {
+            await journal.appendMany(entries);
+        } catch (e) {
+            logger.error(`[${name}] Fehler beim Schreiben ins Queue-Journal:`, e.message);
+        }
+    }
+
+    async function flushQueue() {
+        if (flushing) return; // läuft bereits (z.B. Timer + Shutdown gleichzeitig)
+        flushing = true;
+        try {
+            await flushSegment();
+        } finally {
+            flushing = false;
+        }
+        scheduleNextFlush();
+    }
+
+    /**
+     * Items [{ entry, line }] schreiben (Live‑Batch oder Queue‑Segment). Bei einem
+     * permanenten Fehler (Parse‑Fehler, Feldtyp‑Konflikt, siehe write_errors.js)
+     * halbieren, bis einzelne Zeilen übrig sind; diese werden mit Log verworfen,
+     * sonst landeten sie in der Queue und blockierten sie für immer.
+     * Transiente/fatale Fehler werden weitergereicht.
+     * @param {string} [kind]  für das Log
+     * @returns {Promise<Array>} verworfene Einträge
+     */
+    async function writeOrBisect(items, database, kind = "Queue-Eintrag") {
+        try {
+            await writeLines(items.map((i) => i.line), database);
+            return [];
+        } catch (err) {
+            if (classifyWriteError(err) !== "permanent") throw err;
+            if (items.length === 1) {
+                logger.warn(`[${name}] ${kind} für ${items[0].entry.id} verworfen: ${serverMessage(err)} – ${items[0].line}`);
+                return [items[0].entry];
+            }
+            const mid = Math.ceil(items.length / 2);
+            return [
+                ...await writeOrBisect(items.slice(0, mid), database, kind),
+                ...await writeOrBisect(items.slice(mid), database, kind)
+            ];
+        }
+    }
+
+    /**
+     * Ältestes Segment schreiben, erst danach löschen. Einträge für
+     * verschiedene Datenbanken gehen als getrennte Requests raus; scheitert
+     * einer transient, bleibt das ganze Segment liegen (ein erneuter Write
+     * identischer Punkte überschreibt sie in InfluxDB nur). Dauerhaft
+     * abgelehnte Zeilen werden einzeln verworfen, der Rest geschrieben.
+     */
+    async function flushSegment() {
+        let seg;
+        try {
+            seg = await journal.peek();
+        } catch (e) {
+            logger.error(`[${name}] Queue-Journal nicht lesbar:`, e.message);
+            flushDelay = Math.min(flushDelay * 2, MAX_FLUSH_MS);
+            return;
+        }
+        if (!seg) {
+            flushDelay = BASE_FLUSH_MS;
+            return;
+        }
+
+        const groups = new Map(); // database → [{ entry, line }]
+        for (const q of seg.entries) {
+            let line;
+            try {
+                line = toLine(q);
+            } catch (e) {
+                // Nicht darstellbarer Eintrag (z.B. Altbestand) würde das Segment ewig blockieren
+                logger.warn(`[${name}] Queue-Eintrag für ${q.id} verworfen: ${e.message}`);
+                continue;
+            }
+            const key = q.database ?? "";
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ entry: q, line });
+        }
+
+        const rejected = [];
+        try {
+            for (const [database, items] of groups) rejected.push(...await writeOrBisect(items, database));
+        } catch (err) {
+            recordError(`Write-Error [${name}] (Batch)`, err);
+            flushDelay = Math.min(flushDelay * 2, MAX_FLUSH_MS);
+            return;
+        }
+
+        await journal.commit(seg);
+        const written = [...groups.values()].flat().map((i) => i.entry).filter((q) => !rejected.includes(q));
+        if (rejected.length > 0) logger.warn(`[${name}] ${rejected.length} von ${seg.entries.length} Queue-Einträgen dauerhaft abgelehnt und verworfen`);
+        if (written.length > 0) {
+            recordSuccess(written.length);
+            onWritten(written, true);
+        }
+        flushDelay = journal.stats().entries > 0 ? DRAIN_DELAY_MS : BASE_FLUSH_MS;
+    }
+
+    function scheduleNextFlush() {
+        if (stopped) return;
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(flushQueue, flushDelay);
+    }
+
+    // ---------- Lebenszyklus ----------
+    function start() {
+        stopped = false;
+        scheduleNextFlush();
+    }
+
+    function stop() {
+        stopped = true;
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+
+    // Verbindung geändert → neuer Client, Puffer und Queue bleiben
+    function setClient(next) {
+        const old = client;
+        client = next;
+        return old;
+    }
+
+    // Zähler für Raten zurücksetzen (nach dem Publish)
+    function resetRates(now = Date.now()) {
+        health.writes = 0;
+        health.errors = 0;
+        health.since = now;
+    }
+
+    return {
+        name,
+        get client() { return client; },
+        get flushDelay() { return flushDelay; },
+        health,
+        journal,
+        write,
+        drain,
+        enqueue,
+        flushQueue,
+        start,
+        stop,
+        setClient,
+        resetRates
+    };
+}
+
+module.exports = {
+    DEFAULT_TARGET,
+    BASE_FLUSH_MS,
+    targetConfigs,
+    datapointRoutes,
+    createTarget
+};
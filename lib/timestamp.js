@@ -0,0 +1,90 @@
+"use strict";
+/**
+ * timestamp.js
+ * ----------------------------------------------------------
+ * Zeitstempel der geschriebenen Punkte.
+ *
+ *  • Quelle pro Datenpunkt (`timestampSource`, Default `timestamps.source`):
+ *      "lc" = letzte Wertänderung, "ts" = letzte Aktualisierung,
+ *      "receive" = Empfangszeit im Connector
+ *  • Write‑Präzision (`timestamps.precision`: s/ms/us/ns) – wird dem Client
+ *    übergeben; kürzere Timestamps = kleinere Requests und Queue‑Dateien
+ *  • Schutz vor Uhrproblemen: Zeitstempel mehr als `maxFuture` in der Zukunft
+ *    oder älter als `maxAge` werden auf die Empfangszeit gesetzt ("clamp")
+ *    oder verworfen ("reject"); ungültige (NaN) immer auf die Empfangszeit.
+ *    `maxAge` ist per Default aus: ein altes `lc` ist meist echt (Wert seit
+ *    Wochen unverändert) und würde sonst stillschweigend umgeschrieben
+ */
+
+const { parseDuration } = require("./duration");
+
+// Faktor zu ns
+const PRECISIONS = { s: 1_000_000_000n, ms: 1_000_000n, us: 1_000n, ns: 1n };
+const TIME_SOURCES = ["lc", "ts", "receive"];
+const OUT_OF_RANGE = ["clamp", "reject"];
+const DEFAULT_TIMESTAMPS = { source: "lc", precision: "ns", maxFuture: "5m", maxAge: "off", outOfRange: "clamp" };
+
+// cfg.timestamps mit Defaults, Dauern in ms (0 = keine Prüfung)
+function timestampSettings(c) {
+    const t = { ...DEFAULT_TIMESTAMPS, ...(c?.timestamps ?? {}) };
+    return {
+        source: t.source,
+        precision: t.precision,
+        maxFutureMs: parseDuration(t.maxFuture) ?? 0,
+        maxAgeMs: parseDuration(t.maxAge) ?? 0,
+        outOfRange: t.outOfRange
+    };
+}
+
+/**
+ * Zeitpunkt eines ioBroker‑States in ms; lc/ts als ms‑Zahl oder ISO‑String.
+ * @returns {number}  NaN, wenn die Quelle fehlt oder nicht lesbar ist
+ */
+function stateTime(state, source, now = Date.now()) {
+    if (source === "receive") return now;
+    const t = state?.[source];
+    if (typeof t === "number") return Number.isFinite(t) ? t : NaN;
+    if (typeof t === "string" && t.trim() !== "") return Date.parse(t);
+    return NaN;
+}
+
+/**
+ * Plausibilitätsprüfung.
+ * @param {number} ms
+ * @param {number} now
+ * @param {object} settings  timestampSettings(cfg)
+ * @returns {{ms: number|null, status: "ok"|"invalid"|"clamped"|"rejected"}}
+ */
+function checkTime(ms, now, { maxFutureMs = 0, maxAgeMs = 0, outOfRange = "clamp" } = {}) {
+    if (!Number.isFinite(ms)) return { ms: now, status: "invalid" };
+    const future = maxFutureMs > 0 && ms > now + maxFutureMs;
+    const old = maxAgeMs > 0 && ms < now - maxAgeMs;
+    if (!future && !old) return { ms, status: "ok" };
+    return outOfRange === "reject" ? { ms: null, status: "rejected" } : { ms: now, status: "clamped" };
+}
+
+// ms → Timestamp in der Write‑Präzision (String, BigInt‑genau)
+function formatTimestamp(ms, precision = "ns") {
+    const factor = PRECISIONS[precision];
+    if (!factor) throw new TypeError(`Unbekannte Präzision: ${precision}`);
+    const ns = BigInt(Math.round(ms)) * 1_000_000n;
+    return (ns / factor).toString();
+}
+
+// Timestamp von einer Präzision in eine andere (Queue‑Einträge nach Präzisionswechsel)
+function convertTimestamp(ts, from = "ns", to = "ns") {
+    if (from === to) return String(ts);
+    return ((BigInt(ts) * PRECISIONS[from]) / PRECISIONS[to]).toString();
+}
+
+module.exports = {
+    PRECISIONS,
+    TIME_SOURCES,
+    OUT_OF_RANGE,
+    DEFAULT_TIMESTAMPS,
+    timestampSettings,
+    stateTime,
+    checkTime,
+    formatTimestamp,
+    convertTimestamp
+};
@@ -0,0 +1,122 @@
+"use strict";
+/**
+ * transform.js
+ * ----------------------------------------------------------
+ * Wert‑Pipeline eines Datenpunkts (`transform`), angewendet vor Filtern und
+ * Write. Schritte in der angegebenen Reihenfolge, jeder mit genau einem Key:
+ *
+ *   { "map": { "open": 1, "closed": 0, "*": -1 } }  Lookup per String(Wert), "*" = Default
+ *   { "scale": 0.1 }                                Multiplizieren
+ *   { "offset": -40 }                               Addieren
+ *   { "round": 1 }                                  auf n Nachkommastellen runden
+ *   { "clamp": { "min": 0, "max": 100 } }           auf den Bereich begrenzen
+ *   { "expr": "value * 1.8 + 32" }                  kleiner JS‑Ausdruck mit `value`
+ *
+ * Ergebnis muss Zahl (endlich), String oder boolean sein – sonst wird der Wert
+ * verworfen. null/undefined (State ohne Wert) laufen unverändert durch.
+ */
+
+const TRANSFORM_STEPS = ["map", "scale", "offset", "round", "clamp", "expr"];
+const MAP_DEFAULT = "*";
+
+// Keys eines Schritts ohne $comment & Co.
+const stepKeys = (step) => Object.keys(step ?? {}).filter((k) => !k.startsWith("$"));
+
+/**
+ * Übersetzt einen Ausdruck in eine Funktion (value) → Ergebnis.
+ * Wirft bei Syntaxfehlern (→ Konfigurationsprüfung).
+ */
+function compileExpression(expr) {
+    return new Function("value", `"use strict"; return (${expr});`);
+}
+
+// Kompilierte Ausdrücke pro Schritt‑Objekt (Hot‑Reload bringt neue Objekte)
+const compiled = new WeakMap();
+
+function expressionOf(step) {
+    let fn = compiled.get(step);
+    if (!fn) {
+        fn = compileExpression(step.expr);
+        compiled.set(step, fn);
+    }
+    return fn;
+}
+
+function toNumber(value) {
+    if (typeof value === "number") return value;
+    if (typeof value === "boolean") return value ? 1 : 0;
+    if (typeof value === "string" && value.trim() !== "") return Number(value);
+    return NaN;
+}
+
+const describe = (value) => (typeof value === "string" ? `'${value}'` : String(value));
+
+// Ein Schritt; wirft mit lesbarer Meldung, wenn er nicht anwendbar ist
+function applyStep(step, value) {
+    const [key] = stepKeys(step);
+    if (key === "map") {
+        const k = String(value);
+        if (Object.hasOwn(step.map, k)) return step.map[k];
+        if (Object.hasOwn(step.map, MAP_DEFAULT)) return step.map[MAP_DEFAULT];
+        throw new Error(`kein Eintrag für ${describe(value)} in map`);
+    }
+    if (key === "expr") {
+        try {
+            return expressionOf(step)(value);
+        } catch (e) {
+            throw new Error(`expr '${step.expr}' fehlgeschlagen: ${e.message}`);
+        }
+    }
+
+    const num = toNumber(value);
+    if (!Number.isFinite(num)) throw new Error(`${key} braucht eine Zahl, Wert ist ${describe(value)}`);
+    switch (key) {
+        case "scale":
+            return num * step.scale;
+        case "offset":
+            return num + step.offset;
+        case "round": {
+            const f = 10 ** step.round;
+            return Math.round(num * f) / f;
+        }
+        case "clamp": {
+            const { min = -Infinity, max = Infinity } = step.clamp;
+            return Math.min(Math.max(num, min), max);
+        }
+        default:
+            throw new Error(`unbekannter Schritt '${key}'`);
+    }
+}
+
+function validResult(value) {
+    if (typeof value === "number") return Number.isFinite(value);
+    return typeof value === "string" || typeof value === "boolean";
+}
+
+/**
+ * Wendet die Pipeline an.
+ * @param {Array<object>|undefined} steps  dp.transform
+ * @param {*} value                       Rohwert aus ioBroker
+ * @returns {{value: *}|{error: string}}
+ */
+function applyTransform(steps, value) {
+    if (!Array.isArray(steps) || steps.length === 0 || value === null || value === undefined) return { value };
+    let current = value;
+    for (const [i, step] of steps.entries()) {
+        try {
+            current = applyStep(step, current);
+        } catch (e) {
+            return { error: `Schritt ${i + 1}: ${e.message}` };
+        }
+        if (!validResult(current))
+            return { error: `Schritt ${i + 1} (${stepKeys(step)[0]}) liefert ungültiges Ergebnis ${describe(current)}` };
+    }
+    return { value: current };
+}
+
+module.exports = {
+    TRANSFORM_STEPS,
+    stepKeys,
+    compileExpression,
+    applyTransform
+};
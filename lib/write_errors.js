@@ -0,0 +1,47 @@
+"use strict";
+/**
+ * write_errors.js
+ * ----------------------------------------------------------
+ * Einordnung von Write‑Fehlern des InfluxDB‑Clients.
+ *
+ *   transient  Netzwerk, Timeout, 408/429, 5xx (inkl. 524)  → später erneut versuchen
+ *   permanent  übrige 4xx: Parse‑Fehler, Feldtyp‑Konflikt,   → liegt an einzelnen Zeilen,
+ *              zu großer Request (413)                          erneuter Versuch hilft nicht
+ *   fatal      401/403/404: Token, Rechte, Datenbank fehlt   → liegt nicht an den Zeilen
+ */
+
+const TRANSIENT_STATUS = [408, 429];
+const FATAL_STATUS = [401, 403, 404];
+
+function statusOf(err) {
+    const code = Number(err?.statusCode ?? err?.status);
+    return Number.isInteger(code) && code > 0 ? code : null;
+}
+
+/**
+ * @param {Error} err
+ * @returns {"transient"|"permanent"|"fatal"}
+ */
+function classifyWriteError(err) {
+    const status = statusOf(err);
+    if (status === null || status >= 500 || TRANSIENT_STATUS.includes(status)) return "transient";
+    if (FATAL_STATUS.includes(status)) return "fatal";
+    if (status >= 400) return "permanent";
+    return "transient";
+}
+
+// Fehlermeldung des Servers, einzeilig (für Logs und Reject‑Kommentare)
+function serverMessage(err) {
+    const json = err?.json;
+    const text = json?.error ?? json?.message ?? (err?.body || err?.message || String(err));
+    const details = Array.isArray(json?.data)
+        ? json.data.map((d) => d.error_message).filter(Boolean)
+        : [];
+    const status = statusOf(err);
+    return [status ? `${status}` : "", text, ...details]
+        .filter(Boolean)
+        .join(": ")
+        .replace(/\s*\r?\n\s*/g, " ");
+}
+
+module.exports = { classifyWriteError, serverMessage };
@@ -3,30 +3,73 @@
 /**
  * convert.js
  * -----------------------------------------------
- * Liest eine LP-Datei (z.B. raw.lp) zeilenweise (streaming),
- * filtert nur value=-Zeilen und wandelt sie in InfluxDB-3-kompatibles Format um,
- * indem pro IoBroker-ID (dp.id) das Ziel-Measurement und alle Tags
- * aus config.json herangezogen werden.
+ * Liest eine LP-Datei (z.B. raw.lp) zeilenweise (streaming), parst sie mit
+ * dem Line-Protocol-Parser aus lib/line_protocol.js und wandelt sie in
+ * InfluxDB-3-kompatibles Format um, indem pro IoBroker-ID (dp.id) das
+ * Ziel-Measurement und alle Tags aus config.json herangezogen werden.
+ *
+ *  • Alle Feldtypen bleiben erhalten (float, i, u, Boolean, String).
+ *  • Zeilen einer Serie mit gleichem Timestamp (export-lp: ein Feld pro Zeile)
+ *    werden zu einem Punkt zusammengeführt.
+ *  • Zusatzfelder (ack, q, from, …) je Datenpunkt per importFields:
+ *    keep / tag / drop (siehe lib/lp_import.js).
+ *  • Import-Tags (Default source=influxdbv2, trigger=manual_import) per
+ *    importTags in der config.json oder --tag.
+ *  • Nur ein Zeitfenster übernehmen (--since/--until), z.B. die Lücke vor
+ *    dem ersten Punkt in InfluxDB 3.
+ *  • Nicht übernommene Zeilen landen mit Grund in einer Reject-Datei.
+ *  • Am Ende: Bericht pro Quell-Measurement und Liste der Measurements ohne
+ *    Datenpunkt in der config.json.
  *
  * Usage:
- *   node convert.js [input.lp] [output.lp]
- *   - input.lp  (optional, Default: raw.lp)
- *   - output.lp (optional, Default: export.lp)
+ *   node convert.js [input.lp[.gz]] [output.lp[.gz]] [Optionen]
+ *   - input.lp  (optional, Default: raw.lp; .gz wird entpackt)
+ *   - output.lp (optional, Default: export.lp; .gz wird gepackt)
+ *   - --since <zeit>      nur Punkte ab <zeit> (inklusiv)
+ *   - --until <zeit>      nur Punkte vor <zeit> (exklusiv)
+ *                         <zeit>: ISO-Datum/-Zeit (2024-05-01, 2024-05-01T12:00:00Z)
+ *                         oder Dauer relativ zu jetzt (30d = vor 30 Tagen)
+ *   - --tag key=value     Import-Tag setzen/überschreiben (mehrfach möglich, "key=" entfernt ihn)
+ *   - --rejects <datei>   Default: <output>.rejected.lp; nur angelegt, wenn es Rejects gibt
  *
- * Die Datei config.json muss im selben Verzeichnis liegen wie dieses Skript.
+ * Timestamps im Export müssen in Nanosekunden sein (Default von export-lp).
+ * Die Datei config.json muss im übergeordneten Verzeichnis liegen.
  */
 
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 const readline = require('readline');
 
+// ----------------------------------------------------------------------------
+// Utility: Datei lesen/schreiben, .gz transparent (wie im Importer)
+// ----------------------------------------------------------------------------
+function openInput(filePath) {
+    const stream = fs.createReadStream(filePath);
+    return filePath.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+}
+
+// → { write(text), end(): Promise } – end() wartet, bis die Datei geschrieben ist
+function openOutput(filePath) {
+    const file = fs.createWriteStream(filePath);
+    const stream = filePath.endsWith('.gz') ? zlib.createGzip() : file;
+    if (stream !== file) stream.pipe(file);
+    return {
+        write: (text) => stream.write(text),
+        end: () => new Promise((resolve, reject) => {
+            file.on('finish', resolve).on('error', reject);
+            stream.end();
+        })
+    };
+}
+
 // ----------------------------------------------------------------------------
 // Utility: Zählt die Zeilen einer Datei (\n-Separator)
 // ----------------------------------------------------------------------------
 function countLines(filePath) {
     return new Promise((resolve, reject) => {
         let lines = 0;
-        const stream = fs.createReadStream(filePath);
+        const stream = openInput(filePath);
         stream.on('data', chunk => {
             for (let i = 0; i < chunk.length; i++) {
                 if (chunk[i] === 10) lines++; // 10 => '\n'
@@ -38,87 +81,121 @@ function countLines(filePath) {
 }
 
 // ----------------------------------------------------------------------------
-// 1) Utility: Funktionen zum Escapen (Line Protocol Rules)
-//    – Measurement-Namen: Leerzeichen, Komma, Gleichheitszeichen mit Backslash escapen.
-//    – Tag-Werte: Leerzeichen → \ , Komma → \,  Gleichheitszeichen → \=
+// 1) Line-Protocol-Parser und -Builder (gemeinsam mit dem Connector, lib/line_protocol.js)
+//    – Escaping von Measurement, Tag-Keys, Tag-Werten und String-Feldern
+//    – Tags kanonisch nach Key sortiert
 // ----------------------------------------------------------------------------
-const Escape = {
-    lpMeasurement: (str) => str.replace(/([ ,=])/g, '\\$1'),
-    lpTagValue: (str) => str.replace(/([ ,=])/g, '\\$1')
-};
+const { escapeMeasurement, formatTags, parseLine, buildLine } = require('../lib/line_protocol');
+const {
+    importFieldModes,
+    importTags,
+    parseTimeArg,
+    inTimeRange,
+    convertPoint,
+    createPointMerger,
+    createReport,
+    reportRows
+} = require('../lib/lp_import');
+const { loadConfigFile, formatError } = require('../lib/config');
 
 // ----------------------------------------------------------------------------
-// 2) Konfigurationsdatei einlesen
+// 2) CLI-Parser: Optionen herausnehmen, dann Eingabe-/Ausgabedatei (Default: raw.lp → export.lp)
 // ----------------------------------------------------------------------------
-let config;
+const argv = process.argv.slice(2);
+
+function takeFlag(name) {
+    const values = [];
+    let i;
+    while ((i = argv.indexOf(`--${name}`)) !== -1) values.push(argv.splice(i, 2)[1]);
+    return values;
+}
+
+const [rejectFile] = takeFlag('rejects');
+const [sinceArg] = takeFlag('since');
+const [untilArg] = takeFlag('until');
+const tagArgs = takeFlag('tag');
+
+const inFile = argv[0] || 'raw.lp';
+const outFile = argv[1] || 'export.lp';
+
+const inPath = path.resolve(inFile);
+const outPath = path.resolve(outFile);
+const rejectPath = path.resolve(rejectFile || outFile.replace(/\.lp(\.gz)?$|\.gz$/, '') + '.rejected.lp');
+
+let range;
+const tagOverrides = {};
 try {
-    const configPath = path.resolve(__dirname, '../config.json');
-    const configText = fs.readFileSync(configPath, 'utf8');
-    config = JSON.parse(configText);
-} catch (err) {
-    console.error('❌ Fehler beim Einlesen von config.json:', err.message);
+    range = {
+        since: sinceArg === undefined ? undefined : parseTimeArg(sinceArg),
+        until: untilArg === undefined ? undefined : parseTimeArg(untilArg)
+    };
+    for (const arg of tagArgs) {
+        const eq = (arg ?? '').indexOf('=');
+        if (eq < 1) throw new Error(`--tag erwartet key=value, nicht '${arg}'`);
+        tagOverrides[arg.slice(0, eq)] = arg.slice(eq + 1);
+    }
+} catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+}
+if (range.since !== undefined && range.until !== undefined && range.since >= range.until) {
+    console.error('❌ --since muss vor --until liegen');
     process.exit(1);
 }
 
 // ----------------------------------------------------------------------------
-// 3) Auf Duplikate in config.datapoints.measurement prüfen
+// 3) Konfigurationsdatei einlesen und prüfen (gleiche Regeln wie der Connector)
+// ----------------------------------------------------------------------------
+const { config, errors: configErrors } = loadConfigFile(path.resolve(__dirname, '../config.json'));
+if (configErrors.length) {
+    console.error('❌ config.json ungültig:');
+    for (const e of configErrors) console.error(`  - ${formatError(e)}`);
+    process.exit(1);
+}
+
 // ----------------------------------------------------------------------------
-const allMeasurements = config.datapoints.map(dp => dp.measurement);
-const duplicates = allMeasurements.filter((m, i) => allMeasurements.indexOf(m) !== i);
+// 4) Tags pro Datenpunkt wie im Connector: defaultTags < source/sensor_id/location/processing < tags,
+//    danach die Import-Tags (source=influxdbv2, trigger=manual_import < importTags < --tag).
+// ----------------------------------------------------------------------------
+const tagsOf = (dp) => importTags(dp, config, tagOverrides);
+
+// Zeilenkopf "<measurement>,<tags>" (escaped, Tags sortiert)
+const seriesHead = (dp) => `${escapeMeasurement(dp.measurement)},${formatTags(tagsOf(dp))}`;
+
+// ----------------------------------------------------------------------------
+// 5) Auf Duplikate prüfen: gleiches Measurement mit gleichem Tag-Set wäre
+//    nach dem Import nicht mehr unterscheidbar
+// ----------------------------------------------------------------------------
+const seriesKeys = config.datapoints
+    .filter(dp => dp.id && dp.measurement)
+    .map(seriesHead);
+const duplicates = seriesKeys.filter((k, i) => seriesKeys.indexOf(k) !== i);
 if (duplicates.length) {
     console.error(
-        "❌ Duplikate bei 'measurement' in config.json gefunden:",
+        "❌ Datenpunkte mit gleichem 'measurement' und gleichen Tags in config.json gefunden:",
         [...new Set(duplicates)]
     );
     process.exit(1);
 }
 
 // ----------------------------------------------------------------------------
-// 4) Aus config.datapoints ein Lookup-Objekt dpMap erstellen
+// 6) Aus config.datapoints ein Lookup-Objekt dpMap erstellen
 //    Key   = IoBroker-ID (dp.id, z.B. "javascript.0.Wetterstation.Aussentemperatur")
-//    Value = Objekt mit:
-//              { measurement, tagsArray }
-//
-//    Dabei bereiten wir pro dpConfig ein Array `tagsArray` vor, das schon
-//    alle "key=value"-Strings enthält (ohne source/trigger, diese kommen später).
+//    Value = { dp, tags, modes } (Tags für InfluxDB 3, importFields-Modi)
 // ----------------------------------------------------------------------------
 const dpMap = {};
+// Selector-Einträge lösen erst im Connector zu IDs auf – für den Import gelten nur feste ids
+const selectorEntries = config.datapoints.filter((dp) => dp.selector !== undefined).length;
+if (selectorEntries) console.log(`ℹ️  ${selectorEntries} Selector-Einträge in config.json werden beim Konvertieren nicht berücksichtigt`);
 for (const dp of config.datapoints) {
+    if (dp.selector !== undefined) continue;
     if (!dp.id || !dp.measurement) {
         console.warn(`⚠️ Ignoriere Datapoint ohne id oder measurement: ${JSON.stringify(dp)}`);
         continue;
     }
-
-    // 4a) Measurement-Name escapen
-    const escapedMeas = Escape.lpMeasurement(dp.measurement);
-
-    // 4b) Tags sammeln (Schlüssel außer "id", "measurement", "minDelta" und "source")
-    const tagsArray = [];
-    for (const key of Object.keys(dp)) {
-        if (key === 'id' || key === 'measurement' || key === 'minDelta' || key === 'source') continue;
-        const val = dp[key];
-        if (val === undefined || val === null || val === '') continue;
-        // key sollte keine Sonderzeichen enthalten, aber wir escapen den Wert:
-        const escapedVal = Escape.lpTagValue(String(val));
-        tagsArray.push(`${key}=${escapedVal}`);
-    }
-
-    dpMap[dp.id] = {
-        measurement: escapedMeas, // bereits escaped
-        tagsArray                 // Array von "key=value"-Strings
-    };
+    dpMap[dp.id] = { dp, tags: tagsOf(dp), modes: importFieldModes(dp, config) };
 }
 
-// ----------------------------------------------------------------------------
-// 5) CLI-Parser: Eingabe-/Ausgabedatei (Default: raw.lp → export.lp)
-// ----------------------------------------------------------------------------
-const argv = process.argv.slice(2);
-const inFile = argv[0] || 'raw.lp';
-const outFile = argv[1] || 'export.lp';
-
-const inPath = path.resolve(inFile);
-const outPath = path.resolve(outFile);
-
 // Existenz-Check für input-Datei
 if (!fs.existsSync(inPath)) {
     console.error(`❌ Eingabedatei nicht gefunden: ${inPath}`);
@@ -130,80 +207,112 @@ const inFileSizeMB = (fs.statSync(inPath).size / (1024 * 1024)).toFixed(2);
 console.log(`ℹ️  ${inPath} hat eine Größe von ${inFileSizeMB} MB`);
 
 // ----------------------------------------------------------------------------
-// 6) transformLine: Verarbeitet eine einzelne LP-Zeile (String → String|null)
+// 7) Rejects: "# <Grund>" + Originalzeile, damit die Datei nach einer Korrektur
+//    direkt wieder als Eingabe taugt (Kommentarzeilen werden übersprungen)
 // ----------------------------------------------------------------------------
-function transformLine(line) {
-    line = line.trim();
-    if (!line) return null; // Leerzeile überspringen
-
-    // a) Timestamp abtrennen (alles rechts vom letzten Leerzeichen)
-    const lastSpace = line.lastIndexOf(' ');
-    if (lastSpace === -1) return null; // ungültige LP-Zeile
-    const ts = line.slice(lastSpace + 1);  // Nanosekunden-Timestamp
-    const prefix = line.slice(0, lastSpace);   // z.B. "id,alteTags value=0.5"
-
-    // b) prefix in prefixMain (Messungsname + alteTags) und fieldPart (z.B. "value=0.5") splitten
-    const firstSpace = prefix.indexOf(' ');
-    if (firstSpace === -1) return null; // kein Feldteil
-    const prefixMain = prefix.slice(0, firstSpace);
-    const fieldPart = prefix.slice(firstSpace + 1);
-
-    // c) Nur Zeilen mit "value=" akzeptieren
-    if (!fieldPart.startsWith('value=')) return null;
-
-    // d) Original-Measurement (alles vor dem ersten Komma) extrahieren
-    const origMeas = prefixMain.split(',')[0];
-
-    // e) In dpMap nachschauen
-    const dpConfig = dpMap[origMeas];
-    if (!dpConfig) return null; // kein Mapping → verworfen
-
-    // f) Neuer Measurement-Name (bereits escaped) und vorgefertigte Tag-Liste
-    const newMeas = dpConfig.measurement;
-    const tagsList = [...dpConfig.tagsArray];
-
-    // g) Füge die zwei festen Global-Tags an (source=influxdbv2, trigger=manual_import)
-    tagsList.push('source=influxdbv2', 'trigger=manual_import');
-
-    // h) Tag-String zusammensetzen
-    //    Wenn tagsList leer ist, ergibt join("") eine leere Zeichenkette
-    const tagsString = tagsList.join(',');
+const report = createReport();
+let rejectWriter = null;
+const rejectReasons = {}; // Grund (ohne Zeilennummer/Position) → Anzahl
+let rejected = 0;
 
-    // i) Feldteil unverändert übernehmen (z.B. "value=0.5")
-    //    Für numerische Werte ist kein weiteres Escaping nötig.
-    const fieldFixed = fieldPart;
+function reject(line, reason, lineNo) {
+    if (!rejectWriter) rejectWriter = openOutput(rejectPath);
+    rejectWriter.write(`# ${lineNo ? `Zeile ${lineNo}: ` : ''}${reason}\n${line}\n`);
+    const key = reason.replace(/ \(Position \d+\)$/, '');
+    rejectReasons[key] = (rejectReasons[key] || 0) + 1;
+    rejected++;
+}
 
-    // j) Neue LP-Zeile:
-    //    "<measurementEscaped>,tag1=val1,tag2=val2 value=... <timestamp>"
-    //    Wenn tagsString leer ist, entfernt man das führende Komma.
-    return `${newMeas}${tagsString ? ',' + tagsString : ''} ${fieldFixed} ${ts}`;
+// Zusammengeführter v2-Punkt → Zeile für InfluxDB 3 (oder Reject)
+function transformPoint(point) {
+    const { dp, tags, modes } = dpMap[point.measurement];
+    const result = convertPoint(point, dp, { tags, modes });
+    try {
+        if (!result.reason) {
+            const line = buildLine(result.point);
+            report.written(point.measurement, result.point);
+            return line;
+        }
+    } catch (e) {
+        result.reason = e.message;
+    }
+    reject(buildLine(point), result.reason);
+    report.rejected(point.measurement);
+    return null;
 }
 
 // ----------------------------------------------------------------------------
-// 7) Streaming: Zeilenweise Einlesen mit readline, Ergebnis direkt in einen Write-Stream schreiben
+// 8) Streaming: Zeilenweise Einlesen mit readline, Ergebnis direkt in einen Write-Stream schreiben
 // ----------------------------------------------------------------------------
 (async () => {
     const totalLines = await countLines(inPath);
     console.log(`ℹ️  ${totalLines} Zeilen in ${inPath} gefunden.`);
+    if (sinceArg || untilArg) console.log(`ℹ️  Zeitfenster: ${sinceArg ?? '…'} bis ${untilArg ?? '…'}`);
 
     const reader = readline.createInterface({
-        input: fs.createReadStream(inPath, { encoding: 'utf8' }),
+        input: openInput(inPath).setEncoding('utf8'),
         crlfDelay: Infinity
     });
-    const writer = fs.createWriteStream(outPath, { encoding: 'utf8' });
+    const writer = openOutput(outPath);
 
     let count = 0;
-    for await (const line of reader) {
-        const transformed = transformLine(line);
+    const merger = createPointMerger((point) => {
+        const transformed = transformPoint(point);
         if (transformed) {
             writer.write(transformed + '\n');
             count++;
         }
+    });
+
+    let lineNo = 0;
+    for await (const line of reader) {
+        lineNo++;
+        let point;
+        try {
+            point = parseLine(line);
+        } catch (e) {
+            reject(line, e.message, lineNo);
+            report.unparsable();
+            continue;
+        }
+        if (!point) continue; // Leer- oder Kommentarzeile
+        if (!dpMap[point.measurement]) {
+            reject(line, `kein Datenpunkt mit id '${point.measurement}' in config.json`, lineNo);
+            report.unmapped(point.measurement);
+            continue;
+        }
+        report.line(point.measurement);
+        if (!inTimeRange(point.timestamp, range)) {
+            report.skipped(point.measurement);
+            continue;
+        }
+        merger.push(point);
     }
+    merger.flush();
 
-    writer.end(() => {
-        console.log(`✅ ${count} value-Zeilen umgewandelt → ${outPath}`);
-        const outFileSizeMB = (fs.statSync(outPath).size / (1024 * 1024)).toFixed(2);
-        console.log(`ℹ️  ${outPath} hat eine Größe von ${outFileSizeMB} MB`);
-    });
-})();
+    if (rejectWriter) await rejectWriter.end();
+    await writer.end();
+
+    // ---------- Bericht ----------
+    const rows = reportRows(report, (id) => dpMap[id].dp.measurement);
+    if (rows.length) {
+        console.log('\nℹ️  Bericht pro Quell-Measurement (ein = Zeilen, aus = Punkte):');
+        console.table(rows);
+    }
+    const unmapped = report.unmappedList();
+    if (unmapped.length) {
+        console.warn(`⚠️  ${unmapped.length} Quell-Measurement(s) ohne Datenpunkt in config.json:`);
+        for (const [m, n] of unmapped) console.warn(`    ${m} (${n} Zeilen)`);
+    }
+
+    console.log(`✅ ${count} Punkte umgewandelt → ${outPath}`);
+    const outFileSizeMB = (fs.statSync(outPath).size / (1024 * 1024)).toFixed(2);
+    console.log(`ℹ️  ${outPath} hat eine Größe von ${outFileSizeMB} MB`);
+    if (rejected) {
+        console.warn(`⚠️  ${rejected} Zeilen/Punkte verworfen → ${rejectPath}`);
+        for (const [reason, n] of Object.entries(rejectReasons)) console.warn(`    ${n}× ${reason}`);
+    }
+})().catch((e) => {
+    console.error('\n❌ Konvertierung abgebrochen:', e.message);
+    process.exit(1);
+});
@@ -4,19 +4,52 @@
  *  • Batching, begrenzte Parallelität
  *  • optionale Pausen + Retry-Backoff
  *  • erkennt 524-Timeouts bei der Snapshot-Persistierung und wartet 5 Minuten
+ *  • Checkpoint (<datei>.checkpoint.json): letzte vollständig bestätigte
+ *    Zeile/Byte-Position, auch bei parallelen Batches – nach einem Abbruch
+ *    mit --resume dort fortsetzen (auch bei .gz)
+ *  • permanente Fehler (4xx: Parse-Fehler, Typ-Konflikt) werden nicht
+ *    wiederholt: der Batch wird halbiert, bis die schuldigen Zeilen isoliert
+ *    sind; diese landen mit Server-Meldung in rejected.lp, der Rest wird
+ *    geschrieben und der Import läuft weiter
+ *  • --dry-run: Datei nur offline prüfen (Schema, Typ-Konflikte, Timestamps,
+ *    Duplikate, Parse-Fehler), nichts senden; Exit-Code 1 bei blockierenden
+ *    Problemen – als Gate vor dem echten Import
+ *  • --verify: nach dem Import Anzahl, Zeitspanne und Summe/Min/Max von
+ *    value pro Measurement aus der Datei mit InfluxDB vergleichen (SQL);
+ *    Exit-Code 1 bei Abweichungen
+ *
+ * Usage:
+ *   node influxdb3_client.js [export.lp[.gz]] [--resume] [--rejects rejected.lp] [Flags]
+ *   node influxdb3_client.js [export.lp[.gz]] --dry-run
+ *   node influxdb3_client.js [export.lp[.gz]] --verify [--target nas]
  *
  * Sichere Flags / ENV:
  *   --batch 1000        (BATCH_SIZE)     |  export BATCH_SIZE=1000
  *   --conc  1           (CONCURRENCY)    |  export CONCURRENCY=1
  *   --pause 1000         (THROTTLE_MS)    |  export THROTTLE_MS=1000
+ *   --target nas        (TARGET)         |  export TARGET=nas
+ *                       Ziel aus "targets" der config.json (Default: "default" bzw. erstes Ziel)
  */
 
 const fs = require('fs');
 const zlib = require('zlib');
-const readline = require('readline');
 const path = require('path');
 const cliProg = require('cli-progress');
 const { InfluxDBClient } = require('@influxdata/influxdb3-client');
+const { loadConfigFile, formatError } = require('../lib/config');
+const { DEFAULT_TARGET, targetConfigs } = require('../lib/target');
+const {
+    readLines,
+    createCheckpointTracker,
+    checkpointPath,
+    fileIdentity,
+    writeCheckpoint,
+    readCheckpoint,
+    checkpointMismatch
+} = require('../lib/checkpoint');
+const { classifyWriteError, serverMessage } = require('../lib/write_errors');
+const { createAnalyzer, measurementRows, problemLines } = require('../lib/lp_analysis');
+const { createExportStats, verifyAgainst, summaryRows, diffRows } = require('../lib/lp_verify');
 
 /* ───── Runtime-Parameter (mit Defaults) ───────────────────────────────── */
 function argOrEnv(flag, env, def) {
@@ -33,10 +66,26 @@ function loadConfig() {
     const i = process.argv.indexOf('--config');
     let p = i !== -1 ? process.argv[i + 1] : process.env.CONFIG_PATH;
     if (!p) p = path.join(__dirname, '../config.json');
-    return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf8')) : {};
+    if (!fs.existsSync(p)) return {}; // nur ENV-Variablen
+    // gleiche Prüfung wie im Connector
+    const { config, errors } = loadConfigFile(p);
+    if (errors.length) {
+        console.error(`❌ ${p} ungültig:`);
+        for (const e of errors) console.error(`  - ${formatError(e)}`);
+        process.exit(1);
+    }
+    return config;
 }
 const cfg = loadConfig() ?? {};
-const influxCfg = cfg.influx ?? {};
+const targets = targetConfigs(cfg);
+const ti = process.argv.indexOf('--target');
+const targetName = (ti !== -1 ? process.argv[ti + 1] : process.env.TARGET)
+    || (targets[DEFAULT_TARGET] ? DEFAULT_TARGET : Object.keys(targets)[0]);
+if (targetName && Object.keys(targets).length && !targets[targetName]) {
+    console.error(`❌ Ziel '${targetName}' nicht in der config.json (vorhanden: ${Object.keys(targets).join(', ')})`);
+    process.exit(1);
+}
+const influxCfg = targets[targetName] ?? {};
 
 const client = new InfluxDBClient({
     host: process.env.INFLUXDB3_HOST || influxCfg.host || 'http://localhost:8181',
@@ -51,18 +100,20 @@ const sleep = ms => new Promise(r => setTimeout(r, ms));
 // Write LP lines with retry logic.
 // - 524 (Influx snapshot persistence) leads to a 5 minute wait WITHOUT
 //   consuming a retry attempt.
+// - Permanent errors (4xx, see lib/write_errors.js) are thrown immediately.
 // - Other errors use exponential backoff and count towards the retry limit.
 async function writeWithRetry(lines) {
     let attempt = 0;
     while (true) {
         try { return await client.write(lines); }
         catch (e) {
-            if (e.statusCode === 524 || String(e.message).includes('524')) {
+            if (e.statusCode === 524 || (!e.statusCode && /\b524\b/.test(String(e.message)))) {
                 console.warn('⚠️  Snapshot is persisting; retrying in 5 minutes…');
                 await sleep(300_000);      // wait without counting as a retry
                 continue;
             }
 
+            if (classifyWriteError(e) !== 'transient') throw e;
             if (++attempt > RETRIES) throw e;
             const wait = 300 * 2 ** (attempt - 1);   // exponential backoff
             console.warn(`⚠️  Retry ${attempt}/${RETRIES} in ${wait} ms – ${e.message}`);
@@ -71,31 +122,98 @@ async function writeWithRetry(lines) {
     }
 }
 
+/* ───── Bisektion ────────────────────────────────────────────────────── */
+
+// Items [{ text, lineNo }] schreiben. Bei einem permanenten Fehler halbieren,
+// bis einzelne Zeilen übrig sind; diese gehen mit Server-Meldung an onReject.
+// Transiente/fatale Fehler werden weitergereicht (Abbruch, Checkpoint bleibt).
+// Gute Hälften werden ggf. erneut geschrieben – identische Punkte sind idempotent.
+async function writeOrBisect(items, onReject) {
+    try {
+        await writeWithRetry(items.map(i => i.text));
+        return items.length;
+    } catch (e) {
+        if (classifyWriteError(e) !== 'permanent') throw e;
+        if (items.length === 1) { onReject(items[0], serverMessage(e)); return 0; }
+        const mid = Math.ceil(items.length / 2);
+        return await writeOrBisect(items.slice(0, mid), onReject) + await writeOrBisect(items.slice(mid), onReject);
+    }
+}
+
+// Reject-Datei wie beim Konverter: "# Zeile <n>: <Grund>" + Originalzeile
+function createRejectWriter(file, append) {
+    let stream = null;
+    let count = 0;
+    return {
+        write({ text, lineNo }, reason) {
+            stream ??= fs.createWriteStream(file, { flags: append ? 'a' : 'w' });
+            stream.write(`# Zeile ${lineNo}: ${reason}\n${text}\n`);
+            count++;
+        },
+        get count() { return count; },
+        close: () => new Promise(resolve => (stream ? stream.end(resolve) : resolve()))
+    };
+}
+
 /* ───── Import­routine ────────────────────────────────────────────────── */
-async function importFile(lpFile) {
-    const totalBytes = fs.statSync(lpFile).size;
+
+// Startposition: Checkpoint bei --resume, sonst Dateianfang
+function resumePosition(lpFile, cpFile, identity, resume) {
+    const start = { line: 0, offset: 0 };
+    if (!resume) {
+        if (fs.existsSync(cpFile)) console.warn(`⚠️  Checkpoint ${cpFile} vorhanden – wird überschrieben (fortsetzen mit --resume).`);
+        return start;
+    }
+    const cp = readCheckpoint(cpFile);
+    if (!cp) {
+        console.warn(`⚠️  Kein Checkpoint ${cpFile} gefunden – starte von vorn.`);
+        return start;
+    }
+    const mismatch = checkpointMismatch(cp, identity);
+    if (mismatch) throw new Error(`Checkpoint passt nicht zu ${lpFile} (${mismatch}) – ohne --resume neu starten`);
+    const pct = identity.size ? ` (${(cp.offset / identity.size * 100).toFixed(1)} %)` : '';
+    console.log(`↻  Setze fort nach Zeile ${cp.line}, Byte ${cp.offset}${lpFile.endsWith('.gz') ? ' (entpackt)' : pct} – Checkpoint vom ${cp.updated}`);
+    return { line: cp.line, offset: cp.offset };
+}
+
+async function importFile(lpFile, { resume = false, rejectFile } = {}) {
+    const gz = lpFile.endsWith('.gz');
+    const cpFile = checkpointPath(lpFile);
+    const identity = fileIdentity(lpFile);
+    const start = resumePosition(lpFile, cpFile, identity, resume);
+    const rejectPath = rejectFile ?? path.join(path.dirname(lpFile), 'rejected.lp');
+    const rejects = createRejectWriter(rejectPath, start.line > 0);
+
+    const totalBytes = identity.size;
     const bar = new cliProg.SingleBar({
         format: 'Fortschritt |{bar}| {percentage}% | {value}/{total} B | Zeilen: {lines}',
         hideCursor: true
     }, cliProg.Presets.shades_classic);
-    bar.start(totalBytes, 0, { lines: 0 });
 
-    let bytesRead = 0, written = 0, buffer = [];
+    // Unkomprimiert direkt an den Offset springen; .gz muss entpackt und bis zur Zeile überlesen werden
+    let bytesRead = gz ? 0 : start.offset, written = 0, buffer = [];
+    bar.start(totalBytes, bytesRead, { lines: 0 });
     const active = new Set();
+    const tracker = createCheckpointTracker(start);
+    let lastLine = start.line, lastOffset = start.offset;
+    let failed = null;
 
-    const fileStream = fs.createReadStream(lpFile);
-    const input = lpFile.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+    const fileStream = fs.createReadStream(lpFile, gz ? {} : { start: start.offset });
+    const input = gz ? fileStream.pipe(zlib.createGunzip()) : fileStream;
 
     fileStream.on('data', c => { bytesRead += c.length; bar.update(bytesRead, { lines: written }); });
 
-    const rl = readline.createInterface({ input, crlfDelay: Infinity });
-
     const send = async () => {
         if (!buffer.length) return;
         const batch = buffer; buffer = [];
-        const task = writeWithRetry(batch)
-            .then(() => { written += batch.length; bar.update(bytesRead, { lines: written }); })
-            .catch(e => { bar.stop(); console.error('❌  Unrecoverable:', e.message); process.exit(1); })
+        const id = tracker.add(lastLine, lastOffset);
+        const task = writeOrBisect(batch, (item, reason) => rejects.write(item, reason))
+            .then(n => {
+                written += n;
+                if (tracker.ack(id)) writeCheckpoint(cpFile, identity, tracker.mark);
+                bar.update(bytesRead, { lines: written });
+            })
+            .catch(e => { failed ??= e; })
             .finally(() => active.delete(task));
         active.add(task);
 
@@ -103,16 +221,81 @@ async function importFile(lpFile) {
         if (active.size >= CONCURRENCY) await Promise.race(active);
     };
 
-    for await (const line of rl) {
-        if (!line.trim()) continue;
-        buffer.push(line);
+    for await (const { text, lineNo, end } of readLines(input, gz ? {} : start)) {
+        if (failed) break;
+        if (lineNo <= start.line) continue; // .gz: bis zum Checkpoint überlesen
+        lastLine = lineNo; lastOffset = end;
+        if (!text.trim()) continue;
+        buffer.push({ text, lineNo });
         if (buffer.length >= BATCH_SIZE) await send();
     }
-    await send();                  // Rest
-    await Promise.all(active);     // offene Writes beenden
+    if (!failed) await send();     // Rest
+    await Promise.all(active);     // offene Writes beenden – ihre Bestätigungen zählen noch
+    await rejects.close();
+    const rejectNote = rejects.count ? `, ${rejects.count} Zeilen verworfen → ${rejectPath}` : '';
+
+    if (failed) {
+        bar.stop();
+        writeCheckpoint(cpFile, identity, tracker.mark); // auch ohne Fortschritt: alter Checkpoint gilt nicht mehr
+        const { line } = tracker.mark;
+        console.error(`\n❌  Unrecoverable: ${serverMessage(failed)}${rejectNote}`);
+        console.error(`   Bestätigt bis Zeile ${line} (Checkpoint ${cpFile}). Fortsetzen mit: node influxdb3_client.js ${lpFile} --resume`);
+        failed.reported = true;
+        throw failed;
+    }
 
     bar.update(totalBytes, { lines: written }); bar.stop();
-    console.log(`\n✅  Fertig – ${written} Zeilen.`); await client.close?.();
+    fs.rmSync(cpFile, { force: true }); // Import vollständig
+    const resumed = start.line ? ` (fortgesetzt – Zeilen 1–${start.line} lagen schon in einem früheren Lauf)` : '';
+    console.log(`\n✅  Fertig – ${written} Zeilen in diesem Lauf${resumed}, ${lastLine} Zeilen gesamt.`);
+    if (rejects.count) console.warn(`⚠️  ${rejects.count} Zeilen von InfluxDB abgelehnt → ${rejectPath}`);
+    else console.log('ℹ️  0 Zeilen abgelehnt.');
+    await client.close?.();
+    return { written, rejected: rejects.count, resumedFrom: start.line, lines: lastLine };
+}
+
+/* ───── Dry-Run ───────────────────────────────────────────────────────── */
+
+// Ganze Datei offline prüfen; liefert das Ergebnis von lib/lp_analysis.js
+async function dryRun(lpFile) {
+    const fileStream = fs.createReadStream(lpFile);
+    const input = lpFile.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+    const analyzer = createAnalyzer();
+    for await (const { text, lineNo } of readLines(input)) analyzer.add(text, lineNo);
+    const result = analyzer.result();
+
+    console.log(`🔍 Dry-Run ${lpFile}: ${result.lines} Zeilen, ${result.points} Punkte, ${result.measurements.size} Measurements\n`);
+    if (result.measurements.size) console.table(measurementRows(result));
+    const problems = problemLines(result);
+    for (const line of problems) console.log(line);
+    if (result.blocking.length) console.error(`\n❌  Import würde scheitern: ${result.blocking.join(', ')}`);
+    else console.log(`\n✅  Keine blockierenden Probleme${problems.length ? ' (Hinweise siehe oben)' : ''}.`);
+    return result;
+}
+
+/* ───── Verify ────────────────────────────────────────────────────────── */
+
+// Datei auswerten und pro Measurement mit InfluxDB vergleichen
+async function verify(lpFile, { queryClient = client } = {}) {
+    const fileStream = fs.createReadStream(lpFile);
+    const input = lpFile.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+    const stats = createExportStats();
+    for await (const { text } of readLines(input)) stats.add(text);
+    if (stats.unparsable) console.warn(`⚠️  ${stats.unparsable} Zeilen nicht parsebar – nicht berücksichtigt (siehe --dry-run).`);
+    if (stats.withoutTimestamp) console.warn(`⚠️  ${stats.withoutTimestamp} Zeilen ohne Timestamp – nicht berücksichtigt.`);
+
+    console.log(`🔎 Vergleiche ${stats.measurements.size} Measurements aus ${lpFile} mit InfluxDB (Ziel=${targetName ?? 'ENV'})…\n`);
+    const results = await verifyAgainst(stats, queryClient);
+    if (results.length) console.table(summaryRows(results));
+    const diffs = diffRows(results);
+    if (diffs.length) {
+        console.error('\n❌  Abweichungen:');
+        console.table(diffs);
+    } else {
+        console.log('\n✅  Alle Measurements stimmen überein.');
+    }
+    await queryClient.close?.();
+    return { results, mismatches: results.filter(r => r.checks.some(c => !c.ok)).length };
 }
 
 /* ───── Exports ────────────────────────────────────────────────── */
@@ -120,18 +303,34 @@ async function importFile(lpFile) {
 module.exports = {
     writeWithRetry,
     importFile,
+    dryRun,
+    verify,
     sleep
 };
 
 /* ───── CLI-Entry ─────────────────────────────────────────────────────── */
 if (require.main === module) {
     (async () => {
-        const lpFile = process.argv[2] || 'export.lp';
+        const lpFile = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'export.lp';
         if (!fs.existsSync(lpFile)) { console.error(`❌  Datei nicht gefunden: ${lpFile}`); process.exit(1); }
-        console.log(`→ Import startet (Batch=${BATCH_SIZE}, Conc=${CONCURRENCY}, Pause=${THROTTLE_MS} ms)\n`);
-        await importFile(lpFile);
+        if (process.argv.includes('--dry-run')) {
+            const { blocking } = await dryRun(lpFile);
+            process.exitCode = blocking.length ? 1 : 0;
+            return;
+        }
+        if (process.argv.includes('--verify')) {
+            const { mismatches } = await verify(lpFile);
+            process.exitCode = mismatches ? 1 : 0;
+            return;
+        }
+        console.log(`→ Import startet (Ziel=${targetName ?? "ENV"}, Batch=${BATCH_SIZE}, Conc=${CONCURRENCY}, Pause=${THROTTLE_MS} ms)\n`);
+        const ri = process.argv.indexOf('--rejects');
+        await importFile(lpFile, {
+            resume: process.argv.includes('--resume'),
+            rejectFile: ri !== -1 ? process.argv[ri + 1] : undefined
+        });
     })().catch(err => {
-        console.error(`\n❌ Ein unerwarteter Fehler ist aufgetreten:`, err.message);
+        if (!err.reported) console.error(`\n❌ Ein unerwarteter Fehler ist aufgetreten:`, err.message);
         process.exit(1);
     });
 }
\ No newline at end of file
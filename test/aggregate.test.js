@@ -0,0 +1,30 @@
+const { aggregateFields, windowStart } = require('../lib/aggregate');
+
+describe('aggregateFields', () => {
+    test('computes all functions in configured order', () => {
+        const fields = aggregateFields([3, 1, 2], ['mean', 'min', 'max', 'last', 'count', 'sum']);
+        expect(fields).toEqual([
+            { key: 'mean', value: 2, type: 'float' },
+            { key: 'min', value: 1, type: 'float' },
+            { key: 'max', value: 3, type: 'float' },
+            { key: 'last', value: 2, type: 'float' },
+            { key: 'count', value: 3, type: 'integer' },
+            { key: 'sum', value: 6, type: 'float' }
+        ]);
+    });
+
+    test('defaults to mean/min/max', () => {
+        expect(aggregateFields([5]).map((f) => f.key)).toEqual(['mean', 'min', 'max']);
+    });
+
+    test('returns no fields for an empty window', () => {
+        expect(aggregateFields([], ['mean'])).toEqual([]);
+    });
+});
+
+describe('windowStart', () => {
+    test('aligns timestamps to the window size', () => {
+        expect(windowStart(125_000, 60_000)).toBe(120_000);
+        expect(windowStart(120_000, 60_000)).toBe(120_000);
+    });
+});
@@ -0,0 +1,100 @@
+const { alertSettings, implausible, alertMessage, createAlertTracker } = require('../lib/alerts');
+
+const MIN = 60_000;
+const HOUR = 60 * MIN;
+
+describe('alertSettings', () => {
+    test('defaults', () => {
+        expect(alertSettings({})).toEqual({ intervalMs: HOUR, repeatMs: 0, write: false, measurement: 'alerts', notify: [] });
+    });
+
+    test('notify targets as instance or object', () => {
+        const s = alertSettings({ alerts: { notify: ['telegram.0', { instance: 'email.0', command: 'mail' }], repeat: '6h', write: true } });
+        expect(s.notify).toEqual([{ instance: 'telegram.0', command: 'send' }, { instance: 'email.0', command: 'mail' }]);
+        expect(s).toMatchObject({ repeatMs: 6 * HOUR, write: true });
+        expect(alertSettings({ alerts: { notify: ['pushover.0'], command: 'message' } }).notify)
+            .toEqual([{ instance: 'pushover.0', command: 'message' }]);
+    });
+});
+
+describe('implausible', () => {
+    test('numbers and numeric strings outside the range', () => {
+        expect(implausible({ min: -30, max: 60 }, 85)).toBe(true);
+        expect(implausible({ min: -30, max: 60 }, '-40')).toBe(true);
+        expect(implausible({ min: -30, max: 60 }, 21.5)).toBe(false);
+        expect(implausible({ max: 100 }, -1e6)).toBe(false);
+        expect(implausible({ min: 0 }, -0.1)).toBe(true);
+    });
+
+    test('nothing to check', () => {
+        expect(implausible(undefined, 85)).toBeNull();
+        expect(implausible({ max: 1 }, 'offen')).toBeNull();
+        expect(implausible({ max: 1 }, '')).toBeNull();
+        expect(implausible({ max: 1 }, true)).toBeNull();
+        expect(implausible({ max: 1 }, null)).toBeNull();
+    });
+});
+
+describe('alertMessage', () => {
+    const dp = { id: 'zigbee.0.abc.temperature', measurement: 'temperature', plausible: { min: -30, max: 60 } };
+
+    test('stale', () => {
+        expect(alertMessage(dp, 'stale', true, { staleMs: 2 * HOUR, since: Date.UTC(2024, 4, 6, 10) })).toBe(
+            '⚠️ zigbee.0.abc.temperature (temperature): seit 2h keine Aktualisierung (letzte Aktualisierung 2024-05-06T10:00:00.000Z)'
+        );
+        expect(alertMessage(dp, 'stale', false)).toBe('✅ zigbee.0.abc.temperature (temperature): wieder aktualisiert');
+    });
+
+    test('implausible', () => {
+        expect(alertMessage(dp, 'implausible', true, { value: 85 })).toBe(
+            '⚠️ zigbee.0.abc.temperature (temperature): Wert 85 außerhalb -30 … 60'
+        );
+        expect(alertMessage({ ...dp, plausible: { max: 60 } }, 'implausible', false, { value: 20 })).toBe(
+            '✅ zigbee.0.abc.temperature (temperature): Wert 20 wieder im Bereich −∞ … 60'
+        );
+    });
+});
+
+describe('createAlertTracker', () => {
+    const settings = { intervalMs: HOUR, repeatMs: 0 };
+
+    test('raise and clear are reported once', () => {
+        const t = createAlertTracker();
+        expect(t.update('a/stale', false, 0, settings)).toBeNull();
+        expect(t.update('a/stale', true, 1000, settings)).toEqual({ active: true, changed: true, notify: true });
+        expect(t.update('a/stale', true, 2000, settings)).toBeNull();
+        expect(t.isActive('a/stale')).toBe(true);
+        expect(t.activeCount()).toBe(1);
+        expect(t.update('a/stale', false, 3000, settings)).toEqual({ active: false, changed: true, notify: true });
+        expect(t.activeCount()).toBe(0);
+    });
+
+    test('a flapping alert notifies at most once per interval', () => {
+        const t = createAlertTracker();
+        t.update('a/implausible', true, 0, settings);
+        t.update('a/implausible', false, MIN, settings);
+        expect(t.update('a/implausible', true, 2 * MIN, settings)).toEqual({ active: true, changed: true, notify: false });
+        // Entwarnung nur, wenn der Alarm gemeldet wurde
+        expect(t.update('a/implausible', false, 3 * MIN, settings)).toEqual({ active: false, changed: true, notify: false });
+        expect(t.update('a/implausible', true, HOUR, settings)).toEqual({ active: true, changed: true, notify: true });
+    });
+
+    test('reminders while active with repeat', () => {
+        const t = createAlertTracker();
+        const s = { intervalMs: HOUR, repeatMs: 6 * HOUR };
+        t.update('a/stale', true, 0, s);
+        expect(t.update('a/stale', true, 5 * HOUR, s)).toBeNull();
+        expect(t.update('a/stale', true, 6 * HOUR, s)).toEqual({ active: true, changed: false, notify: true });
+        expect(t.update('a/stale', true, 7 * HOUR, s)).toBeNull();
+    });
+
+    test('forget drops all alerts of a datapoint', () => {
+        const t = createAlertTracker();
+        t.update('a/stale', true, 0, settings);
+        t.update('a/implausible', true, 0, settings);
+        t.update('b/stale', true, 0, settings);
+        t.forget('a');
+        expect(t.activeCount()).toBe(1);
+        expect(t.isActive('b/stale')).toBe(true);
+    });
+});
@@ -0,0 +1,94 @@
+const {
+    backfillSettings,
+    backfillEnabled,
+    buildLastTimeQuery,
+    lastTimeOf,
+    backfillRange,
+    historyOptions,
+    historyPoints
+} = require('../lib/backfill');
+
+const SINCE = Date.UTC(2024, 4, 6, 12, 0, 0);
+const HOUR = 3_600_000;
+
+describe('backfillSettings', () => {
+    test('off without an instance, defaults otherwise', () => {
+        expect(backfillSettings({})).toBeNull();
+        expect(backfillSettings({ backfill: { instance: 'history.0' } }))
+            .toEqual({ instance: 'history.0', maxWindowMs: 86_400_000, maxPoints: 50_000, timeoutMs: 60_000 });
+        expect(backfillSettings({ backfill: { instance: 'sql.0', maxWindow: 'off', maxPoints: 10 } }))
+            .toMatchObject({ maxWindowMs: 0, maxPoints: 10 });
+    });
+
+    test('per datapoint opt-out, aggregated datapoints are skipped', () => {
+        const c = { backfill: { instance: 'history.0' } };
+        expect(backfillEnabled({ id: 'a' }, c)).toBe(true);
+        expect(backfillEnabled({ id: 'a', backfill: false }, c)).toBe(false);
+        expect(backfillEnabled({ id: 'a', aggregate: { window: '1m' } }, c)).toBe(false);
+        expect(backfillEnabled({ id: 'a' }, {})).toBe(false);
+    });
+});
+
+describe('buildLastTimeQuery', () => {
+    test('last point of the datapoint series before the start', () => {
+        const dp = { id: 'a', measurement: 'temp', location: "Kinder'zimmer", tags: { floor: 1 } };
+        expect(buildLastTimeQuery(dp, SINCE, { site: 'home' })).toBe(
+            'SELECT max(time) AS last FROM "temp" WHERE time < \'2024-05-06T12:00:00.000Z\' AND "value" IS NOT NULL ' +
+            'AND "site" = \'home\' AND "location" = \'Kinder\'\'zimmer\' AND "floor" = \'1\''
+        );
+    });
+
+    test('lastTimeOf handles empty results and Arrow types', () => {
+        expect(lastTimeOf({ last: null })).toBeNull();
+        expect(lastTimeOf(undefined)).toBeNull();
+        expect(lastTimeOf({ last: new Date(SINCE) })).toBe(SINCE);
+        expect(lastTimeOf({ last: BigInt(SINCE) * 1_000_000n })).toBe(SINCE);
+    });
+});
+
+describe('backfillRange', () => {
+    test('from the last point up to the start of the subscription', () => {
+        expect(backfillRange(SINCE - 2 * HOUR, SINCE, 24 * HOUR))
+            .toEqual({ start: SINCE - 2 * HOUR + 1, end: SINCE - 1, truncated: false });
+    });
+
+    test('limited to maxWindow', () => {
+        expect(backfillRange(SINCE - 48 * HOUR, SINCE, 24 * HOUR))
+            .toEqual({ start: SINCE - 24 * HOUR, end: SINCE - 1, truncated: true });
+        expect(backfillRange(SINCE - 48 * HOUR, SINCE, 0).truncated).toBe(false);
+    });
+
+    test('nothing to do without data or without a gap', () => {
+        expect(backfillRange(null, SINCE, HOUR)).toBeNull();
+        expect(backfillRange(SINCE - 1, SINCE, HOUR)).toBeNull();
+    });
+});
+
+describe('history request and result', () => {
+    const range = { start: SINCE - HOUR, end: SINCE - 1 };
+
+    test('asks for raw values, oldest first', () => {
+        expect(historyOptions(range, 500)).toEqual({
+            start: SINCE - HOUR, end: SINCE - 1, aggregate: 'none', count: 500, returnNewestEntries: false, ignoreNull: true
+        });
+    });
+
+    test('keeps acknowledged values inside the range, sorted', () => {
+        const result = [
+            { val: 3, ts: SINCE - 10 },
+            { val: 1, ts: SINCE - HOUR, ack: true },
+            { val: 2, ts: SINCE - 20, ack: false },
+            { val: null, ts: SINCE - 30 },
+            { val: 4, ts: SINCE }, // schon live erfasst
+            { val: 5, ts: 'x' }
+        ];
+        expect(historyPoints(result, range)).toEqual([{ val: 1, ts: SINCE - HOUR, ack: true }, { val: 3, ts: SINCE - 10, ack: true }]);
+        expect(historyPoints(undefined, range)).toEqual([]);
+    });
+
+    test('follows subscribe.ack of the datapoint', () => {
+        const result = [{ val: 1, ts: SINCE - 20, ack: true }, { val: 2, ts: SINCE - 10, ack: false }];
+        expect(historyPoints(result, range, false)).toEqual([{ val: 2, ts: SINCE - 10, ack: false }]);
+        expect(historyPoints(result, range, 'any').map((p) => p.val)).toEqual([1, 2]);
+    });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+    readLines,
+    createCheckpointTracker,
+    fileIdentity,
+    writeCheckpoint,
+    readCheckpoint,
+    checkpointMismatch
+} = require('../lib/checkpoint');
+
+const collect = async (gen) => {
+    const out = [];
+    for await (const x of gen) out.push(x);
+    return out;
+};
+
+describe('readLines', () => {
+    test('line numbers and byte offsets across chunks', async () => {
+        const chunks = ['a v=1\nä v=', '2\r\n', '\nlast v=3'].map((s) => Buffer.from(s));
+        expect(await collect(readLines(Readable.from(chunks)))).toEqual([
+            { text: 'a v=1', lineNo: 1, end: 6 },
+            { text: 'ä v=2', lineNo: 2, end: 14 },
+            { text: '', lineNo: 3, end: 15 },
+            { text: 'last v=3', lineNo: 4, end: 23 }
+        ]);
+    });
+
+    test('continues numbering from a start position', async () => {
+        const lines = await collect(readLines(Readable.from([Buffer.from('x v=1\n')]), { line: 10, offset: 100 }));
+        expect(lines).toEqual([{ text: 'x v=1', lineNo: 11, end: 106 }]);
+    });
+});
+
+describe('createCheckpointTracker', () => {
+    test('only advances past batches that are all acknowledged', () => {
+        const t = createCheckpointTracker();
+        const a = t.add(10, 100);
+        const b = t.add(20, 200);
+        const c = t.add(30, 300);
+
+        expect(t.ack(b)).toBe(false);
+        expect(t.mark).toEqual({ line: 0, offset: 0 });
+        expect(t.ack(a)).toBe(true);
+        expect(t.mark).toEqual({ line: 20, offset: 200 });
+        expect(t.pending).toBe(1);
+        expect(t.ack(c)).toBe(true);
+        expect(t.mark).toEqual({ line: 30, offset: 300 });
+    });
+
+    test('starts at a resumed position and ignores unknown ids', () => {
+        const t = createCheckpointTracker({ line: 5, offset: 50 });
+        expect(t.ack(42)).toBe(false);
+        expect(t.mark).toEqual({ line: 5, offset: 50 });
+    });
+});
+
+describe('checkpoint file', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('round-trips and detects a different file', () => {
+        const file = path.join(dir, 'export.lp');
+        fs.writeFileSync(file, 'm v=1\n');
+        const cpFile = `${file}.checkpoint.json`;
+        const identity = fileIdentity(file);
+
+        writeCheckpoint(cpFile, identity, { line: 1, offset: 6 });
+        const cp = readCheckpoint(cpFile);
+        expect(cp).toMatchObject({ line: 1, offset: 6, size: 6 });
+        expect(checkpointMismatch(cp, identity)).toBeNull();
+
+        fs.appendFileSync(file, 'm v=2\n');
+        expect(checkpointMismatch(cp, fileIdentity(file))).toMatch(/Größe/);
+    });
+
+    test('missing or unreadable checkpoints are null', () => {
+        expect(readCheckpoint(path.join(dir, 'nope.json'))).toBeNull();
+        fs.writeFileSync(path.join(dir, 'bad.json'), '{');
+        expect(readCheckpoint(path.join(dir, 'bad.json'))).toBeNull();
+    });
+});
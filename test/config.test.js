@@ -0,0 +1,403 @@
+const path = require('path');
+const { SCHEMA, validateConfig, datapointErrors, loadConfigFile, formatError } = require('../lib/config');
+const { AGGREGATE_FUNCTIONS } = require('../lib/aggregate');
+const { DROP_POLICIES } = require('../lib/journal');
+const { SELECTOR_KEYS } = require('../lib/selectors');
+const { PRECISIONS, TIME_SOURCES, OUT_OF_RANGE } = require('../lib/timestamp');
+const { STATE_STORES, STARTUP_WRITES } = require('../lib/state_store');
+const { TRANSFORM_STEPS } = require('../lib/transform');
+const { ROLLUP_FUNCTIONS } = require('../lib/rollup');
+
+const base = (extra = {}) => ({
+    influx: { host: 'http://localhost:8181', token: 'secret', database: 'iobroker' },
+    datapoints: [{ id: 'zigbee.0.abc.temperature', measurement: 'temperature', location: 'Küche' }],
+    ...extra
+});
+
+const paths = (errors) => errors.map((e) => e.path);
+
+describe('validateConfig', () => {
+    test('a minimal config is valid', () => {
+        expect(validateConfig(base())).toEqual([]);
+    });
+
+    test('"$" keys are allowed everywhere', () => {
+        const cfg = base({ $schema: './config.schema.json', queue: { maxMB: 10, $comment: 'x' } });
+        cfg.datapoints[0].$comment = 'Wohnzimmer';
+        expect(validateConfig(cfg)).toEqual([]);
+    });
+
+    test('reports every error instead of stopping at the first', () => {
+        const cfg = base({ writeBuffer: { maxLines: 1000, linger: 'soon' } });
+        cfg.influx.token = 42;
+        cfg.datapoints.push({ id: 'x', measurement: '', minDelta: -1 });
+        expect(paths(validateConfig(cfg))).toEqual(expect.arrayContaining([
+            '$.influx.token',
+            '$.writeBuffer.maxLines',
+            '$.writeBuffer.linger',
+            '$.datapoints[1].measurement',
+            '$.datapoints[1].minDelta'
+        ]));
+    });
+
+    test('unknown keys are reported with a suggestion', () => {
+        const cfg = base();
+        cfg.datapoints[0].minDelata = 0.1;
+        expect(validateConfig(cfg)).toEqual([
+            { path: '$.datapoints[0].minDelata', message: "unbekannter Schlüssel – meinten Sie 'minDelta'?" }
+        ]);
+    });
+
+    test('unknown top-level keys', () => {
+        expect(paths(validateConfig(base({ hearbeat: {} })))).toEqual(['$.hearbeat']);
+    });
+
+    test('missing required blocks', () => {
+        expect(paths(validateConfig({}))).toEqual(['$.datapoints', '$']);
+        expect(paths(validateConfig(base({ datapoints: [] })))).toEqual(['$.datapoints']);
+    });
+
+    test('hosts need scheme, host and a numeric port', () => {
+        for (const host of ['localhost:8181', 'INFLUXDB3_HOST:PORT', 'ftp://x', 'http://host:PORT']) {
+            const cfg = base();
+            cfg.influx.host = host;
+            expect(paths(validateConfig(cfg))).toEqual(['$.influx.host']);
+        }
+        const ok = base();
+        ok.influx.host = 'https://influx.example.com';
+        expect(validateConfig(ok)).toEqual([]);
+    });
+
+    test('durations and heartbeat minimum', () => {
+        const cfg = base({ heartbeat: { default: '5s' } });
+        cfg.datapoints[0].debounce = '2 seconds';
+        cfg.datapoints[0].minInterval = 'off';
+        expect(paths(validateConfig(cfg))).toEqual([
+            '$.datapoints[0].debounce',
+            '$.heartbeat.default',
+            '$.datapoints[0].minInterval'
+        ]);
+    });
+
+    test('option combinations', () => {
+        const cfg = base();
+        cfg.datapoints.push(
+            { id: 'a', measurement: 'a', minInterval: '5m', maxInterval: '1m' },
+            { id: 'b', measurement: 'b', type: 'string', aggregate: { window: '60s' }, thresholds: [1] }
+        );
+        expect(paths(validateConfig(cfg))).toEqual([
+            '$.datapoints[1].maxInterval',
+            '$.datapoints[2].type',
+            '$.datapoints[2].thresholds'
+        ]);
+    });
+
+    test('selector entries', () => {
+        const cfg = base();
+        cfg.datapoints.push(
+            { selector: { pattern: 'zigbee.0.*' }, measurement: '{name}' },
+            { selector: {}, measurement: 'x' },
+            { selector: { regex: '([' }, id: 'x', measurement: 'x' },
+            { selector: { pattren: 'x' }, measurement: 'x' }
+        );
+        expect(paths(validateConfig(cfg))).toEqual([
+            '$.datapoints[4].selector.pattren',
+            '$.datapoints[2].selector',
+            '$.datapoints[3].id',
+            '$.datapoints[3].selector.regex',
+            '$.datapoints[4].selector'
+        ]);
+    });
+
+    test('entries need an id or a selector', () => {
+        const cfg = base();
+        cfg.datapoints.push({ measurement: 'x' });
+        expect(paths(validateConfig(cfg))).toEqual(['$.datapoints[1].id']);
+    });
+
+    test('tag maps: value types, reserved keys and field names', () => {
+        const cfg = base({ defaultTags: { trigger: 'x', site: 'home' } });
+        cfg.datapoints[0].tags = { room: { de: 'Küche' }, value: 'x', floor: 1 };
+        expect(paths(validateConfig(cfg))).toEqual([
+            '$.datapoints[0].tags.room',
+            '$.defaultTags.trigger',
+            '$.datapoints[0].tags.value'
+        ]);
+    });
+
+    test('duplicate ids', () => {
+        const cfg = base();
+        cfg.datapoints.push({ id: 'zigbee.0.abc.temperature', measurement: 'other' });
+        expect(validateConfig(cfg)).toEqual([
+            { path: '$.datapoints[1].id', message: "'zigbee.0.abc.temperature' ist bereits in $.datapoints[0] konfiguriert" }
+        ]);
+    });
+
+    test('two datapoints writing the same series', () => {
+        const cfg = base({ defaultTags: { site: 'home' } });
+        cfg.datapoints.push(
+            { id: 'b', measurement: 'temperature', tags: { location: 'Küche' } },
+            { id: 'c', measurement: 'temperature', location: 'Bad' }
+        );
+        expect(paths(validateConfig(cfg))).toEqual(['$.datapoints[1]']);
+    });
+
+    test('field type conflicts within a measurement', () => {
+        const cfg = base();
+        cfg.datapoints.push(
+            { id: 'a', measurement: 'state', type: 'boolean', location: 'a' },
+            { id: 'b', measurement: 'state', location: 'b' },
+            { id: 'c', measurement: 'state', type: 'float', location: 'c' }
+        );
+        expect(validateConfig(cfg).map(formatError)).toEqual([
+            "$.datapoints[3]: Feld 'value' in 'state' ist hier float, in $.datapoints[1] aber boolean"
+        ]);
+    });
+
+    test('a column cannot be tag and field in the same measurement', () => {
+        const cfg = base();
+        cfg.datapoints.push(
+            { id: 'a', measurement: 'power', aggregate: { window: '60s', functions: ['mean', 'max'] } },
+            { id: 'b', measurement: 'power', tags: { max: 'high' } }
+        );
+        expect(paths(validateConfig(cfg))).toEqual(['$.datapoints[2]']);
+    });
+
+    test('named targets instead of influx', () => {
+        const cfg = base({
+            targets: {
+                nas: { host: 'http://nas:8181', token: 't', database: 'iobroker' },
+                remote: { host: 'https://influx.example.com', token: 't', database: 'archive' }
+            },
+            defaultTargets: ['nas']
+        });
+        delete cfg.influx;
+        cfg.datapoints[0].targets = ['nas', { target: 'remote', database: 'longterm' }];
+        expect(validateConfig(cfg)).toEqual([]);
+    });
+
+    test('target names, hosts and references', () => {
+        const cfg = base({
+            targets: {
+                default: { host: 'http://a:1', token: 't', database: 'd' },
+                'my nas': { host: 'http://nas:PORT', token: 't', database: 'd' }
+            },
+            defaultTargets: ['remote']
+        });
+        cfg.datapoints[0].targets = ['default', { target: 'default', database: 'd' }, { target: 'x' }];
+        expect(paths(validateConfig(cfg))).toEqual([
+            '$.targets.default',
+            '$.targets["my nas"]',
+            '$.targets["my nas"].host',
+            '$.defaultTargets[0]',
+            '$.datapoints[0].targets[1]',
+            '$.datapoints[0].targets[2]'
+        ]);
+    });
+
+    test('same series on different targets is fine', () => {
+        const cfg = base({ targets: { remote: { host: 'http://r:8181', token: 't', database: 'd' } } });
+        cfg.datapoints[0].targets = ['default'];
+        cfg.datapoints.push({ id: 'b', measurement: 'temperature', location: 'Küche', targets: ['remote'] });
+        expect(validateConfig(cfg)).toEqual([]);
+        cfg.datapoints[1].targets = ['remote', 'default'];
+        expect(paths(validateConfig(cfg))).toEqual(['$.datapoints[1]']);
+    });
+
+    test('importFields for the converter', () => {
+        const cfg = base({ importFields: { from: 'drop', $comment: 'x' } });
+        cfg.datapoints[0].importFields = { ack: 'tag', q: 'keep', '*': 'drop' };
+        expect(validateConfig(cfg)).toEqual([]);
+
+        cfg.importFields = { value: 'drop', trigger: 'tag', q: 'rename' };
+        cfg.datapoints[0].importFields = { location: 'tag' };
+        expect(paths(validateConfig(cfg))).toEqual([
+            '$.importFields.q',
+            '$.importFields.value',
+            '$.importFields.trigger',
+            '$.datapoints[0].importFields.location'
+        ]);
+    });
+
+    test('importTags may set trigger but not time', () => {
+        const cfg = base({ importTags: { source: 'v2', trigger: 'gap', time: 'x' } });
+        expect(paths(validateConfig(cfg))).toEqual(['$.importTags.time']);
+        cfg.importTags = { source: 'v2', batch: '1' };
+        cfg.datapoints[0].importFields = { batch: 'tag' };
+        expect(paths(validateConfig(cfg))).toEqual(['$.datapoints[0].importFields.batch']);
+    });
+
+    test('an import field cannot be tag and field in the same measurement', () => {
+        const cfg = base();
+        cfg.datapoints[0].importFields = { ack: 'tag' };
+        cfg.datapoints.push({ id: 'b', measurement: 'temperature', location: 'Bad', importFields: { ack: 'keep' } });
+        expect(paths(validateConfig(cfg))).toEqual(['$.datapoints[0]']);
+    });
+
+    test('timestamp source, precision and plausibility limits', () => {
+        const cfg = base({ timestamps: { source: 'ts', precision: 'ms', maxFuture: 'off', maxAge: '30d', outOfRange: 'reject' } });
+        cfg.datapoints[0].timestampSource = 'receive';
+        expect(validateConfig(cfg)).toEqual([]);
+
+        const bad = base({ timestamps: { precision: 'min', maxAge: 'lang' } });
+        bad.datapoints[0].timestampSource = 'now';
+        expect(paths(validateConfig(bad))).toEqual(['$.datapoints[0].timestampSource', '$.timestamps.precision', '$.timestamps.maxAge']);
+    });
+
+    test('backfill needs a history instance', () => {
+        const cfg = base({ backfill: { instance: 'history.0', maxWindow: '6h', maxPoints: 1000 } });
+        cfg.datapoints[0].backfill = false;
+        expect(validateConfig(cfg)).toEqual([]);
+        expect(paths(validateConfig(base({ backfill: { maxWindow: '6h' } })))).toEqual(['$.backfill.instance']);
+        expect(paths(validateConfig(base({ backfill: { instance: 'history' } })))).toEqual(['$.backfill.instance']);
+    });
+
+    test('subscribe options and ack as tag or field', () => {
+        const cfg = base();
+        cfg.datapoints[0].subscribe = { change: 'any', ack: 'any', ackAs: 'field' };
+        expect(validateConfig(cfg)).toEqual([]);
+
+        cfg.datapoints[0].subscribe = { change: 'always', ack: 'yes' };
+        expect(paths(validateConfig(cfg))).toEqual(['$.datapoints[0].subscribe.change', '$.datapoints[0].subscribe.ack']);
+
+        cfg.datapoints[0].subscribe = { ackAs: 'tag' };
+        cfg.datapoints[0].tags = { ack: 'x' };
+        expect(validateConfig(cfg).map(formatError)).toEqual(["$.datapoints[0].tags.ack: Tag-Key 'ack' ist reserviert"]);
+
+        const agg = base();
+        agg.datapoints[0].aggregate = { window: '1m' };
+        agg.datapoints[0].subscribe = { ackAs: 'field' };
+        expect(paths(validateConfig(agg))).toEqual(['$.datapoints[0].subscribe.ackAs']);
+    });
+
+    test('ack field clashes with an ack tag of another datapoint', () => {
+        const cfg = base();
+        cfg.datapoints[0].subscribe = { ackAs: 'field' };
+        cfg.datapoints.push({ id: 'b', measurement: 'temperature', location: 'Bad', subscribe: { ackAs: 'tag' } });
+        expect(validateConfig(cfg).map(formatError)).toEqual([
+            "$.datapoints[1]: 'ack' ist in 'temperature' Tag und Feld zugleich (Feld aus $.datapoints[0])"
+        ]);
+    });
+
+    test('transform steps', () => {
+        const cfg = base();
+        cfg.datapoints[0].transform = [
+            { map: { open: 1, closed: 0, '*': -1 }, $comment: 'Fenster' },
+            { scale: 0.1 },
+            { offset: -40 },
+            { clamp: { min: 0 } },
+            { round: 2 },
+            { expr: 'value * 1.8 + 32' }
+        ];
+        expect(validateConfig(cfg)).toEqual([]);
+
+        cfg.datapoints[0].transform = [
+            {},
+            { scale: 2, offset: 1 },
+            { clamp: { min: 10, max: 0 } },
+            { round: 1.5 },
+            { expr: 'value *' },
+            { map: { on: [1] } }
+        ];
+        expect(validateConfig(cfg).map(formatError)).toEqual([
+            '$.datapoints[0].transform[3].round: muss vom Typ integer sein',
+            '$.datapoints[0].transform[5].map.on: muss vom Typ number/string/boolean sein',
+            '$.datapoints[0].transform[0]: braucht genau einen von map/scale/offset/round/clamp/expr',
+            '$.datapoints[0].transform[1]: braucht genau einen von map/scale/offset/round/clamp/expr',
+            "$.datapoints[0].transform[2].clamp: 'min' ist größer als 'max'",
+            expect.stringMatching(/^\$\.datapoints\[0\]\.transform\[4\]\.expr: ungültiger Ausdruck/)
+        ]);
+    });
+
+    test('rollup jobs', () => {
+        const cfg = base({
+            rollups: [
+                { name: 'hourly', measurements: ['temperature', 'power'], window: '1h', functions: ['mean', 'max'] },
+                { name: 'daily', measurements: ['temperature'], window: '1d', groupBy: ['location'], catchUp: 'off', target: 'default' }
+            ]
+        });
+        expect(validateConfig(cfg)).toEqual([]);
+
+        const bad = base({
+            rollups: [
+                { name: 'hourly', measurements: ['temperature'], window: '30s', functions: ['avg'] },
+                { name: 'hourly', measurements: ['temperature'], window: '1h', suffix: '_30s', target: 'archive', groupBy: ['trigger'] },
+                { name: 'x y', measurements: [] }
+            ]
+        });
+        expect(validateConfig(bad).map(formatError)).toEqual([
+            '$.rollups[0].functions[0]: muss einer von mean/min/max/last/count/sum sein',
+            '$.rollups[2].window: fehlt',
+            '$.rollups[2].name: darf nur Buchstaben, Ziffern, _ und - enthalten',
+            '$.rollups[2].measurements: braucht mindestens 1 Eintrag/Einträge',
+            '$.rollups[0].window: muss mindestens 1m sein',
+            "$.rollups[1].name: 'hourly' ist bereits in $.rollups[0] vergeben",
+            "$.rollups[1].target: Ziel 'archive' ist nicht konfiguriert",
+            '$.rollups[1].groupBy: time/trigger setzt der Rollup selbst',
+            "$.rollups[1].measurements: Zieltabelle 'temperature_30s' schreibt schon $.rollups[0]"
+        ]);
+    });
+
+    test('stale and plausibility alerts', () => {
+        const cfg = base({ alerts: { notify: ['telegram.0', { instance: 'pushover.0', command: 'send' }], repeat: '12h', write: true } });
+        cfg.datapoints[0].staleAfter = '2h';
+        cfg.datapoints[0].plausible = { min: -30, max: 60 };
+        expect(validateConfig(cfg)).toEqual([]);
+
+        const bad = base({ alerts: { notify: ['telegram', { command: 'send' }], write: true, measurement: 'temperature' } });
+        bad.datapoints[0].staleAfter = '10s';
+        bad.datapoints[0].plausible = { min: 60, max: -30 };
+        bad.datapoints.push({ id: 'b', measurement: 'power', plausible: {} });
+        expect(validateConfig(bad).map(formatError)).toEqual([
+            '$.alerts.notify[0]: muss eine Instanz wie "telegram.0" oder { instance, command } sein',
+            '$.alerts.notify[1].instance: fehlt',
+            "$.alerts.measurement: 'temperature' ist schon Measurement von $.datapoints[0]",
+            '$.datapoints[0].staleAfter: muss mindestens 1m sein',
+            "$.datapoints[0].plausible: 'min' ist größer als 'max'",
+            "$.datapoints[1].plausible: braucht 'min' und/oder 'max'"
+        ]);
+    });
+
+    test('non-object input', () => {
+        expect(validateConfig(null)).toEqual([{ path: '$', message: 'muss vom Typ object sein' }]);
+    });
+});
+
+describe('datapointErrors', () => {
+    test('checks a runtime datapoint against the same rules', () => {
+        expect(datapointErrors({ id: 'x', measurement: 'm', type: 'decimal', heartbeat: '1s' }).map(formatError)).toEqual([
+            '$.type: muss einer von auto/float/integer/boolean/string sein',
+            '$.heartbeat: muss mindestens 10s sein'
+        ]);
+    });
+
+    test('valid datapoint', () => {
+        expect(datapointErrors({ id: 'x', measurement: 'm', aggregate: { window: '1m', functions: ['sum'] } })).toEqual([]);
+    });
+});
+
+describe('config.schema.json', () => {
+    test('enums match the implementation', () => {
+        const dp = SCHEMA.definitions.datapoint.properties;
+        expect(SCHEMA.definitions.aggregate.properties.functions.items.enum).toEqual(Object.keys(AGGREGATE_FUNCTIONS));
+        expect(SCHEMA.properties.queue.properties.dropPolicy.enum).toEqual(DROP_POLICIES);
+        expect(Object.keys(SCHEMA.definitions.selector.properties)).toEqual(SELECTOR_KEYS);
+        expect(dp.type.enum).toEqual(['auto', 'float', 'integer', 'boolean', 'string']);
+        const ts = SCHEMA.properties.timestamps.properties;
+        expect(ts.precision.enum).toEqual(Object.keys(PRECISIONS));
+        expect(ts.outOfRange.enum).toEqual(OUT_OF_RANGE);
+        expect(SCHEMA.definitions.timestampSource.enum).toEqual(TIME_SOURCES);
+        expect(SCHEMA.properties.state.properties.store.enum).toEqual(STATE_STORES);
+        expect(SCHEMA.properties.state.properties.startupWrite.enum).toEqual(STARTUP_WRITES);
+        expect(Object.keys(SCHEMA.definitions.transformStep.properties)).toEqual(TRANSFORM_STEPS);
+        expect(SCHEMA.definitions.rollup.properties.functions.items.enum).toEqual(Object.keys(ROLLUP_FUNCTIONS));
+    });
+});
+
+describe('config.sample.json', () => {
+    test('passes validation as shipped', () => {
+        const { config, errors } = loadConfigFile(path.join(__dirname, '..', 'config.sample.json'));
+        expect(errors.map(formatError)).toEqual([]);
+        expect(config.datapoints.length).toBeGreaterThan(0);
+    });
+});
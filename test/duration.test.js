@@ -0,0 +1,28 @@
+const { parseDuration, formatDuration } = require('../lib/duration');
+
+describe('parseDuration', () => {
+    test('parses supported units', () => {
+        expect(parseDuration('500ms')).toBe(500);
+        expect(parseDuration('30s')).toBe(30_000);
+        expect(parseDuration('5m')).toBe(300_000);
+        expect(parseDuration('1h')).toBe(3_600_000);
+        expect(parseDuration('1.5h')).toBe(5_400_000);
+        expect(parseDuration('2d')).toBe(172_800_000);
+    });
+
+    test('returns 0 for off and null for invalid input', () => {
+        expect(parseDuration('off')).toBe(0);
+        expect(parseDuration(false)).toBe(0);
+        expect(parseDuration('5x')).toBeNull();
+        expect(parseDuration(60)).toBeNull();
+        expect(parseDuration(undefined)).toBeNull();
+    });
+});
+
+describe('formatDuration', () => {
+    test('formats compound durations', () => {
+        expect(formatDuration(90_000)).toBe('1m30s');
+        expect(formatDuration(3_600_000)).toBe('1h');
+        expect(formatDuration(0)).toBe('off');
+    });
+});
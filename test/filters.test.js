@@ -0,0 +1,141 @@
+const { deadbandReason, crossesThreshold, subscribeOptions, ackMatches, createPendingValues, createDeadlines } = require('../lib/filters');
+
+describe('deadbandReason', () => {
+    test('absolute minDelta', () => {
+        expect(deadbandReason({ minDelta: 0.5 }, 10.2, 10)).toBe('minDelta');
+        expect(deadbandReason({ minDelta: 0.5 }, 10.5, 10)).toBeNull();
+    });
+
+    test('percentage deadband relative to last written value', () => {
+        expect(deadbandReason({ minDeltaPercent: 5 }, 104, 100)).toBe('minDeltaPercent');
+        expect(deadbandReason({ minDeltaPercent: 5 }, 95, 100)).toBeNull();
+        expect(deadbandReason({ minDeltaPercent: 5 }, -104, -100)).toBe('minDeltaPercent');
+    });
+
+    test('percentage deadband with zero baseline', () => {
+        expect(deadbandReason({ minDeltaPercent: 5 }, 0, 0)).toBe('minDeltaPercent');
+        expect(deadbandReason({ minDeltaPercent: 5 }, 0.001, 0)).toBeNull();
+    });
+
+    test('no filters configured', () => {
+        expect(deadbandReason({}, 1, 1)).toBeNull();
+    });
+});
+
+describe('crossesThreshold', () => {
+    test('detects crossings in both directions', () => {
+        expect(crossesThreshold(19.9, 20.1, [20])).toBe(true);
+        expect(crossesThreshold(20.1, 19.9, [20])).toBe(true);
+        expect(crossesThreshold(19, 20, [20])).toBe(true);
+    });
+
+    test('ignores movements that stay on one side', () => {
+        expect(crossesThreshold(21, 25, [20, 30])).toBe(false);
+        expect(crossesThreshold(1, 2, undefined)).toBe(false);
+    });
+});
+
+describe('subscribeOptions', () => {
+    test('only acknowledged changes by default', () => {
+        expect(subscribeOptions({ id: 'a' })).toEqual({ id: 'a', change: 'ne', ack: true });
+    });
+
+    test('every update, commands or both', () => {
+        expect(subscribeOptions({ id: 'a', subscribe: { change: 'any' } })).toEqual({ id: 'a', change: 'any', ack: true });
+        expect(subscribeOptions({ id: 'a', subscribe: { ack: false } })).toEqual({ id: 'a', change: 'ne', ack: false });
+        expect(subscribeOptions({ id: 'a', subscribe: { ack: 'any', ackAs: 'tag' } })).toEqual({ id: 'a', change: 'ne' });
+    });
+});
+
+describe('ackMatches', () => {
+    test('missing ack counts as acknowledged', () => {
+        expect(ackMatches(undefined)).toBe(true);
+        expect(ackMatches(false)).toBe(false);
+        expect(ackMatches(undefined, false)).toBe(false);
+        expect(ackMatches(false, false)).toBe(true);
+        expect(ackMatches(false, 'any')).toBe(true);
+    });
+});
+
+describe('createPendingValues', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    const setup = () => {
+        const skips = [];
+        const written = [];
+        const pending = createPendingValues('minInterval', (id, reason) => skips.push(`${id}/${reason}`));
+        const hold = (val, delay = 1000) => pending.hold('a', { val }, delay, (e) => written.push(e.val));
+        return { pending, skips, written, hold };
+    };
+
+    test('a held value written by the timer is not counted as skipped', () => {
+        const { skips, written, hold } = setup();
+        hold(1);
+        jest.advanceTimersByTime(1000);
+        expect(written).toEqual([1]);
+        expect(skips).toEqual([]);
+    });
+
+    test('only values replaced by a newer one are counted', () => {
+        const { pending, skips, written, hold } = setup();
+        hold(1);
+        hold(2);
+        pending.replace('a'); // neuer Wert, der sofort geschrieben wird
+        pending.replace('a'); // nichts mehr gehalten
+        hold(3);
+        jest.advanceTimersByTime(1000);
+        expect(written).toEqual([3]);
+        expect(skips).toEqual(['a/minInterval', 'a/minInterval']);
+    });
+
+    test('drop and takeAll do not count', () => {
+        const { pending, skips, written, hold } = setup();
+        hold(1);
+        pending.drop('a');
+        hold(2);
+        expect(pending.takeAll()).toEqual([['a', { val: 2 }]]);
+        jest.advanceTimersByTime(1000);
+        expect(written).toEqual([]);
+        expect(skips).toEqual([]);
+    });
+});
+
+describe('createDeadlines', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('fires once the interval passes without a write, even without new events', () => {
+        const due = [];
+        const deadlines = createDeadlines((id) => due.push(id));
+        deadlines.reset('a', 15 * 60_000);
+        jest.advanceTimersByTime(15 * 60_000 - 1);
+        expect(due).toEqual([]);
+        jest.advanceTimersByTime(1);
+        expect(due).toEqual(['a']);
+        expect(deadlines.has('a')).toBe(false);
+    });
+
+    test('every write resets the timer', () => {
+        const due = [];
+        const deadlines = createDeadlines((id) => due.push(id));
+        deadlines.reset('a', 1000);
+        jest.advanceTimersByTime(900);
+        deadlines.reset('a', 1000); // geschrieben
+        jest.advanceTimersByTime(900);
+        expect(due).toEqual([]);
+        jest.advanceTimersByTime(100);
+        expect(due).toEqual(['a']);
+    });
+
+    test('clear and a missing interval stop the timer', () => {
+        const due = [];
+        const deadlines = createDeadlines((id) => due.push(id));
+        deadlines.reset('a', 1000);
+        deadlines.clear('a');
+        deadlines.reset('b', 1000);
+        deadlines.reset('b', undefined);
+        jest.advanceTimersByTime(5000);
+        expect(due).toEqual([]);
+    });
+});
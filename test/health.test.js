@@ -0,0 +1,150 @@
+const { HEALTH_STATES, TARGET_STATES, safeId, perMinute, healthValues, skipTotals, rollupProcessedUntil } = require('../lib/health');
+const { BASE_FLUSH_MS } = require('../lib/target');
+
+const NOW = 1_700_000_000_000;
+const health = (extra = {}) => ({
+    connected: true, since: NOW - 60_000, writes: 0, errors: 0,
+    lastWriteTs: 0, lastError: '', lastErrorCode: '', lastErrorTs: 0, ...extra
+});
+const target = (name, h = {}, queue = {}, flushDelay = BASE_FLUSH_MS) => ({
+    name,
+    health: health(h),
+    flushDelay,
+    journal: { stats: () => ({ entries: 0, bytes: 0, dropped: 0, ...queue }) }
+});
+
+describe('perMinute', () => {
+    test('counts per minute since the last reset', () => {
+        expect(perMinute(120, NOW - 120_000, NOW)).toBe(60);
+        expect(perMinute(30, NOW - 30_000, NOW)).toBe(60);
+    });
+
+    test('a fresh reset counts as at least one second', () => {
+        expect(perMinute(5, NOW, NOW)).toBe(300);
+        expect(perMinute(5, NOW - 100, NOW)).toBe(300);
+    });
+});
+
+describe('healthValues', () => {
+    test('without targets: not connected, defaults everywhere', () => {
+        const { values, targets } = healthValues([], NOW);
+        expect(targets).toEqual([]);
+        expect(values['info.connected']).toBe(false);
+        expect(values['info.lastError']).toBe('');
+        expect(values['info.lastErrorTime']).toBe(0);
+        expect(values['queue.flushDelay']).toBe(0);
+        expect(values['datapoints.active']).toBe(0);
+        expect(values['timestamps.rejected']).toBe(0);
+    });
+
+    test('every key matches a declared state', () => {
+        const { values, targets } = healthValues([target('a')], NOW);
+        expect(Object.keys(values).sort()).toEqual(Object.keys(HEALTH_STATES).sort());
+        expect(Object.keys(targets[0].values).sort()).toEqual(Object.keys(TARGET_STATES).sort());
+    });
+
+    test('connected only when every target is connected', () => {
+        expect(healthValues([target('a'), target('b')], NOW).values['info.connected']).toBe(true);
+        expect(healthValues([target('a'), target('b', { connected: false })], NOW).values['info.connected']).toBe(false);
+        // noch kein Write → connected ist null
+        expect(healthValues([target('a', { connected: null })], NOW).values['info.connected']).toBe(false);
+    });
+
+    test('queue sums over targets, flushDelay of the slowest one', () => {
+        const { values } = healthValues([
+            target('a', {}, { entries: 3, bytes: 300, dropped: 1 }, 5_000),
+            target('b', {}, { entries: 2, bytes: 50, dropped: 0 }, 40_000)
+        ], NOW);
+        expect(values['queue.entries']).toBe(5);
+        expect(values['queue.bytes']).toBe(350);
+        expect(values['queue.dropped']).toBe(1);
+        expect(values['queue.flushDelay']).toBe(40_000);
+    });
+
+    test('rates are summed and rounded per minute', () => {
+        const { values, targets } = healthValues([
+            target('a', { writes: 100, errors: 1, since: NOW - 120_000 }),
+            target('b', { writes: 31, errors: 2, since: NOW - 60_000 })
+        ], NOW);
+        expect(values['rates.writesPerMinute']).toBe(81);
+        expect(values['rates.errorsPerMinute']).toBe(3);
+        expect(targets.map((t) => t.values.writesPerMinute)).toEqual([50, 31]);
+    });
+
+    test('last error is the most recent one across targets', () => {
+        const { values } = healthValues([
+            target('a', { lastError: 'alt', lastErrorCode: '500', lastErrorTs: NOW - 10_000 }),
+            target('b', { lastError: 'neu', lastErrorCode: 'ECONNREFUSED', lastErrorTs: NOW - 1_000 }),
+            target('c')
+        ], NOW);
+        expect(values['info.lastError']).toBe('[b] neu');
+        expect(values['info.lastErrorCode']).toBe('ECONNREFUSED');
+        expect(values['info.lastErrorTime']).toBe(NOW - 1_000);
+    });
+
+    test('last write is the latest across targets', () => {
+        const { values } = healthValues([target('a', { lastWriteTs: NOW - 500 }), target('b', { lastWriteTs: NOW - 50 })], NOW);
+        expect(values['info.lastWrite']).toBe(NOW - 50);
+    });
+
+    test('datapoints and timestamp counters are passed through', () => {
+        const { values } = healthValues([target('a')], NOW,
+            { datapoints: 12, timestampCounts: { invalid: 1, clamped: 2, rejected: 3 } });
+        expect(values['datapoints.active']).toBe(12);
+        expect(values['timestamps.invalid']).toBe(1);
+        expect(values['timestamps.clamped']).toBe(2);
+        expect(values['timestamps.rejected']).toBe(3);
+    });
+
+    test('per-target values', () => {
+        const { targets } = healthValues([
+            target('main', { connected: false, lastWriteTs: NOW - 5, lastError: 'timeout', lastErrorTs: NOW - 1 }, { entries: 4 }, 20_000)
+        ], NOW);
+        expect(targets).toEqual([{
+            name: 'main',
+            values: {
+                connected: false,
+                lastWrite: NOW - 5,
+                lastError: 'timeout',
+                lastErrorTime: NOW - 1,
+                queueEntries: 4,
+                flushDelay: 20_000,
+                writesPerMinute: 0
+            }
+        }]);
+    });
+});
+
+describe('skipTotals', () => {
+    test('sums every reason over all datapoints', () => {
+        const counts = new Map([
+            ['a.0.x', { deadband: 2, minInterval: 1 }],
+            ['a.0.y', { deadband: 3, type: 1 }]
+        ]);
+        expect(skipTotals(counts.values(), ['deadband', 'minInterval', 'type', 'ack']))
+            .toEqual({ deadband: 5, minInterval: 1, type: 1, ack: 0 });
+    });
+
+    test('no datapoints → all zero', () => {
+        expect(skipTotals([], ['deadband'])).toEqual({ deadband: 0 });
+    });
+});
+
+describe('rollupProcessedUntil', () => {
+    test('per job the oldest end of all measurements', () => {
+        expect(rollupProcessedUntil({
+            hourly: { temperature: 3_600_000, humidity: 7_200_000 },
+            daily: { temperature: 86_400_000 }
+        })).toEqual({ hourly: 3_600_000, daily: 86_400_000 });
+    });
+
+    test('jobs without progress are left out', () => {
+        expect(rollupProcessedUntil({ hourly: {} })).toEqual({});
+        expect(rollupProcessedUntil()).toEqual({});
+    });
+});
+
+test('safeId replaces everything but letters, digits, _ and -', () => {
+    expect(safeId('hm-rpc.0.ABC123.1.TEMPERATURE')).toBe('hm-rpc_0_ABC123_1_TEMPERATURE');
+    expect(safeId('zigbee.0.00158d0001 temp')).toBe('zigbee_0_00158d0001_temp');
+});
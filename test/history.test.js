@@ -0,0 +1,107 @@
+const { normalizeOptions, buildHistoryQuery, mapHistoryRows, toMs } = require('../lib/history');
+
+const dp = {
+    id: 'zigbee.0.abc.temperature',
+    measurement: 'temperature',
+    location: "Kid's room",
+    sensor_id: 'abc'
+};
+const START = Date.UTC(2025, 0, 1);
+const END = START + 3_600_000;
+
+describe('normalizeOptions', () => {
+    test('applies history adapter defaults', () => {
+        const opts = normalizeOptions({ end: END });
+        expect(opts.start).toBe(END - 86_400_000);
+        expect(opts.aggregate).toBe('average');
+        expect(opts.count).toBe(500);
+        expect(opts.step).toBe(Math.ceil(86_400_000 / 500));
+    });
+
+    test('keeps an explicit step', () => {
+        expect(normalizeOptions({ start: START, end: END, step: 60_000 }).step).toBe(60_000);
+    });
+});
+
+describe('buildHistoryQuery', () => {
+    test('raw values with tag filters and escaping', () => {
+        const { sql } = buildHistoryQuery(dp, { start: START, end: END, aggregate: 'none', count: 10 });
+        expect(sql).toBe(
+            'SELECT time, "value" AS val FROM "temperature" WHERE time >= \'2025-01-01T00:00:00.000Z\'' +
+            ' AND time <= \'2025-01-01T01:00:00.000Z\' AND "value" IS NOT NULL' +
+            ' AND "sensor_id" = \'abc\' AND "location" = \'Kid\'\'s room\' ORDER BY time ASC LIMIT 10'
+        );
+    });
+
+    test('filters on default tags and the tag map', () => {
+        const { sql } = buildHistoryQuery({ ...dp, tags: { floor: 1 } }, { start: START, end: END, aggregate: 'none' }, { site: 'home' });
+        expect(sql).toContain('"site" = \'home\' AND "sensor_id" = \'abc\' AND "location" = \'Kid\'\'s room\' AND "floor" = \'1\'');
+    });
+
+    test('returnNewestEntries sorts descending', () => {
+        const { sql } = buildHistoryQuery(dp, { start: START, end: END, aggregate: 'none', count: 5, returnNewestEntries: true });
+        expect(sql).toMatch(/ORDER BY time DESC LIMIT 5$/);
+    });
+
+    test('bucketed aggregates use date_bin', () => {
+        const { sql } = buildHistoryQuery(dp, { start: START, end: END, aggregate: 'total', step: 60_000 });
+        expect(sql).toMatch(/^SELECT date_bin\(INTERVAL '60000 milliseconds', time, TIMESTAMP '1970-01-01T00:00:00Z'\) AS bucket, sum\("value"\) AS val/);
+        expect(sql).toMatch(/GROUP BY 1 ORDER BY 1$/);
+    });
+
+    test('minmax uses selector functions', () => {
+        const { sql } = buildHistoryQuery(dp, { start: START, end: END, aggregate: 'minmax' });
+        expect(sql).toContain('selector_min("value", time) AS min_sel');
+        expect(sql).toContain('selector_max("value", time) AS max_sel');
+    });
+
+    test('aggregated datapoints read the mean field', () => {
+        const { sql } = buildHistoryQuery({ ...dp, aggregate: { window: '60s' } }, { start: START, end: END, aggregate: 'max' });
+        expect(sql).toContain('max("mean") AS val');
+    });
+
+    test('rejects unsupported requests', () => {
+        expect(() => buildHistoryQuery(dp, { aggregate: 'percentile' })).toThrow(/nicht unterstützt/);
+        expect(() => buildHistoryQuery({ ...dp, type: 'string' }, { aggregate: 'average' })).toThrow(/numerische/);
+        expect(() => buildHistoryQuery(dp, { start: END, end: START })).toThrow(/start/);
+    });
+});
+
+describe('mapHistoryRows', () => {
+    test('maps raw rows and converts timestamps', () => {
+        const rows = [{ time: new Date(START), val: 1.234 }, { time: BigInt(START + 1000) * 1_000_000n, val: 2 }];
+        expect(mapHistoryRows(rows, { aggregate: 'none', round: 1 })).toEqual([
+            { val: 1.2, ts: START },
+            { val: 2, ts: START + 1000 }
+        ]);
+    });
+
+    test('reverses newest-first results', () => {
+        const rows = [{ time: START + 1000, val: 2 }, { time: START, val: 1 }];
+        expect(mapHistoryRows(rows, { aggregate: 'none', returnNewestEntries: true }).map((p) => p.val)).toEqual([1, 2]);
+    });
+
+    test('aggregates are stamped at the bucket middle', () => {
+        const rows = [{ bucket: START, val: 5n }];
+        expect(mapHistoryRows(rows, { aggregate: 'count', step: 60_000 })).toEqual([{ val: 5, ts: START + 30_000 }]);
+    });
+
+    test('minmax emits both points in time order', () => {
+        const rows = [{
+            bucket: START,
+            min_sel: { value: 1, time: START + 20_000 },
+            max_sel: { value: 9, time: START + 5_000 }
+        }];
+        expect(mapHistoryRows(rows, { aggregate: 'minmax', step: 60_000 })).toEqual([
+            { val: 9, ts: START + 5_000 },
+            { val: 1, ts: START + 20_000 }
+        ]);
+    });
+});
+
+describe('toMs', () => {
+    test('handles nanosecond numbers and strings', () => {
+        expect(toMs(START * 1e6)).toBe(START);
+        expect(toMs('2025-01-01T00:00:00Z')).toBe(START);
+    });
+});
@@ -1,8 +1,15 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
 const mockWrite = jest.fn();
+const mockQuery = jest.fn();
 
 jest.mock('@influxdata/influxdb3-client', () => ({
     InfluxDBClient: jest.fn().mockImplementation(() => ({
         write: mockWrite,
+        query: mockQuery,
         close: jest.fn()
     }))
 }));
@@ -27,6 +34,12 @@ describe('writeWithRetry', () => {
         expect(mockWrite).toHaveBeenCalledTimes(1);
     });
 
+    test('does not retry permanent errors', async () => {
+        mockWrite.mockRejectedValue(Object.assign(new Error('parse error'), { statusCode: 400 }));
+        await expect(writeWithRetry(['line'])).rejects.toThrow('parse error');
+        expect(mockWrite).toHaveBeenCalledTimes(1);
+    });
+
     test('retries on failure and eventually resolves', async () => {
         mockWrite
             .mockRejectedValueOnce(new Error('fail'))
@@ -45,4 +58,117 @@ describe('writeWithRetry', () => {
         expect(mockWrite).toHaveBeenCalledTimes(2);
         await expect(promise).resolves.toBe('ok');
     });
-});
\ No newline at end of file
+});
+describe('importFile checkpoints', () => {
+    let dir, importFile;
+    const lines = Array.from({ length: 7 }, (_, i) => `m v=${i + 1} ${i + 1}`);
+    const env = { ...process.env };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+        Object.assign(process.env, { BATCH_SIZE: '2', CONCURRENCY: '2', THROTTLE_MS: '0', RETRIES: '0', CONFIG_PATH: path.join(dir, 'none.json') });
+        jest.resetModules();
+        mockWrite.mockReset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        ({ importFile } = require('../migrate_v2_to_v3/influxdb3_client'));
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const sent = () => mockWrite.mock.calls.flatMap(([batch]) => batch);
+
+    test('a complete import removes the checkpoint', async () => {
+        const file = path.join(dir, 'export.lp');
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+        await expect(importFile(file)).resolves.toEqual({ written: 7, rejected: 0, resumedFrom: 0, lines: 7 });
+        expect(sent()).toEqual(lines);
+        expect(fs.existsSync(`${file}.checkpoint.json`)).toBe(false);
+    });
+
+    test.each(['export.lp', 'export.lp.gz'])('resumes %s after the last fully acknowledged batch', async (name) => {
+        const file = path.join(dir, name);
+        const text = lines.join('\n') + '\n';
+        fs.writeFileSync(file, name.endsWith('.gz') ? zlib.gzipSync(text) : text);
+
+        // Batch 2 (Zeilen 3–4) scheitert, Batch 3 (5–6) läuft parallel und kommt durch
+        mockWrite.mockImplementation(async (batch) => {
+            if (batch.includes(lines[2])) throw new Error('400 Bad Request');
+        });
+        await expect(importFile(file)).rejects.toThrow('400 Bad Request');
+        const cp = JSON.parse(fs.readFileSync(`${file}.checkpoint.json`, 'utf8'));
+        expect(cp).toMatchObject({ line: 2, offset: lines[0].length + lines[1].length + 2 });
+
+        mockWrite.mockReset();
+        await expect(importFile(file, { resume: true })).resolves.toEqual({ written: 5, rejected: 0, resumedFrom: 2, lines: 7 });
+        expect(sent()).toEqual(lines.slice(2));
+        expect(fs.existsSync(`${file}.checkpoint.json`)).toBe(false);
+    });
+
+    test('bisects a permanently failing batch and rejects only the bad lines', async () => {
+        process.env.BATCH_SIZE = '7';
+        jest.resetModules();
+        ({ importFile } = require('../migrate_v2_to_v3/influxdb3_client'));
+        const file = path.join(dir, 'export.lp');
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+        const bad = [lines[1], lines[5]];
+        mockWrite.mockImplementation(async (batch) => {
+            const hit = batch.find((l) => bad.includes(l));
+            if (hit) throw Object.assign(new Error('bad'), { statusCode: 400, json: { error: `invalid column type for '${hit}'` } });
+        });
+
+        await expect(importFile(file)).resolves.toEqual({ written: 5, rejected: 2, resumedFrom: 0, lines: 7 });
+        expect(fs.readFileSync(path.join(dir, 'rejected.lp'), 'utf8')).toBe(
+            "# Zeile 2: 400: invalid column type for 'm v=2 2'\nm v=2 2\n" +
+            "# Zeile 6: 400: invalid column type for 'm v=6 6'\nm v=6 6\n"
+        );
+        const accepted = mockWrite.mock.calls.map(([b]) => b).filter((b) => !b.some((l) => bad.includes(l)));
+        expect(accepted.flat().sort()).toEqual(lines.filter((l) => !bad.includes(l)).sort());
+    });
+
+    test('fatal errors abort instead of bisecting', async () => {
+        const file = path.join(dir, 'export.lp');
+        fs.writeFileSync(file, lines.join('\n'));
+        mockWrite.mockRejectedValue(Object.assign(new Error('unauthorized'), { statusCode: 401 }));
+        await expect(importFile(file)).rejects.toThrow('unauthorized');
+        expect(mockWrite).toHaveBeenCalledTimes(1);
+        expect(fs.existsSync(path.join(dir, 'rejected.lp'))).toBe(false);
+    });
+
+    test('refuses a checkpoint of a different file', async () => {
+        const file = path.join(dir, 'export.lp');
+        fs.writeFileSync(file, lines.join('\n'));
+        fs.writeFileSync(`${file}.checkpoint.json`, JSON.stringify({ version: 1, size: 1, mtimeMs: 0, line: 1, offset: 5 }));
+        await expect(importFile(file, { resume: true })).rejects.toThrow(/passt nicht/);
+        expect(mockWrite).not.toHaveBeenCalled();
+    });
+
+    test('dry run analyses a gzipped file without writing', async () => {
+        const { dryRun } = require('../migrate_v2_to_v3/influxdb3_client');
+        const file = path.join(dir, 'export.lp.gz');
+        const ts = '1715000000000000000';
+        fs.writeFileSync(file, zlib.gzipSync(`m v=1 ${ts}\nm v=2i ${ts.replace(/0$/, '1')}\n`));
+        const result = await dryRun(file);
+        expect(result.points).toBe(2);
+        expect(result.blocking).toEqual(['1 Felder mit mehreren Typen']);
+        expect(mockWrite).not.toHaveBeenCalled();
+    });
+
+    test('verify compares the file with the query results', async () => {
+        const { verify } = require('../migrate_v2_to_v3/influxdb3_client');
+        const file = path.join(dir, 'export.lp');
+        fs.writeFileSync(file, 'm value=1 1715000000000000000\nm value=2 1715000001000000000\n');
+        mockQuery.mockImplementation(async function* () {
+            yield { count: 2n, first: new Date(1715000000000), last: new Date(1715000001000), sum: 3, min: 1, max: 1 };
+        });
+        const { mismatches, results } = await verify(file);
+        expect(mockQuery).toHaveBeenCalledTimes(1);
+        expect(mismatches).toBe(1);
+        expect(results[0].checks.filter(c => !c.ok).map(c => c.metric)).toEqual(['max']);
+    });
+});
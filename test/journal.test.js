@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal } = require('../lib/journal');
+
+describe('journal', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const segmentFiles = () => fs.readdirSync(dir).filter((f) => f.endsWith('.ndjson')).sort();
+
+    test('appends entries as NDJSON and rotates segments', async () => {
+        const j = createJournal({ dir, segmentEntries: 2 });
+        await j.init();
+        for (let i = 0; i < 5; i++) await j.append({ i });
+
+        expect(segmentFiles()).toEqual(['segment-000001.ndjson', 'segment-000002.ndjson', 'segment-000003.ndjson']);
+        expect(fs.readFileSync(path.join(dir, 'segment-000001.ndjson'), 'utf8')).toBe('{"i":0}\n{"i":1}\n');
+        expect(j.stats()).toMatchObject({ entries: 5, segments: 3, dropped: 0 });
+    });
+
+    test('deletes a segment only after commit', async () => {
+        const j = createJournal({ dir, segmentEntries: 10 });
+        await j.init();
+        await j.append({ a: 1 });
+
+        const seg = await j.peek();
+        expect(seg.entries).toEqual([{ a: 1 }]);
+
+        // new entries go to a new segment while the batch is in flight
+        await j.append({ a: 2 });
+        expect(segmentFiles()).toHaveLength(2);
+
+        await j.commit(seg);
+        expect(segmentFiles()).toEqual(['segment-000002.ndjson']);
+        expect((await j.peek()).entries).toEqual([{ a: 2 }]);
+    });
+
+    test('recovers after restart and skips a torn last line', async () => {
+        fs.writeFileSync(path.join(dir, 'segment-000004.ndjson'), '{"a":1}\n{"a":2}\n{"a":');
+        const j = createJournal({ dir });
+        await j.init();
+
+        expect(j.stats()).toMatchObject({ entries: 2, corrupt: 1 });
+        await j.append({ a: 3 });
+        expect(segmentFiles()).toEqual(['segment-000004.ndjson', 'segment-000005.ndjson']);
+    });
+
+    test('drops oldest segments when over the entry cap', async () => {
+        const onDrop = jest.fn();
+        const j = createJournal({ dir, segmentEntries: 2, maxEntries: 4, onDrop });
+        await j.init();
+        for (let i = 0; i < 5; i++) await j.append({ i });
+
+        expect(onDrop).toHaveBeenCalledWith(2, 'oldest');
+        expect(j.stats()).toMatchObject({ entries: 3, dropped: 2 });
+        expect((await j.peek()).entries).toEqual([{ i: 2 }, { i: 3 }]);
+    });
+
+    test('keeps a batch together in one segment', async () => {
+        const j = createJournal({ dir, segmentEntries: 3 });
+        await j.init();
+        await j.append({ i: 0 });
+        await j.appendMany([{ i: 1 }, { i: 2 }, { i: 3 }]);
+
+        expect(segmentFiles()).toEqual(['segment-000001.ndjson', 'segment-000002.ndjson']);
+        expect(fs.readFileSync(path.join(dir, 'segment-000002.ndjson'), 'utf8')).toBe('{"i":1}\n{"i":2}\n{"i":3}\n');
+    });
+
+    test('rejects newest entries with the newest policy', async () => {
+        const j = createJournal({ dir, maxEntries: 2, dropPolicy: 'newest' });
+        await j.init();
+        expect(await j.append({ i: 0 })).toBe(true);
+        expect(await j.append({ i: 1 })).toBe(true);
+        expect(await j.append({ i: 2 })).toBe(false);
+
+        expect(j.stats()).toMatchObject({ entries: 2, dropped: 1 });
+    });
+});
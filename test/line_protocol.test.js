@@ -0,0 +1,296 @@
+const {
+    escapeMeasurement,
+    escapeKey,
+    escapeStringField,
+    formatTags,
+    formatFieldValue,
+    coerceValue,
+    formatFields,
+    buildLine,
+    parseLine,
+    datapointTags
+} = require('../lib/line_protocol');
+
+describe('escaping', () => {
+    test('measurement escapes comma and space but not equals', () => {
+        expect(escapeMeasurement('my meas,x=1')).toBe('my\\ meas\\,x=1');
+    });
+
+    test('tag keys/values and field keys escape comma, equals and space', () => {
+        expect(escapeKey('a b,c=d')).toBe('a\\ b\\,c\\=d');
+    });
+
+    test('non-string values are stringified instead of crashing', () => {
+        expect(escapeKey(42)).toBe('42');
+        expect(escapeKey(true)).toBe('true');
+        expect(escapeMeasurement(7)).toBe('7');
+    });
+
+    test('newlines in identifiers are written as \\n', () => {
+        expect(escapeKey('a\nb')).toBe('a\\nb');
+        expect(escapeMeasurement('a\r\nb')).toBe('a\\nb');
+    });
+
+    test('newlines in string fields are kept', () => {
+        expect(escapeStringField('line1\nline2')).toBe('line1\nline2');
+    });
+
+    test('string fields escape quotes and backslashes only', () => {
+        expect(escapeStringField('say "hi", C:\\temp=1')).toBe('say \\"hi\\", C:\\\\temp=1');
+    });
+
+    test('backslashes in identifiers stay literal unless they would escape what follows', () => {
+        expect(escapeKey('C:\\temp')).toBe('C:\\temp');
+        expect(escapeKey('x\\')).toBe('x\\\\');
+        expect(escapeKey('a\\ b')).toBe('a\\\\\\ b');
+        expect(escapeKey('a\\\\b')).toBe('a\\\\\\b');
+        expect(escapeMeasurement('m\\')).toBe('m\\\\');
+        expect(escapeMeasurement('m\\=1')).toBe('m\\=1');
+    });
+
+    test('unicode passes through', () => {
+        expect(escapeKey('Küche ☀')).toBe('Küche\\ ☀');
+    });
+});
+
+describe('formatTags', () => {
+    test('sorts keys canonically', () => {
+        expect(formatTags({ trigger: 'change', location: 'Küche', source: 'iobroker' }))
+            .toBe('location=Küche,source=iobroker,trigger=change');
+    });
+
+    test('drops empty, null and undefined values', () => {
+        expect(formatTags({ a: '', b: null, c: undefined, d: 0, e: false })).toBe('d=0,e=false');
+    });
+
+    test('escapes keys and values', () => {
+        expect(formatTags({ 'my tag': 'a,b=c' })).toBe('my\\ tag=a\\,b\\=c');
+    });
+
+    test('no tags → empty string', () => {
+        expect(formatTags({})).toBe('');
+        expect(formatTags()).toBe('');
+    });
+});
+
+describe('formatFieldValue', () => {
+    test('float', () => {
+        expect(formatFieldValue(1.5, 'float')).toBe('1.5');
+        expect(formatFieldValue('2', 'float')).toBe('2');
+        expect(formatFieldValue(1e21, 'float')).toBe('1e+21');
+    });
+
+    test('float defaults when type is missing', () => {
+        expect(formatFieldValue(3)).toBe('3');
+    });
+
+    test('integer and uinteger suffixes', () => {
+        expect(formatFieldValue(42, 'integer')).toBe('42i');
+        expect(formatFieldValue(-3.7, 'integer')).toBe('-3i');
+        expect(formatFieldValue(7, 'uinteger')).toBe('7u');
+        expect(formatFieldValue(9007199254740993n, 'integer')).toBe('9007199254740993i');
+    });
+
+    test('boolean and string', () => {
+        expect(formatFieldValue(true, 'boolean')).toBe('true');
+        expect(formatFieldValue(0, 'boolean')).toBe('false');
+        expect(formatFieldValue('a "b"', 'string')).toBe('"a \\"b\\""');
+        expect(formatFieldValue(12, 'string')).toBe('"12"');
+    });
+
+    test('rejects values that are not representable', () => {
+        expect(() => formatFieldValue(NaN, 'float')).toThrow(TypeError);
+        expect(() => formatFieldValue(Infinity, 'float')).toThrow(TypeError);
+        expect(() => formatFieldValue('abc', 'integer')).toThrow(TypeError);
+        expect(() => formatFieldValue(-1, 'uinteger')).toThrow(TypeError);
+        expect(() => formatFieldValue(1, 'decimal')).toThrow(/Unbekannter Feldtyp/);
+    });
+
+    test('integers outside the int64/uint64 range are rejected', () => {
+        expect(() => formatFieldValue(1e21, 'integer')).toThrow(TypeError);
+        expect(() => formatFieldValue(2 ** 63, 'integer')).toThrow(TypeError);
+        expect(() => formatFieldValue(2n ** 63n, 'integer')).toThrow(/Wertebereich/);
+        expect(formatFieldValue(2n ** 63n - 1n, 'integer')).toBe('9223372036854775807i');
+        expect(formatFieldValue(-(2n ** 63n), 'integer')).toBe('-9223372036854775808i');
+        expect(formatFieldValue(2n ** 64n - 1n, 'uinteger')).toBe('18446744073709551615u');
+        expect(() => formatFieldValue(2n ** 64n, 'uinteger')).toThrow(/Wertebereich/);
+    });
+});
+
+describe('coerceValue', () => {
+    test('auto picks the type from the value', () => {
+        expect(coerceValue(21.5)).toEqual({ type: 'float', value: 21.5 });
+        expect(coerceValue('42')).toEqual({ type: 'float', value: 42 });
+        expect(coerceValue(true)).toEqual({ type: 'boolean', value: true });
+        expect(coerceValue('true')).toEqual({ type: 'string', value: 'true' });
+        expect(coerceValue('offen')).toEqual({ type: 'string', value: 'offen' });
+        expect(coerceValue('  ')).toEqual({ type: 'string', value: '  ' });
+        expect(coerceValue({ a: 1 })).toEqual({ type: 'string', value: '{"a":1}' });
+        expect(coerceValue(NaN)).toBeNull();
+        expect(coerceValue(null)).toBeNull();
+        expect(coerceValue(undefined)).toBeNull();
+    });
+
+    test('float', () => {
+        expect(coerceValue('42', 'float')).toEqual({ type: 'float', value: 42 });
+        expect(coerceValue(true, 'float')).toEqual({ type: 'float', value: 1 });
+        expect(coerceValue('abc', 'float')).toBeNull();
+        expect(coerceValue(Infinity, 'float')).toBeNull();
+    });
+
+    test('integer rounds and rejects values beyond ±2^53', () => {
+        expect(coerceValue('42', 'integer')).toEqual({ type: 'integer', value: 42 });
+        expect(coerceValue(2.5, 'integer')).toEqual({ type: 'integer', value: 3 });
+        expect(coerceValue(NaN, 'integer')).toBeNull();
+        expect(coerceValue(1e21, 'integer')).toBeNull();
+        expect(coerceValue(2 ** 63, 'integer')).toBeNull();
+        expect(coerceValue(Number.MAX_SAFE_INTEGER, 'integer')).toEqual({ type: 'integer', value: Number.MAX_SAFE_INTEGER });
+    });
+
+    test('boolean accepts numbers and common strings', () => {
+        expect(coerceValue('true', 'boolean')).toEqual({ type: 'boolean', value: true });
+        expect(coerceValue(' OFF ', 'boolean')).toEqual({ type: 'boolean', value: false });
+        expect(coerceValue('1', 'boolean')).toEqual({ type: 'boolean', value: true });
+        expect(coerceValue(0, 'boolean')).toEqual({ type: 'boolean', value: false });
+        expect(coerceValue('vielleicht', 'boolean')).toBeNull();
+    });
+
+    test('string serializes objects as JSON', () => {
+        expect(coerceValue(42, 'string')).toEqual({ type: 'string', value: '42' });
+        expect(coerceValue([1, 2], 'string')).toEqual({ type: 'string', value: '[1,2]' });
+        expect(coerceValue({ on: true }, 'string')).toEqual({ type: 'string', value: '{"on":true}' });
+    });
+
+    test('unknown types are rejected', () => {
+        expect(coerceValue(1, 'decimal')).toBeNull();
+    });
+});
+
+describe('formatFields', () => {
+    test('keeps field order and escapes keys', () => {
+        expect(formatFields([
+            { key: 'mean', value: 1.2, type: 'float' },
+            { key: 'count', value: 5, type: 'integer' },
+            { key: 'my field', value: 'x', type: 'string' }
+        ])).toBe('mean=1.2,count=5i,my\\ field="x"');
+    });
+
+    test('requires at least one field', () => {
+        expect(() => formatFields([])).toThrow(TypeError);
+    });
+});
+
+describe('buildLine', () => {
+    test('full line with sorted tags and timestamp', () => {
+        expect(buildLine({
+            measurement: 'room temp',
+            tags: { trigger: 'change', location: 'Kid\'s room' },
+            fields: [{ key: 'value', value: 21.5, type: 'float' }],
+            timestamp: '1700000000000000000'
+        })).toBe('room\\ temp,location=Kid\'s\\ room,trigger=change value=21.5 1700000000000000000');
+    });
+
+    test('without tags and timestamp', () => {
+        expect(buildLine({ measurement: 'm', fields: [{ key: 'value', value: true, type: 'boolean' }] }))
+            .toBe('m value=true');
+    });
+
+    test('bigint timestamps', () => {
+        expect(buildLine({ measurement: 'm', fields: [{ key: 'value', value: 1 }], timestamp: 5n })).toBe('m value=1 5');
+    });
+
+    test('missing measurement throws', () => {
+        expect(() => buildLine({ measurement: '', fields: [{ key: 'value', value: 1 }] })).toThrow(/Measurement/);
+    });
+});
+
+describe('parseLine', () => {
+    test('escapes, quoted strings and type suffixes', () => {
+        const line = 'my\\ meas,t\\=k=a\\,b\\ c value=1.5,ack=true,q=0i,n=7u,from="say \\"hi\\", ok\\\\" 1600000000000000000';
+        expect(parseLine(line)).toEqual({
+            measurement: 'my meas',
+            tags: { 't=k': 'a,b c' },
+            fields: [
+                { key: 'value', value: 1.5, type: 'float' },
+                { key: 'ack', value: true, type: 'boolean' },
+                { key: 'q', value: 0n, type: 'integer' },
+                { key: 'n', value: 7n, type: 'uinteger' },
+                { key: 'from', value: 'say "hi", ok\\', type: 'string' }
+            ],
+            timestamp: '1600000000000000000'
+        });
+    });
+
+    test('round-trips through buildLine', () => {
+        const line = 'a\\ b,x=1\\=2 s="a b\\"c",v=-3i,w=1e-3 42';
+        expect(buildLine(parseLine(line))).toBe('a\\ b,x=1\\=2 s="a b\\"c",v=-3i,w=0.001 42');
+    });
+
+    test('backslashes and newlines survive build → parse', () => {
+        const point = {
+            measurement: 'm\\',
+            tags: { a: 'x\\', 'b\\': 'C:\\temp', c: 'y\\ z\\,', d: '\\\\' },
+            fields: [
+                { key: 'f\\', value: 1, type: 'float' },
+                { key: 's', value: 'line1\nline2\\', type: 'string' },
+                { key: 't', value: 'a\\"b\r\n\\\\', type: 'string' }
+            ],
+            timestamp: '42'
+        };
+        expect(parseLine(buildLine(point))).toEqual({
+            measurement: point.measurement,
+            tags: point.tags,
+            fields: [
+                { key: 'f\\', value: 1, type: 'float' },
+                point.fields[1],
+                point.fields[2]
+            ],
+            timestamp: '42'
+        });
+        // Tag‑Wert mit Backslash am Ende (vorher: "Feld '1' ohne Wert")
+        expect(buildLine({ measurement: 'm', tags: { a: 'x\\' }, fields: [{ key: 'value', value: 1 }] }))
+            .toBe('m,a=x\\\\ value=1');
+    });
+
+    test('boolean spellings and missing timestamp', () => {
+        expect(parseLine('m a=t,b=F,c=True').fields.map((f) => f.value)).toEqual([true, false, true]);
+        expect(parseLine('m v=1').timestamp).toBeUndefined();
+    });
+
+    test('blank lines and comments', () => {
+        expect(parseLine('')).toBeNull();
+        expect(parseLine('# export from v2')).toBeNull();
+    });
+
+    test('syntax errors name the problem and position', () => {
+        expect(() => parseLine('m')).toThrow(SyntaxError);
+        expect(() => parseLine('m v=abc 1')).toThrow("ungültiger Wert für Feld 'v': abc (Position 5)");
+        expect(() => parseLine('m v="open')).toThrow(/nicht abgeschlossen/);
+        expect(() => parseLine('m,t= v=1')).toThrow(/Tag 't' ohne Wert/);
+        expect(() => parseLine('m v=1 12:00')).toThrow(/Timestamp/);
+        expect(() => parseLine('m v=1e999')).toThrow(/ungültiger Wert/);
+        expect(() => parseLine('m v=-1u')).toThrow(/ungültiger Wert/);
+    });
+});
+
+describe('datapointTags', () => {
+    test('defaults < fixed keys < tag map', () => {
+        const dp = { id: 'x', measurement: 'm', source: 'iobroker', location: 'Küche', tags: { room: 'Küche', site: 'cabin' } };
+        expect(datapointTags(dp, { site: 'home', source: 'default' })).toEqual({
+            site: 'cabin',
+            source: 'iobroker',
+            location: 'Küche',
+            room: 'Küche'
+        });
+    });
+
+    test('ignores non-tag settings of the datapoint', () => {
+        const dp = { id: 'x', measurement: 'm', type: 'float', minDelta: 0.1, heartbeat: '1h' };
+        expect(datapointTags(dp)).toEqual({});
+    });
+
+    test('reads legacy queue entries with tags at the top level', () => {
+        expect(datapointTags({ measurement: 'm', sensor_id: 'abc', processing: 'raw' }))
+            .toEqual({ sensor_id: 'abc', processing: 'raw' });
+    });
+});
@@ -0,0 +1,103 @@
+const { createAnalyzer, guessPrecision, measurementRows, problemLines } = require('../lib/lp_analysis');
+
+const NOW = Date.UTC(2024, 4, 10);
+const NS = 1715000000000000000n; // 2024-05-06
+const ts = (offset = 0) => String(NS + BigInt(offset));
+
+function analyse(lines, opts = {}) {
+    const analyzer = createAnalyzer({ now: NOW, ...opts });
+    lines.forEach((text, i) => analyzer.add(text, i + 1));
+    return analyzer.result();
+}
+
+describe('createAnalyzer', () => {
+    test('collects tag and field sets per measurement', () => {
+        const r = analyse([
+            `temp,room=kitchen value=21.5 ${ts()}`,
+            `temp,room=bath,floor=1 value=22,q=0i ${ts(1)}`,
+            '# Kommentar',
+            '',
+            `power value=5i ${ts(2)}`
+        ]);
+        expect(r).toMatchObject({ lines: 5, points: 3, blocking: [] });
+        expect(measurementRows(r)).toEqual([
+            { Measurement: 'temp', Zeilen: 2, Tags: 'floor, room', Felder: 'value:float, q:integer', von: '2024-05-06T12:53:20.000Z', bis: '2024-05-06T12:53:20.000Z' },
+            { Measurement: 'power', Zeilen: 1, Tags: '', Felder: 'value:integer', von: '2024-05-06T12:53:20.000Z', bis: '2024-05-06T12:53:20.000Z' }
+        ]);
+        expect(problemLines(r)).toEqual([]);
+    });
+
+    test('reports field type conflicts with counts and first line', () => {
+        const r = analyse([`m value=1 ${ts()}`, `m value=1i ${ts(1)}`, `m value=true ${ts(2)}`, `m value=2 ${ts(3)}`]);
+        expect(r.typeConflicts).toEqual([{
+            measurement: 'm',
+            field: 'value',
+            types: [
+                { type: 'float', count: 2, line: 1 },
+                { type: 'integer', count: 1, line: 2 },
+                { type: 'boolean', count: 1, line: 3 }
+            ]
+        }]);
+        expect(r.blocking).toEqual(['1 Felder mit mehreren Typen']);
+        expect(problemLines(r)).toEqual(['❌ Typ-Konflikt m.value: float ×2 (ab Zeile 1), integer ×1 (ab Zeile 2), boolean ×1 (ab Zeile 3)']);
+    });
+
+    test('a key used as tag and field is blocking', () => {
+        const r = analyse([`m,q=1 value=1 ${ts()}`, `m value=1,q=0i ${ts(1)}`]);
+        expect(r.columnConflicts).toEqual([{ measurement: 'm', key: 'q' }]);
+        expect(r.blocking).toEqual(['1 Keys als Tag und Feld']);
+    });
+
+    test('flags implausible timestamps and guesses the precision', () => {
+        const ms = String(NS / 1_000_000n);
+        const r = analyse([`m value=1 ${ms}`, `m value=1 ${ts()}`, `m value=1 ${NS * 2n}`, 'm value=1 5']);
+        expect(r.timestamps.count).toBe(3);
+        expect(r.timestamps.examples).toEqual([
+            { line: 1, timestamp: ms, guess: 'ms' },
+            { line: 3, timestamp: String(NS * 2n), guess: null },
+            { line: 4, timestamp: '5', guess: null }
+        ]);
+        expect(r.blocking).toEqual(['3 unplausible Timestamps']);
+    });
+
+    test('checks against the configured precision', () => {
+        const r = analyse([`m value=1 ${NS / 1_000_000_000n}`], { precision: 's' });
+        expect(r.timestamps.count).toBe(0);
+        expect(() => createAnalyzer({ precision: 'min' })).toThrow(/Präzision/);
+    });
+
+    test('duplicates and missing timestamps are warnings only', () => {
+        const r = analyse([
+            `m,a=1 value=1 ${ts()}`,
+            `m,a=1 q=0i ${ts()}`, // anderes Feld, kein Duplikat
+            `m,a=2 value=1 ${ts()}`, // andere Serie
+            `m,a=1 value=2 ${ts()}`,
+            'm value=1'
+        ]);
+        expect(r.duplicates.count).toBe(1);
+        expect(r.duplicates.examples).toEqual([{ line: 4, field: 'value', timestamp: ts() }]);
+        expect(r.missingTimestamps.count).toBe(1);
+        expect(r.blocking).toEqual([]);
+    });
+
+    test('unparsable lines are blocking and limited to a few examples', () => {
+        const r = analyse(Array.from({ length: 7 }, (_, i) => `bad line ${i}`));
+        expect(r.unparsable.count).toBe(7);
+        expect(r.unparsable.examples).toHaveLength(5);
+        expect(r.blocking).toEqual(['7 Zeilen nicht parsebar']);
+        const out = problemLines(r);
+        expect(out[0]).toBe('❌ 7 Zeilen nicht parsebar:');
+        expect(out[out.length - 1]).toBe('    … 2 weitere');
+    });
+});
+
+describe('guessPrecision', () => {
+    const min = BigInt(Date.UTC(2000, 0, 1));
+    const max = BigInt(NOW);
+    test('finds the unit that yields a plausible time', () => {
+        expect(guessPrecision(NS / 1_000_000_000n, min, max)).toBe('s');
+        expect(guessPrecision(NS / 1_000n, min, max)).toBe('us');
+        expect(guessPrecision(NS, min, max)).toBe('ns');
+        expect(guessPrecision(1n, min, max)).toBeNull();
+    });
+});
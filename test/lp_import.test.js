@@ -0,0 +1,166 @@
+const { parseLine } = require('../lib/line_protocol');
+const {
+    importFieldModes,
+    importTags,
+    parseTimeArg,
+    inTimeRange,
+    convertValue,
+    convertPoint,
+    createPointMerger,
+    createReport,
+    reportRows
+} = require('../lib/lp_import');
+
+const field = (value, type) => ({ key: 'value', value, type });
+
+describe('importFieldModes', () => {
+    test('datapoint overrides global modes, comments are ignored', () => {
+        const cfg = { importFields: { ack: 'drop', from: 'drop', $comment: 'x' } };
+        expect(importFieldModes({ importFields: { ack: 'tag' } }, cfg)).toEqual({ ack: 'tag', from: 'drop' });
+        expect(importFieldModes({})).toEqual({});
+    });
+});
+
+describe('importTags', () => {
+    const dp = { id: 'x', measurement: 'm', location: 'Küche', source: 'zigbee' };
+
+    test('replaces source and sets trigger by default', () => {
+        expect(importTags(dp, { defaultTags: { site: 'home' } })).toEqual({
+            site: 'home', location: 'Küche', source: 'influxdbv2', trigger: 'manual_import'
+        });
+    });
+
+    test('config and command line override, empty values remove', () => {
+        const tags = importTags(dp, { importTags: { source: 'v2', batch: '1' } }, { trigger: 'gap', batch: '' });
+        expect(tags).toMatchObject({ source: 'v2', trigger: 'gap', batch: '' });
+    });
+});
+
+describe('time range', () => {
+    const now = Date.UTC(2024, 4, 31);
+
+    test('ISO dates and durations relative to now', () => {
+        expect(parseTimeArg('2024-05-01T00:00:00Z')).toBe(BigInt(Date.UTC(2024, 4, 1)) * 1_000_000n);
+        expect(parseTimeArg('30d', now)).toBe(BigInt(Date.UTC(2024, 4, 1)) * 1_000_000n);
+        expect(() => parseTimeArg('gestern')).toThrow(/ungültige Zeitangabe/);
+    });
+
+    test('since is inclusive, until exclusive', () => {
+        const range = { since: 1000n, until: 2000n };
+        expect(['999', '1000', '1999', '2000'].map((ts) => inTimeRange(ts, range))).toEqual([false, true, true, false]);
+        expect(inTimeRange('5', {})).toBe(true);
+        expect(inTimeRange(undefined, range)).toBe(true);
+    });
+});
+
+describe('convertValue', () => {
+    test('keeps the parsed type without an explicit type', () => {
+        expect(convertValue(field('open', 'string'), 'auto')).toEqual(field('open', 'string'));
+        expect(convertValue(field(1.5, 'float'))).toEqual(field(1.5, 'float'));
+    });
+
+    test('lossless conversions to the datapoint type', () => {
+        expect(convertValue(field(5, 'float'), 'integer')).toEqual(field(5n, 'integer'));
+        expect(convertValue(field(5n, 'integer'), 'float')).toEqual(field(5, 'float'));
+        expect(convertValue(field(1, 'float'), 'boolean')).toEqual(field(true, 'boolean'));
+    });
+
+    test('lossy conversions are refused', () => {
+        expect(convertValue(field(5.5, 'float'), 'integer')).toBeNull();
+        expect(convertValue(field(2, 'float'), 'boolean')).toBeNull();
+        expect(convertValue(field('1', 'string'), 'float')).toBeNull();
+    });
+});
+
+describe('convertPoint', () => {
+    const dp = { id: 'javascript.0.temp', measurement: 'temperature' };
+    const tags = { location: 'Küche', source: 'influxdbv2' };
+    const point = parseLine('javascript.0.temp value=21.5,ack=true,q=0i,from="system.adapter.x" 1000');
+
+    test('extra fields are kept by default', () => {
+        const { point: out } = convertPoint(point, dp, { tags, modes: {} });
+        expect(out).toEqual({
+            measurement: 'temperature',
+            tags,
+            fields: [field(21.5, 'float'), ...point.fields.slice(1)],
+            timestamp: '1000'
+        });
+    });
+
+    test('keep / tag / drop per field and "*" for the rest', () => {
+        const { point: out } = convertPoint(point, dp, { tags, modes: { ack: 'tag', q: 'keep', '*': 'drop' } });
+        expect(out.tags).toEqual({ ...tags, ack: 'true' });
+        expect(out.fields.map((f) => f.key)).toEqual(['value', 'q']);
+    });
+
+    test('reasons for rejected points', () => {
+        expect(convertPoint(parseLine('x ack=true 1'), dp, { tags, modes: {} })).toEqual({ reason: 'kein value-Feld' });
+        expect(convertPoint(parseLine('x value=1'), dp, { tags, modes: {} })).toEqual({ reason: 'kein Timestamp' });
+        expect(convertPoint(parseLine('x value="on" 1'), { ...dp, type: 'float' }, { tags, modes: {} }))
+            .toEqual({ reason: 'value ist string, Datenpunkt hat type float' });
+    });
+});
+
+describe('createPointMerger', () => {
+    test('merges one-field-per-line exports per series and timestamp', () => {
+        const out = [];
+        const merger = createPointMerger((p) => out.push(p));
+        for (const line of [
+            'a ack=true 1', 'a ack=false 2', 'a value=1 1', 'a value=2 2',
+            'b value=3 1', 'b ack=true 1', 'b,x=1 value=4 1'
+        ]) merger.push(parseLine(line));
+        expect(out).toHaveLength(3); // b,x=1 wartet noch
+        merger.flush();
+
+        expect(out.map((p) => [p.measurement, p.timestamp, p.fields.map((f) => `${f.key}=${f.value}`).join(',')])).toEqual([
+            ['a', '1', 'ack=true,value=1'],
+            ['a', '2', 'ack=false,value=2'],
+            ['b', '1', 'value=3,ack=true'],
+            ['b', '1', 'value=4']
+        ]);
+    });
+
+    test('later lines win for the same field', () => {
+        const out = [];
+        const merger = createPointMerger((p) => out.push(p));
+        merger.push(parseLine('a value=1 1'));
+        merger.push(parseLine('a value=2 1'));
+        merger.flush();
+        expect(out[0].fields).toEqual([field(2, 'float')]);
+    });
+});
+
+describe('report', () => {
+    test('counts, time span and value range per source measurement', () => {
+        const report = createReport();
+        const point = (value, ts) => ({ fields: [{ key: 'value', value, type: 'float' }], timestamp: ts });
+        for (let i = 0; i < 4; i++) report.line('javascript.0.temp');
+        report.skipped('javascript.0.temp');
+        report.rejected('javascript.0.temp');
+        report.written('javascript.0.temp', point(21.5, '1714521600000000000'));
+        report.written('javascript.0.temp', point(-3, '1714525200000000000'));
+        report.unmapped('other.0.a');
+        report.unmapped('other.0.b');
+        report.unmapped('other.0.b');
+
+        expect(reportRows(report, () => 'temperature')).toEqual([{
+            Quelle: 'javascript.0.temp',
+            Ziel: 'temperature',
+            ein: 4,
+            aus: 2,
+            'übersprungen': 1,
+            verworfen: 1,
+            von: '2024-05-01T00:00:00.000Z',
+            bis: '2024-05-01T01:00:00.000Z',
+            min: -3,
+            max: 21.5
+        }]);
+        expect(report.unmappedList()).toEqual([['other.0.b', 2], ['other.0.a', 1]]);
+    });
+
+    test('string values have no min/max', () => {
+        const report = createReport();
+        report.written('s', { fields: [{ key: 'value', value: 'open', type: 'string' }], timestamp: '1' });
+        expect(reportRows(report)[0]).toMatchObject({ aus: 1, min: '', max: '' });
+    });
+});
@@ -0,0 +1,107 @@
+const { createExportStats, verifyQuery, compareStats, verifyAgainst, summaryRows, diffRows, nsToIso } = require('../lib/lp_verify');
+
+const T0 = 1715000000000000000n; // 2024-05-06T12:53:20Z
+const ts = (s) => String(T0 + BigInt(s) * 1_000_000_000n);
+
+function statsOf(lines) {
+    const stats = createExportStats();
+    for (const l of lines) stats.add(l);
+    return stats;
+}
+
+const exportLines = [
+    `temp,source=influxdbv2,trigger=manual_import,room=a value=20.5,q=0i ${ts(0)}`,
+    `temp,source=influxdbv2,trigger=manual_import,room=b value=21.5 ${ts(10)}`,
+    `temp,source=influxdbv2,trigger=manual_import,room=a value=-1 ${ts(5)}`,
+    `door,source=influxdbv2 value=true ${ts(1)}`,
+    `door,source=influxdbv2 value=false ${ts(2)}`,
+    '# Kommentar',
+    'kaputt',
+    'temp value=1'
+];
+
+// Mock‑Client: liefert pro Measurement eine Zeile, merkt sich die SQL
+function mockClient(rows) {
+    const queries = [];
+    return {
+        queries,
+        async *query(sql) {
+            queries.push(sql);
+            const m = /FROM "([^"]+)"/.exec(sql)[1];
+            if (rows[m] instanceof Error) throw rows[m];
+            if (rows[m]) yield rows[m];
+        }
+    };
+}
+
+describe('createExportStats', () => {
+    test('counts, time range, sum/min/max and common tags per measurement', () => {
+        const stats = statsOf(exportLines);
+        expect(stats.unparsable).toBe(1);
+        expect(stats.withoutTimestamp).toBe(1);
+        expect(stats.measurements.get('temp')).toEqual({
+            count: 3, first: T0, last: T0 + 10_000_000_000n, sum: 41, min: -1, max: 21.5, numeric: true,
+            tags: { source: 'influxdbv2', trigger: 'manual_import' }
+        });
+        expect(stats.measurements.get('door')).toMatchObject({ count: 2, numeric: false, tags: { source: 'influxdbv2' } });
+    });
+});
+
+describe('verifyQuery', () => {
+    test('restricts to the exported time range and common tags', () => {
+        const stats = statsOf(exportLines);
+        expect(verifyQuery('temp', stats.measurements.get('temp'))).toBe(
+            'SELECT count("value") AS count, min(time) AS first, max(time) AS last, sum("value") AS sum, min("value") AS min, max("value") AS max ' +
+            'FROM "temp" WHERE time >= \'2024-05-06T12:53:20.000000000Z\' AND time <= \'2024-05-06T12:53:30.000000000Z\' ' +
+            'AND "value" IS NOT NULL AND "source" = \'influxdbv2\' AND "trigger" = \'manual_import\''
+        );
+        expect(verifyQuery('door', stats.measurements.get('door'))).toMatch(/^SELECT count\("value"\) AS count, min\(time\) AS first, max\(time\) AS last FROM "door"/);
+    });
+
+    test('nsToIso keeps nanoseconds', () => {
+        expect(nsToIso(T0 + 123456789n)).toBe('2024-05-06T12:53:20.123456789Z');
+    });
+});
+
+describe('compareStats', () => {
+    const expected = { count: 3, first: T0, last: T0 + 10_000_000_000n, sum: 0.3, min: 0.1, max: 0.2, numeric: true };
+
+    test('accepts float rounding in sums and Date/BigInt timestamps', () => {
+        const checks = compareStats(expected, {
+            count: 3n, first: new Date(1715000000000), last: T0 + 10_000_000_000n, sum: 0.1 + 0.2, min: 0.1, max: 0.2
+        });
+        expect(checks.every((c) => c.ok)).toBe(true);
+    });
+
+    test('reports differing metrics', () => {
+        const checks = compareStats(expected, { count: 2, first: new Date(1715000000000), last: new Date(1715000005000), sum: 0.2, min: 0.1, max: 0.2 });
+        expect(checks.filter((c) => !c.ok).map((c) => c.metric)).toEqual(['count', 'last', 'sum']);
+    });
+
+    test('a missing row counts as empty', () => {
+        const checks = compareStats(expected, null);
+        expect(checks.find((c) => c.metric === 'count')).toEqual({ metric: 'count', expected: 3, actual: 0, ok: false });
+    });
+});
+
+describe('verifyAgainst', () => {
+    test('queries each measurement and builds summary and diff rows', async () => {
+        const stats = statsOf(exportLines);
+        const client = mockClient({
+            temp: { count: 3n, first: new Date(1715000000000), last: new Date(1715000010000), sum: 41, min: -1, max: 20.5 },
+            door: new Error('table not found')
+        });
+        const results = await verifyAgainst(stats, client);
+        expect(client.queries).toHaveLength(2);
+        expect(summaryRows(results)).toEqual([
+            { Measurement: 'temp', Punkte: 3, Status: '❌ max' },
+            { Measurement: 'door', Punkte: 2, Status: '❌ Anzahl, von, bis', Fehler: 'table not found' }
+        ]);
+        expect(diffRows(results)).toEqual([
+            { Measurement: 'temp', Kennzahl: 'max', Datei: 21.5, InfluxDB: 20.5 },
+            { Measurement: 'door', Kennzahl: 'Anzahl', Datei: 2, InfluxDB: 0 },
+            { Measurement: 'door', Kennzahl: 'von', Datei: '2024-05-06T12:53:21.000Z', InfluxDB: '–' },
+            { Measurement: 'door', Kennzahl: 'bis', Datei: '2024-05-06T12:53:22.000Z', InfluxDB: '–' }
+        ]);
+    });
+});
@@ -0,0 +1,58 @@
+const { parseReloadedConfig, targetChanges, datapointChanges, configDiff } = require('../lib/reload');
+
+const influx = { host: 'http://localhost:8181', token: 't', database: 'iobroker' };
+const dp = (id, extra = {}) => ({ id, measurement: 'temperature', sensor_id: id, ...extra });
+const config = (extra = {}) => ({ influx, datapoints: [dp('a.0.x'), dp('a.0.y')], ...extra });
+const running = (entries) => new Map(entries.map(([d, fromSelector = false]) => [d.id, { dp: d, fromSelector }]));
+
+describe('parseReloadedConfig', () => {
+    test('a valid file becomes the new config', () => {
+        expect(parseReloadedConfig(JSON.stringify(config()))).toEqual({ config: config() });
+    });
+
+    test('invalid JSON or rules keep the old config', () => {
+        expect(parseReloadedConfig('{ "datapoints": [').error).toMatch(/^config.json nicht lesbar – alte Konfiguration bleibt aktiv: /);
+        const { config: next, error } = parseReloadedConfig(JSON.stringify(config({ datapoints: [dp('a.0.x', { minDelata: 1 })] })));
+        expect(next).toBeUndefined();
+        expect(error).toMatch(/^config.json ungültig – alte Konfiguration bleibt aktiv:\n {2}- \$\.datapoints\[0\]\.minDelata: /);
+    });
+});
+
+describe('datapointChanges', () => {
+    test('added, removed and changed static datapoints', () => {
+        const now = running([[dp('a.0.x')], [dp('a.0.y')], [dp('a.0.z')]]);
+        const next = [dp('a.0.x'), dp('a.0.y', { minDelta: 0.5 }), dp('a.0.new')];
+        expect(datapointChanges(now, next)).toEqual({
+            added: [dp('a.0.new')],
+            removed: ['a.0.z'],
+            updated: [dp('a.0.y', { minDelta: 0.5 })]
+        });
+    });
+
+    test('selector matches are left to the selector resolution', () => {
+        const now = running([[dp('zigbee.0.a'), true], [dp('zigbee.0.b'), true]]);
+        const next = [{ selector: { pattern: 'zigbee.0.*' }, measurement: 'm' }, dp('zigbee.0.b')];
+        // zigbee.0.b ist jetzt statisch eingetragen → übernimmt die statischen Einstellungen
+        expect(datapointChanges(now, next)).toEqual({ added: [], removed: [], updated: [dp('zigbee.0.b')] });
+    });
+});
+
+describe('targetChanges / configDiff', () => {
+    test('changed connection, added and removed targets', () => {
+        const prev = config({ targets: { nas: { ...influx, host: 'http://nas:8181' }, old: influx } });
+        const next = config({ influx: { ...influx, token: 'neu' }, targets: { nas: { ...influx, host: 'http://nas:8181' }, remote: influx } });
+        const diff = configDiff(prev, next, running([[dp('a.0.x')], [dp('a.0.y')]]));
+        expect(diff).toEqual({
+            precisionChanged: false,
+            targets: { added: ['remote'], removed: ['old'], changed: ['default'] },
+            datapoints: { added: [], removed: [], updated: [] }
+        });
+    });
+
+    test('a new write precision recreates all remaining clients', () => {
+        const diff = configDiff(config(), config({ timestamps: { precision: 'ms' } }), new Map());
+        expect(diff.precisionChanged).toBe(true);
+        expect(diff.targets).toEqual({ added: [], removed: [], changed: ['default'] });
+        expect(targetChanges({ a: influx }, { a: influx })).toEqual({ added: [], removed: [], changed: [] });
+    });
+});
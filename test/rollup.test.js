@@ -0,0 +1,195 @@
+const {
+    rollupSettings,
+    rollupRoute,
+    rollupTable,
+    tagColumnsQuery,
+    tagColumns,
+    rollupQuery,
+    lastRollupQuery,
+    rollupRange,
+    rollupChunks,
+    lateWindow,
+    windowRanges,
+    rollupPoints
+} = require('../lib/rollup');
+
+const HOUR = 3_600_000;
+const T0 = Date.UTC(2024, 4, 6, 12, 0, 0);
+
+const hourly = (extra = {}) => rollupSettings({ name: 'hourly', measurements: ['temperature'], window: '1h', ...extra });
+
+describe('rollupSettings', () => {
+    test('defaults', () => {
+        expect(hourly()).toEqual({
+            name: 'hourly',
+            measurements: ['temperature'],
+            windowMs: HOUR,
+            delayMs: 300_000,
+            catchUpMs: 7 * 24 * HOUR,
+            functions: ['mean', 'min', 'max'],
+            field: 'value',
+            suffix: '_1h',
+            groupBy: undefined,
+            exclude: ['trigger']
+        });
+        expect(rollupTable('temperature', hourly())).toBe('temperature_1h');
+        expect(rollupTable('power', hourly({ suffix: '_hourly' }))).toBe('power_hourly');
+    });
+
+    test('catchUp off', () => {
+        expect(hourly({ catchUp: 'off' }).catchUpMs).toBe(0);
+    });
+});
+
+describe('rollupRoute', () => {
+    const c = {
+        influx: { host: 'http://a', token: 't', database: 'iobroker' },
+        targets: { archive: { host: 'http://b', token: 't', database: 'archiv' } }
+    };
+
+    test('first default target unless the job names one', () => {
+        expect(rollupRoute({}, c)).toEqual({ target: 'default', database: undefined });
+        expect(rollupRoute({ database: 'rollups' }, c)).toEqual({ target: 'default', database: 'rollups' });
+        expect(rollupRoute({ target: 'archive' }, c)).toEqual({ target: 'archive', database: undefined });
+        expect(rollupRoute({}, { ...c, defaultTargets: ['archive'] })).toEqual({ target: 'archive', database: undefined });
+    });
+});
+
+describe('tag columns', () => {
+    test('dictionary columns except excluded ones', () => {
+        expect(tagColumnsQuery("o'clock")).toBe(
+            "SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'o''clock'"
+        );
+        const rows = [
+            { column_name: 'time', data_type: 'Timestamp(Nanosecond, None)' },
+            { column_name: 'value', data_type: 'Float64' },
+            { column_name: 'sensor_id', data_type: 'Dictionary(Int32, Utf8)' },
+            { column_name: 'trigger', data_type: 'Dictionary(Int32, Utf8)' },
+            { column_name: 'location', data_type: 'Dictionary(Int32, Utf8)' }
+        ];
+        expect(tagColumns(rows)).toEqual(['location', 'sensor_id']);
+        expect(tagColumns(rows, [])).toEqual(['location', 'sensor_id', 'trigger']);
+    });
+});
+
+describe('rollupQuery', () => {
+    test('aggregates full windows per tag set', () => {
+        const sql = rollupQuery('temperature', ['location'], T0, T0 + 2 * HOUR, hourly({ functions: ['mean', 'last', 'count'] }));
+        expect(sql).toBe(
+            "SELECT date_bin(INTERVAL '3600000 milliseconds', time) AS bucket, \"location\", " +
+            'avg("value") AS "mean", last_value("value" ORDER BY time) AS "last", count("value") AS "count" ' +
+            "FROM \"temperature\" WHERE time >= '2024-05-06T12:00:00.000Z' AND time < '2024-05-06T14:00:00.000Z' " +
+            'AND "value" IS NOT NULL GROUP BY bucket, "location" ORDER BY bucket'
+        );
+    });
+
+    test('without tags and on another field', () => {
+        const sql = rollupQuery('power', [], T0, T0 + HOUR, hourly({ field: 'mean', functions: ['max'] }));
+        expect(sql).toContain('max("mean") AS "max" FROM "power"');
+        expect(sql).toContain('GROUP BY bucket ORDER BY');
+    });
+
+    test('last rollup point of the target table', () => {
+        expect(lastRollupQuery('temperature_1h')).toBe(
+            'SELECT max(time) AS last FROM "temperature_1h" WHERE "trigger" = \'rollup\''
+        );
+    });
+});
+
+describe('rollupRange', () => {
+    const settings = hourly({ catchUp: '1d' });
+    const now = T0 + 10 * 60_000; // 12:10, delay 5m → 11:00–12:00 ist fertig
+
+    test('continues after the last processed window', () => {
+        expect(rollupRange(T0 - 3 * HOUR, now, settings)).toEqual({ start: T0 - 3 * HOUR, end: T0, skipped: false });
+        expect(rollupRange(T0, now, settings)).toBeNull();
+    });
+
+    test('respects the delay', () => {
+        expect(rollupRange(T0 - HOUR, T0 + 60_000, settings)).toBeNull();
+        expect(rollupRange(T0 - 2 * HOUR, T0 + 60_000, settings)).toEqual({ start: T0 - 2 * HOUR, end: T0 - HOUR, skipped: false });
+    });
+
+    test('without progress: back to catchUp', () => {
+        expect(rollupRange(null, now, settings)).toEqual({ start: T0 - 24 * HOUR, end: T0, skipped: false });
+        expect(rollupRange(null, now, hourly({ catchUp: 'off' }))).toEqual({ start: T0 - HOUR, end: T0, skipped: false });
+    });
+
+    test('an outage longer than catchUp skips the oldest windows', () => {
+        expect(rollupRange(T0 - 48 * HOUR, now, settings)).toEqual({ start: T0 - 24 * HOUR, end: T0, skipped: true });
+    });
+
+    test('progress inside a window is rounded up to the next boundary', () => {
+        expect(rollupRange(T0 - 2 * HOUR - 1, now, settings)).toEqual({ start: T0 - 2 * HOUR, end: T0, skipped: false });
+    });
+});
+
+describe('rollupChunks', () => {
+    test('splits long ranges', () => {
+        expect(rollupChunks({ start: 0, end: 5 * HOUR }, HOUR, 2)).toEqual([
+            { start: 0, end: 2 * HOUR },
+            { start: 2 * HOUR, end: 4 * HOUR },
+            { start: 4 * HOUR, end: 5 * HOUR }
+        ]);
+        expect(rollupChunks({ start: 0, end: HOUR }, HOUR)).toEqual([{ start: 0, end: HOUR }]);
+    });
+});
+
+describe('late data', () => {
+    test('a point arriving after its window was rolled up marks the window again', () => {
+        const settings = hourly();
+        const done = T0; // bis 12:00 verdichtet
+        // Queue nach einem Ausfall liefert Punkte von 10:30 und 10:45 nach, dazu einen aktuellen
+        const late = [T0 - 90 * 60_000, T0 - 75 * 60_000, T0 + 5 * 60_000]
+            .map((ms) => lateWindow(done, ms, settings.windowMs))
+            .filter((w) => w !== null);
+        expect(late).toEqual([T0 - 2 * HOUR, T0 - 2 * HOUR]);
+
+        const [range] = windowRanges(late, settings.windowMs);
+        expect(range).toEqual({ start: T0 - 2 * HOUR, end: T0 - HOUR });
+        expect(rollupQuery('temperature', [], range.start, range.end, settings))
+            .toContain("time >= '2024-05-06T10:00:00.000Z' AND time < '2024-05-06T11:00:00.000Z'");
+    });
+
+    test('open windows and unknown progress are not marked', () => {
+        expect(lateWindow(T0, T0, HOUR)).toBeNull();
+        expect(lateWindow(null, T0 - HOUR, HOUR)).toBeNull();
+        expect(lateWindow(undefined, T0 - HOUR, HOUR)).toBeNull();
+    });
+
+    test('windows are merged into contiguous ranges', () => {
+        expect(windowRanges([T0 - 2 * HOUR, T0 - 6 * HOUR, T0 - 3 * HOUR, T0 - 2 * HOUR], HOUR)).toEqual([
+            { start: T0 - 6 * HOUR, end: T0 - 5 * HOUR },
+            { start: T0 - 3 * HOUR, end: T0 - HOUR }
+        ]);
+        expect(windowRanges([], HOUR)).toEqual([]);
+    });
+});
+
+describe('rollupPoints', () => {
+    test('rows become points with tags and typed fields', () => {
+        const settings = hourly({ functions: ['mean', 'max', 'count'] });
+        const rows = [
+            { bucket: new Date(T0), location: 'Küche', mean: 21.25, max: 22, count: 60n },
+            { bucket: BigInt(T0 + HOUR) * 1_000_000n, location: null, mean: null, max: null, count: 0n },
+            { bucket: T0 + 2 * HOUR, location: 'Bad', mean: 19.5, max: null, count: 3 }
+        ];
+        expect(rollupPoints(rows, ['location'], settings)).toEqual([
+            {
+                ms: T0,
+                tags: { location: 'Küche' },
+                fields: [
+                    { key: 'mean', value: 21.25, type: 'float' },
+                    { key: 'max', value: 22, type: 'float' },
+                    { key: 'count', value: 60, type: 'integer' }
+                ]
+            },
+            { ms: T0 + HOUR, tags: {}, fields: [{ key: 'count', value: 0, type: 'integer' }] },
+            {
+                ms: T0 + 2 * HOUR,
+                tags: { location: 'Bad' },
+                fields: [{ key: 'mean', value: 19.5, type: 'float' }, { key: 'count', value: 3, type: 'integer' }]
+            }
+        ]);
+    });
+});
@@ -0,0 +1,107 @@
+const {
+    globToRegExp,
+    resolveName,
+    matchesSelector,
+    selectorCandidates,
+    renderTemplate,
+    buildDatapoint
+} = require('../lib/selectors');
+
+const enums = [
+    { id: 'enum.rooms.living', name: { de: 'Wohnzimmer', en: 'Living room' }, members: ['zigbee.0.abc'] },
+    { id: 'enum.functions.temperature', name: 'Temperatur', members: ['zigbee.0.abc.temperature'] }
+];
+
+const stateObj = (extra = {}) => ({ type: 'state', common: { name: 'Sensor Wohnzimmer', ...extra } });
+
+describe('globToRegExp', () => {
+    test('matches wildcards and escapes dots', () => {
+        const re = globToRegExp('zigbee.0.*.temperature');
+        expect(re.test('zigbee.0.abc.temperature')).toBe(true);
+        expect(re.test('zigbee.0.abc.humidity')).toBe(false);
+        expect(re.test('zigbeeX0.abc.temperature')).toBe(false);
+    });
+});
+
+describe('resolveName', () => {
+    test('handles strings and translated names', () => {
+        expect(resolveName('Bad')).toBe('Bad');
+        expect(resolveName({ en: 'Bath', de: 'Bad' })).toBe('Bad');
+        expect(resolveName({ fr: 'Salle' })).toBe('Salle');
+        expect(resolveName(undefined)).toBe('');
+    });
+});
+
+describe('matchesSelector', () => {
+    test('requires a state object', () => {
+        expect(matchesSelector('zigbee.0.abc', { type: 'channel' }, { pattern: '*' })).toBe(false);
+    });
+
+    test('combines pattern, regex and enum criteria', () => {
+        const id = 'zigbee.0.abc.temperature';
+        expect(matchesSelector(id, stateObj(), { pattern: 'zigbee.0.*', enum: 'enum.rooms.*' }, enums)).toBe(true);
+        expect(matchesSelector(id, stateObj(), { regex: 'humidity$' }, enums)).toBe(false);
+        expect(matchesSelector(id, stateObj(), { enum: 'enum.rooms.kitchen' }, enums)).toBe(false);
+    });
+
+    test('checks common.custom marker', () => {
+        const id = 'zigbee.0.abc.temperature';
+        expect(matchesSelector(id, stateObj(), { custom: 'influxdb3' })).toBe(false);
+        expect(matchesSelector(id, stateObj({ custom: { influxdb3: { enabled: false } } }), { custom: 'influxdb3' })).toBe(false);
+        expect(matchesSelector(id, stateObj({ custom: { influxdb3: { enabled: true } } }), { custom: 'influxdb3' })).toBe(true);
+    });
+});
+
+describe('selectorCandidates', () => {
+    const ids = ['zigbee.0.abc.temperature', 'zigbee.0.abc.humidity', 'zigbee.0.def.temperature', 'hm-rpc.0.xyz.TEMPERATURE'];
+
+    test('narrows state ids by regex and enum membership', () => {
+        expect(selectorCandidates(ids, { regex: 'temperature$' })).toEqual(['zigbee.0.abc.temperature', 'zigbee.0.def.temperature']);
+        expect(selectorCandidates(ids, { enum: 'enum.rooms.*' }, enums)).toEqual(['zigbee.0.abc.temperature', 'zigbee.0.abc.humidity']);
+        expect(selectorCandidates(ids, { enum: 'enum.functions.*', regex: '^zigbee' }, enums)).toEqual(['zigbee.0.abc.temperature']);
+        expect(selectorCandidates(ids, { enum: 'enum.rooms.kitchen' }, enums)).toEqual([]);
+    });
+
+    test('custom alone cannot be decided from the id', () => {
+        expect(selectorCandidates(ids, { custom: 'influxdb3' })).toEqual(ids);
+    });
+});
+
+describe('buildDatapoint', () => {
+    test('renders templates from object name, room and function', () => {
+        const entry = {
+            selector: { pattern: 'zigbee.0.*' },
+            measurement: '{function}',
+            sensor_id: '{id}',
+            location: '{room}',
+            processing: 'raw',
+            minDelta: 0.1
+        };
+        const dp = buildDatapoint(entry, 'zigbee.0.abc.temperature', stateObj(), enums);
+        expect(dp).toEqual({
+            id: 'zigbee.0.abc.temperature',
+            measurement: 'Temperatur',
+            sensor_id: 'zigbee.0.abc.temperature',
+            location: 'Wohnzimmer',
+            processing: 'raw',
+            minDelta: 0.1
+        });
+    });
+
+    test('custom settings override the template', () => {
+        const entry = { selector: { custom: 'influxdb3' }, measurement: '{name}' };
+        const obj = stateObj({ custom: { influxdb3: { enabled: true, measurement: 'power', type: 'integer' } } });
+        const dp = buildDatapoint(entry, 'shelly.0.power', obj, []);
+        expect(dp).toEqual({ id: 'shelly.0.power', measurement: 'power', type: 'integer' });
+    });
+
+    test('unknown placeholders render empty', () => {
+        expect(renderTemplate('{room}_x', {})).toBe('_x');
+    });
+
+    test('tag maps are rendered per value', () => {
+        const entry = { selector: { pattern: 'zigbee.0.*' }, measurement: 'temp', tags: { room: '{room}', floor: 1 } };
+        const dp = buildDatapoint(entry, 'zigbee.0.abc.temperature', stateObj(), enums);
+        expect(dp.tags).toEqual({ room: 'Wohnzimmer', floor: 1 });
+    });
+});
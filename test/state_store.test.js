@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    stateSettings,
+    snapshotState,
+    restoreState,
+    readStateFile,
+    writeStateFile,
+    startupWriteNeeded
+} = require('../lib/state_store');
+
+const emptyMaps = () => ({ lastValues: new Map(), lastWritten: new Map(), writtenValues: new Map(), lastGuardRun: new Map() });
+
+describe('stateSettings', () => {
+    test('defaults keep the previous startup behaviour', () => {
+        expect(stateSettings({})).toEqual({ store: 'file', startupWrite: 'always' });
+        expect(stateSettings({ state: { startupWrite: 'changed' } })).toEqual({ store: 'file', startupWrite: 'changed' });
+    });
+});
+
+describe('snapshotState / restoreState', () => {
+    test('round trip for the given datapoints only', () => {
+        const maps = emptyMaps();
+        maps.lastValues.set('a', '21.5').set('gone', 1);
+        maps.lastWritten.set('a', 1000);
+        maps.writtenValues.set('a', 21.5).set('b', true);
+        maps.lastGuardRun.set('a', 900);
+
+        const data = snapshotState(['a', 'b', 'c'], maps, 5000);
+        expect(data).toEqual({
+            version: 1,
+            saved: 5000,
+            datapoints: { a: { value: '21.5', written: 1000, writtenValue: 21.5, guardRun: 900 }, b: { writtenValue: true } }
+        });
+
+        const restored = emptyMaps();
+        expect(restoreState(JSON.parse(JSON.stringify(data)), restored)).toBe(2);
+        expect(restored.writtenValues).toEqual(new Map([['a', 21.5], ['b', true]]));
+        expect(restored.lastGuardRun.get('a')).toBe(900);
+        expect(restored.lastValues.has('gone')).toBe(false);
+    });
+
+    test('values set since the start win over the file', () => {
+        const maps = emptyMaps();
+        maps.writtenValues.set('a', 30);
+        restoreState({ version: 1, datapoints: { a: { writtenValue: 20, written: 1000 } } }, maps);
+        expect(maps.writtenValues.get('a')).toBe(30);
+        expect(maps.lastWritten.get('a')).toBe(1000);
+    });
+
+    test('unknown versions and garbage are ignored', () => {
+        const maps = emptyMaps();
+        expect(restoreState({ version: 2, datapoints: { a: { value: 1 } } }, maps)).toBe(0);
+        expect(restoreState(null, maps)).toBe(0);
+        expect(restoreState({ version: 1, datapoints: { a: null } }, maps)).toBe(0);
+        expect(maps.lastValues.size).toBe(0);
+    });
+});
+
+describe('state file', () => {
+    let dir;
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-')); });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('written atomically and read back', async () => {
+        const file = path.join(dir, 'state.json');
+        await writeStateFile(file, { version: 1, datapoints: {} });
+        expect(fs.readdirSync(dir)).toEqual(['state.json']);
+        await expect(readStateFile(file)).resolves.toEqual({ version: 1, datapoints: {} });
+    });
+
+    test('missing or corrupt file → null', async () => {
+        await expect(readStateFile(path.join(dir, 'none.json'))).resolves.toBeNull();
+        fs.writeFileSync(path.join(dir, 'bad.json'), '{"version":');
+        await expect(readStateFile(path.join(dir, 'bad.json'))).resolves.toBeNull();
+    });
+});
+
+describe('startupWriteNeeded', () => {
+    test('always, changed, never', () => {
+        expect(startupWriteNeeded('always', 1, 1)).toBe(true);
+        expect(startupWriteNeeded('never', 1, undefined)).toBe(false);
+        expect(startupWriteNeeded('changed', 1, 1)).toBe(false);
+        expect(startupWriteNeeded('changed', 2, 1)).toBe(true);
+        expect(startupWriteNeeded('changed', false, undefined)).toBe(true);
+    });
+});
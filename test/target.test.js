@@ -0,0 +1,240 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal } = require('../lib/journal');
+const { targetConfigs, datapointRoutes, createTarget } = require('../lib/target');
+
+const mockClient = () => {
+    const calls = [];
+    return {
+        calls,
+        fail: null,
+        reject: null, // Zeile → InfluxDB antwortet mit 400 für den ganzen Request
+        async write(data, database) {
+            if (this.fail) throw this.fail;
+            const lines = data.split('\n');
+            if (this.reject && lines.some(this.reject)) {
+                throw Object.assign(new Error('partial write of line protocol occurred'), { statusCode: 400 });
+            }
+            calls.push({ lines, database });
+        }
+    };
+};
+
+describe('targetConfigs / datapointRoutes', () => {
+    const cfg = {
+        influx: { host: 'http://a:8181', token: 't', database: 'iobroker' },
+        targets: { remote: { host: 'http://b:8181', token: 't', database: 'archive' } }
+    };
+
+    test('influx becomes the "default" target', () => {
+        expect(Object.keys(targetConfigs(cfg))).toEqual(['default', 'remote']);
+        expect(Object.keys(targetConfigs({ targets: cfg.targets }))).toEqual(['remote']);
+    });
+
+    test('dp.targets, then defaultTargets, then all targets', () => {
+        expect(datapointRoutes({}, cfg)).toEqual([
+            { target: 'default', database: undefined },
+            { target: 'remote', database: undefined }
+        ]);
+        expect(datapointRoutes({}, { ...cfg, defaultTargets: ['remote'] })).toEqual([{ target: 'remote', database: undefined }]);
+        expect(datapointRoutes({ targets: [{ target: 'remote', database: 'archive' }, { target: 'default', database: 'x' }] }, cfg)).toEqual([
+            { target: 'remote', database: undefined },
+            { target: 'default', database: 'x' }
+        ]);
+    });
+});
+
+describe('createTarget', () => {
+    let dir;
+    const settings = { maxLines: 2, maxBytes: 1e6, lingerMs: 50, maxConcurrent: 1 };
+    const logger = { warn: jest.fn(), error: jest.fn() };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'target-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const setup = async (name, client, extra = {}) => {
+        const journal = createJournal({ dir: path.join(dir, name) });
+        await journal.init();
+        const written = [];
+        const target = createTarget({
+            name,
+            client,
+            journal,
+            toLine: (e) => e.line,
+            settings: () => settings,
+            onWritten: (entries, fromQueue) => written.push({ ids: entries.map((e) => e.id), fromQueue }),
+            logger,
+            ...extra
+        });
+        return { target, journal, written };
+    };
+
+    test('batches per database', async () => {
+        const client = mockClient();
+        const { target, written } = await setup('default', client);
+        target.write({ id: 'a', line: 'm v=1' });
+        target.write({ id: 'b', line: 'm v=2', database: 'other' });
+        target.write({ id: 'c', line: 'm v=3' });
+        await target.drain();
+
+        expect(client.calls).toEqual([
+            { lines: ['m v=1', 'm v=3'], database: undefined },
+            { lines: ['m v=2'], database: 'other' }
+        ]);
+        expect(written).toEqual([{ ids: ['a', 'c'], fromQueue: false }, { ids: ['b'], fromQueue: false }]);
+        expect(target.health).toMatchObject({ connected: true, writes: 3, errors: 0 });
+    });
+
+    test('drain waits for batches still waiting for a free slot', async () => {
+        const client = mockClient();
+        const write = client.write.bind(client);
+        client.write = async (data, database) => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return write(data, database);
+        };
+        const { target, written } = await setup('default', client, { settings: () => ({ ...settings, maxLines: 1 }) });
+        for (const id of ['a', 'b', 'c']) target.write({ id, line: `m v="${id}"` });
+        await target.drain();
+
+        expect(client.calls).toHaveLength(3);
+        expect(written.map((w) => w.ids[0])).toEqual(['a', 'b', 'c']);
+    });
+
+    test('a failed batch goes to the queue and is flushed per database', async () => {
+        const client = mockClient();
+        const onError = jest.fn();
+        const { target, journal, written } = await setup('nas', client, { onError });
+        client.fail = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+        target.write({ id: 'a', line: 'm v=1' });
+        target.write({ id: 'b', line: 'm v=2', database: 'other' });
+        await target.drain();
+
+        expect(onError).toHaveBeenCalledTimes(2);
+        expect(target.health).toMatchObject({ connected: false, lastErrorCode: 'ECONNREFUSED', errors: 2 });
+        expect(journal.stats().entries).toBe(2);
+
+        await target.flushQueue();
+        target.stop();
+        expect(target.flushDelay).toBe(120_000);
+        expect(journal.stats().entries).toBe(2);
+
+        client.fail = null;
+        await target.flushQueue();
+        target.stop();
+        expect(client.calls).toEqual([
+            { lines: ['m v=1'], database: undefined },
+            { lines: ['m v=2'], database: 'other' }
+        ]);
+        expect(written).toEqual([{ ids: ['a', 'b'], fromQueue: true }]);
+        expect(journal.stats().entries).toBe(0);
+        expect(target.flushDelay).toBe(60_000);
+    });
+
+    test('a permanently rejected line is dropped instead of blocking the queue', async () => {
+        const client = mockClient();
+        const { target, journal, written } = await setup('default', client, { settings: () => ({ ...settings, maxLines: 10 }) });
+        client.fail = new Error('timeout');
+        for (const [id, line] of [['a', 'm v=1'], ['b', 'm v="x"'], ['c', 'm v=3'], ['d', 'm v=4']]) target.write({ id, line });
+        await target.drain();
+        expect(journal.stats().entries).toBe(4);
+
+        client.fail = null;
+        client.reject = (line) => line.includes('"');
+        logger.warn.mockClear();
+        await target.flushQueue();
+        target.stop();
+
+        expect(client.calls.flatMap((c) => c.lines).sort()).toEqual(['m v=1', 'm v=3', 'm v=4']);
+        expect(written).toEqual([{ ids: ['a', 'c', 'd'], fromQueue: true }]);
+        expect(journal.stats().entries).toBe(0);
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^\[default\] Queue-Eintrag für b verworfen: 400: .* – m v="x"$/));
+    });
+
+    test('a permanently rejected live line is dropped, the rest of the batch is written', async () => {
+        const client = mockClient();
+        const onError = jest.fn();
+        const { target, journal, written } = await setup('default', client, { onError, settings: () => ({ ...settings, maxLines: 10 }) });
+        client.reject = (line) => line.includes('"');
+        logger.warn.mockClear();
+        for (const [id, line] of [['a', 'm v=1'], ['b', 'm v="x"'], ['c', 'm v=3'], ['d', 'm v=4']]) target.write({ id, line });
+        await target.drain();
+        target.stop();
+
+        expect(client.calls.flatMap((c) => c.lines).sort()).toEqual(['m v=1', 'm v=3', 'm v=4']);
+        expect(written).toEqual([{ ids: ['a', 'c', 'd'], fromQueue: false }]);
+        expect(journal.stats().entries).toBe(0);
+        expect(onError).not.toHaveBeenCalled();
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^\[default\] Live-Eintrag für b verworfen: 400: .* – m v="x"$/));
+    });
+
+    test('a transient error during bisection queues the whole live batch', async () => {
+        const client = mockClient();
+        const { target, journal, written } = await setup('default', client, { settings: () => ({ ...settings, maxLines: 10 }) });
+        client.reject = (line) => line.includes('"');
+        const write = client.write.bind(client);
+        let attempts = 0;
+        client.write = async (data, database) => {
+            if (++attempts === 3) throw Object.assign(new Error('Service Unavailable'), { statusCode: 503 });
+            return write(data, database);
+        };
+        for (const [id, line] of [['a', 'm v=1'], ['b', 'm v="x"'], ['c', 'm v=3'], ['d', 'm v=4']]) target.write({ id, line });
+        await target.drain();
+        target.stop();
+
+        expect(written).toEqual([]);
+        expect(journal.stats().entries).toBe(4);
+        expect(target.health).toMatchObject({ connected: false, lastErrorCode: '503' });
+    });
+
+    test('transient and fatal errors keep the segment', async () => {
+        const client = mockClient();
+        const { target, journal } = await setup('default', client);
+        client.fail = Object.assign(new Error('Service Unavailable'), { statusCode: 503 });
+        target.write({ id: 'a', line: 'm v=1' });
+        await target.drain();
+
+        await target.flushQueue();
+        client.fail = Object.assign(new Error('Unauthorized'), { statusCode: 401 });
+        await target.flushQueue();
+        target.stop();
+        expect(journal.stats().entries).toBe(1);
+        expect(client.calls).toEqual([]);
+    });
+
+    test('one target failing does not affect another', async () => {
+        const down = mockClient();
+        down.fail = new Error('timeout');
+        const up = mockClient();
+        const a = await setup('a', down);
+        const b = await setup('b', up);
+
+        for (const t of [a.target, b.target]) t.write({ id: 'x', line: 'm v=1' });
+        await Promise.all([a.target.drain(), b.target.drain()]);
+
+        expect(a.journal.stats().entries).toBe(1);
+        expect(b.journal.stats().entries).toBe(0);
+        expect(up.calls).toHaveLength(1);
+    });
+
+    test('setClient swaps the connection and keeps the queue', async () => {
+        const old = mockClient();
+        old.fail = new Error('401 Unauthorized');
+        const { target, journal } = await setup('default', old);
+        target.write({ id: 'a', line: 'm v=1' });
+        await target.drain();
+
+        const next = mockClient();
+        expect(target.setClient(next)).toBe(old);
+        await target.flushQueue();
+        target.stop();
+        expect(next.calls).toHaveLength(1);
+        expect(journal.stats().entries).toBe(0);
+    });
+});
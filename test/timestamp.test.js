@@ -0,0 +1,84 @@
+const {
+    DEFAULT_TIMESTAMPS,
+    timestampSettings,
+    stateTime,
+    checkTime,
+    formatTimestamp,
+    convertTimestamp
+} = require('../lib/timestamp');
+
+const NOW = Date.UTC(2024, 4, 6, 12, 0, 0);
+
+describe('timestampSettings', () => {
+    test('defaults and durations in ms', () => {
+        expect(DEFAULT_TIMESTAMPS.source).toBe('lc');
+        expect(timestampSettings({})).toEqual({ source: 'lc', precision: 'ns', maxFutureMs: 300_000, maxAgeMs: 0, outOfRange: 'clamp' });
+        expect(timestampSettings({ timestamps: { precision: 'ms', maxAge: '7d' } })).toMatchObject({ precision: 'ms', maxAgeMs: 604_800_000 });
+        expect(timestampSettings({ timestamps: { maxFuture: 'off' } })).toMatchObject({ maxFutureMs: 0 });
+    });
+
+    test('old timestamps are kept unless maxAge is set', () => {
+        const monthAgo = NOW - 30 * 86_400_000;
+        expect(checkTime(monthAgo, NOW, timestampSettings({}))).toEqual({ ms: monthAgo, status: 'ok' });
+        expect(checkTime(monthAgo, NOW, timestampSettings({ timestamps: { maxAge: '7d' } }))).toEqual({ ms: NOW, status: 'clamped' });
+    });
+});
+
+describe('stateTime', () => {
+    const state = { val: 1, ts: NOW - 1000, lc: '2024-05-06T11:00:00.000Z' };
+
+    test('reads lc/ts as number or ISO string', () => {
+        expect(stateTime(state, 'ts', NOW)).toBe(NOW - 1000);
+        expect(stateTime(state, 'lc', NOW)).toBe(NOW - 3_600_000);
+        expect(stateTime(state, 'receive', NOW)).toBe(NOW);
+    });
+
+    test('missing or unparsable times are NaN', () => {
+        expect(stateTime({ lc: 'gestern' }, 'lc', NOW)).toBeNaN();
+        expect(stateTime({ lc: NaN }, 'lc', NOW)).toBeNaN();
+        expect(stateTime({}, 'ts', NOW)).toBeNaN();
+        expect(stateTime(undefined, 'lc', NOW)).toBeNaN();
+    });
+});
+
+describe('checkTime', () => {
+    const settings = { maxFutureMs: 60_000, maxAgeMs: 86_400_000, outOfRange: 'clamp' };
+
+    test('plausible times pass unchanged', () => {
+        expect(checkTime(NOW - 1000, NOW, settings)).toEqual({ ms: NOW - 1000, status: 'ok' });
+        expect(checkTime(NOW + 60_000, NOW, settings)).toEqual({ ms: NOW + 60_000, status: 'ok' });
+    });
+
+    test('invalid times fall back to the receive time', () => {
+        expect(checkTime(NaN, NOW, settings)).toEqual({ ms: NOW, status: 'invalid' });
+        expect(checkTime(NaN, NOW, { ...settings, outOfRange: 'reject' })).toEqual({ ms: NOW, status: 'invalid' });
+    });
+
+    test('future or too old times are clamped or rejected', () => {
+        expect(checkTime(NOW + 60_001, NOW, settings)).toEqual({ ms: NOW, status: 'clamped' });
+        expect(checkTime(0, NOW, settings)).toEqual({ ms: NOW, status: 'clamped' });
+        expect(checkTime(0, NOW, { ...settings, outOfRange: 'reject' })).toEqual({ ms: null, status: 'rejected' });
+    });
+
+    test('0 disables a limit', () => {
+        expect(checkTime(0, NOW, { maxFutureMs: 0, maxAgeMs: 0 }).status).toBe('ok');
+        expect(checkTime(NOW * 2, NOW, { maxFutureMs: 0, maxAgeMs: 0 }).status).toBe('ok');
+    });
+});
+
+describe('formatTimestamp / convertTimestamp', () => {
+    test('ms in every precision without float errors', () => {
+        expect(formatTimestamp(1715000000123, 'ns')).toBe('1715000000123000000');
+        expect(formatTimestamp(1715000000123, 'us')).toBe('1715000000123000');
+        expect(formatTimestamp(1715000000123, 'ms')).toBe('1715000000123');
+        expect(formatTimestamp(1715000000123, 's')).toBe('1715000000');
+        expect(() => formatTimestamp(1, 'min')).toThrow(TypeError);
+    });
+
+    test('converts queued timestamps between precisions', () => {
+        expect(convertTimestamp('1715000000123000000', undefined, 'ms')).toBe('1715000000123');
+        expect(convertTimestamp('1715000000123', 'ms', 'ns')).toBe('1715000000123000000');
+        expect(convertTimestamp('1715000000123', 'ms', 'ms')).toBe('1715000000123');
+        expect(convertTimestamp(1715000000, 's', 'us')).toBe('1715000000000000');
+    });
+});
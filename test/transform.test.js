@@ -0,0 +1,58 @@
+const { applyTransform, compileExpression } = require('../lib/transform');
+
+describe('applyTransform', () => {
+    test('no steps leave the value unchanged', () => {
+        expect(applyTransform(undefined, 'x')).toEqual({ value: 'x' });
+        expect(applyTransform([], 5)).toEqual({ value: 5 });
+        expect(applyTransform([{ scale: 2 }], null)).toEqual({ value: null });
+    });
+
+    test('scale, offset, clamp and round in the given order', () => {
+        const steps = [{ scale: 0.1 }, { offset: -40 }, { clamp: { min: -20, max: 60 } }, { round: 1 }];
+        expect(applyTransform(steps, 612)).toEqual({ value: 21.2 });
+        expect(applyTransform(steps, '1500')).toEqual({ value: 60 });
+        expect(applyTransform(steps, 0)).toEqual({ value: -20 });
+        expect(applyTransform([{ round: 0 }, { scale: 0.5 }], 3.6)).toEqual({ value: 2 });
+    });
+
+    test('clamp with only one bound', () => {
+        expect(applyTransform([{ clamp: { min: 0 } }], -3)).toEqual({ value: 0 });
+        expect(applyTransform([{ clamp: { max: 10 } }], -3)).toEqual({ value: -3 });
+    });
+
+    test('map looks up the value as string, "*" is the default', () => {
+        const steps = [{ map: { open: 1, tilted: 0.5, closed: 0 } }];
+        expect(applyTransform(steps, 'open')).toEqual({ value: 1 });
+        expect(applyTransform(steps, 'closed')).toEqual({ value: 0 });
+        expect(applyTransform([{ map: { true: 'an', false: 'aus' } }], false)).toEqual({ value: 'aus' });
+        expect(applyTransform([{ map: { 1: 'eins', '*': 'andere' } }], 7)).toEqual({ value: 'andere' });
+        expect(applyTransform(steps, 'broken')).toEqual({ error: "Schritt 1: kein Eintrag für 'broken' in map" });
+    });
+
+    test('expr gets value and may return any valid type', () => {
+        expect(applyTransform([{ expr: 'value * 1.8 + 32' }], 20)).toEqual({ value: 68 });
+        expect(applyTransform([{ expr: "value === 'on'" }], 'on')).toEqual({ value: true });
+        expect(applyTransform([{ expr: 'String(value).toUpperCase()' }], 'ok')).toEqual({ value: 'OK' });
+    });
+
+    test('invalid results are rejected with the failing step', () => {
+        expect(applyTransform([{ scale: 2 }], 'abc')).toEqual({ error: "Schritt 1: scale braucht eine Zahl, Wert ist 'abc'" });
+        expect(applyTransform([{ offset: 1 }, { expr: 'value / 0' }], 1)).toEqual({
+            error: 'Schritt 2 (expr) liefert ungültiges Ergebnis Infinity'
+        });
+        expect(applyTransform([{ expr: 'undefined' }], 1).error).toMatch(/^Schritt 1 \(expr\) liefert ungültiges Ergebnis/);
+        expect(applyTransform([{ expr: '({ a: value })' }], 1).error).toMatch(/ungültiges Ergebnis/);
+        expect(applyTransform([{ expr: 'value.foo.bar' }], 1).error).toMatch(/^Schritt 1: expr 'value.foo.bar' fehlgeschlagen: /);
+    });
+
+    test('"$" keys in a step are ignored', () => {
+        expect(applyTransform([{ scale: 10, $comment: 'W → kW' }], 2)).toEqual({ value: 20 });
+    });
+});
+
+describe('compileExpression', () => {
+    test('throws on syntax errors', () => {
+        expect(() => compileExpression('value +')).toThrow(SyntaxError);
+        expect(compileExpression('value + 1')(1)).toBe(2);
+    });
+});
@@ -0,0 +1,35 @@
+const { classifyWriteError, serverMessage } = require('../lib/write_errors');
+
+const httpError = (statusCode, extra = {}) => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode, ...extra });
+
+describe('classifyWriteError', () => {
+    test('network errors, timeouts and 5xx are transient', () => {
+        expect(classifyWriteError(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' }))).toBe('transient');
+        for (const status of [408, 429, 500, 503, 524]) expect(classifyWriteError(httpError(status))).toBe('transient');
+    });
+
+    test('line-related 4xx are permanent', () => {
+        for (const status of [400, 413, 422]) expect(classifyWriteError(httpError(status))).toBe('permanent');
+    });
+
+    test('auth and missing database are fatal', () => {
+        for (const status of [401, 403, 404]) expect(classifyWriteError(httpError(status))).toBe('fatal');
+    });
+});
+
+describe('serverMessage', () => {
+    test('prefers the JSON error and appends per-line details', () => {
+        const err = httpError(400, {
+            json: {
+                error: 'partial write of line protocol occurred',
+                data: [{ original_line: 'm v="x"', line_number: 1, error_message: 'invalid column type for column \'v\'' }]
+            }
+        });
+        expect(serverMessage(err)).toBe("400: partial write of line protocol occurred: invalid column type for column 'v'");
+    });
+
+    test('falls back to body or message on one line', () => {
+        expect(serverMessage(httpError(400, { body: 'unable to parse\nline 3' }))).toBe('400: unable to parse line 3');
+        expect(serverMessage(new Error('socket hang up'))).toBe('socket hang up');
+    });
+});
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+"use strict";
+/**
+ * validate_config.js
+ * ----------------------------------------------------------
+ * Prüft eine config.json vor dem Deployment – mit denselben Regeln wie der
+ * Connector (lib/config.js + config.schema.json). Meldet ALLE Fehler mit
+ * JSON‑Pfad.
+ *
+ * Usage:
+ *   node validate_config.js [config.json]
+ *   - config.json (optional, Default: config.json im aktuellen Verzeichnis)
+ *
+ * Exit‑Code 0 = gültig, 1 = Fehler gefunden.
+ */
+
+const path = require("path");
+const { loadConfigFile, formatError } = require("./lib/config");
+
+const file = path.resolve(process.argv[2] || "config.json");
+const { config, errors } = loadConfigFile(file);
+
+if (errors.length > 0) {
+    console.error(`❌ ${file}: ${errors.length} Fehler`);
+    for (const e of errors) console.error(`  - ${formatError(e)}`);
+    process.exit(1);
+}
+
+const statics = config.datapoints.filter((dp) => dp.selector === undefined).length;
+console.log(`✅ ${file} ist gültig (${statics} Datenpunkte, ${config.datapoints.length - statics} Selector-Einträge)`);